@@ -3,6 +3,9 @@ module.exports = {
     "node": true,
     "es2020": true
   },
+  "globals": {
+    "AbortController": "readonly"
+  },
   "extends": "standard",
   "rules": { 
     "curly": ["error", "multi-line"] 
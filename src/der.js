@@ -0,0 +1,295 @@
+/**
+ * A minimal DER reader, see X.690. Only definite length encoding is
+ * supported, which is what DER requires.
+ */
+
+/**
+ * tag class
+ * @readonly
+ * @enum {number}
+ */
+const TagClass = {
+  UNIVERSAL: 0,
+  APPLICATION: 1,
+  CONTEXT_SPECIFIC: 2,
+  PRIVATE: 3
+}
+
+/**
+ * universal tag numbers
+ * @readonly
+ * @enum {number}
+ */
+const Tag = {
+  BOOLEAN: 1,
+  INTEGER: 2,
+  BIT_STRING: 3,
+  OCTET_STRING: 4,
+  NULL: 5,
+  OID: 6,
+  ENUMERATED: 10,
+  UTF8_STRING: 12,
+  SEQUENCE: 16,
+  SET: 17,
+  PRINTABLE_STRING: 19,
+  T61_STRING: 20,
+  IA5_STRING: 22,
+  UTC_TIME: 23,
+  GENERALIZED_TIME: 24,
+  VISIBLE_STRING: 26,
+  UNIVERSAL_STRING: 28,
+  BMP_STRING: 30
+}
+
+/**
+ * A DER element, that is, a TLV (tag, length, value) triple
+ * @typedef {object} Element
+ * @property {number} cls - tag class
+ * @property {boolean} constructed - constructed or primitive
+ * @property {number} tag - tag number
+ * @property {Buffer} value - contents octets
+ * @property {Buffer} raw - the whole encoding, including tag and length
+ */
+
+/**
+ * reads an element at the beginning of a buffer
+ * @param {Buffer} buf
+ * @returns {Element}
+ * @throws {Error} if the encoding is truncated or unsupported
+ */
+const readElement = buf => {
+  if (buf.length < 2) throw new Error('der truncated')
+
+  let pos = 0
+  const cls = buf[pos] >> 6
+  const constructed = !!(buf[pos] & 0x20)
+  let tag = buf[pos++] & 0x1f
+  if (tag === 0x1f) {
+    // high tag number form
+    tag = 0
+    do {
+      if (pos >= buf.length || tag > 0xffffff) {
+        throw new Error('invalid der tag')
+      }
+      tag = tag * 128 + (buf[pos] & 0x7f)
+    } while (buf[pos++] & 0x80)
+  }
+
+  if (pos >= buf.length) throw new Error('der truncated')
+  let length = buf[pos++]
+  if (length === 0x80) {
+    throw new Error('indefinite length not allowed in der')
+  } else if (length > 0x80) {
+    const n = length & 0x7f
+    if (n > 4 || pos + n > buf.length) throw new Error('invalid der length')
+    length = buf.readUIntBE(pos, n)
+    pos += n
+  }
+
+  if (pos + length > buf.length) throw new Error('der truncated')
+
+  return {
+    cls,
+    constructed,
+    tag,
+    value: buf.slice(pos, pos + length),
+    raw: buf.slice(0, pos + length)
+  }
+}
+
+/**
+ * parses a buffer containing exactly one element
+ * @param {Buffer} der
+ * @returns {Element}
+ */
+const parse = der => {
+  const el = readElement(der)
+  if (el.raw.length !== der.length) throw new Error('trailing data after der')
+  return el
+}
+
+/**
+ * parses the contents of a constructed element into child elements
+ * @param {Element} el
+ * @returns {Element[]}
+ */
+const children = el => {
+  if (!el.constructed) throw new Error('der element is not constructed')
+  const list = []
+  let buf = el.value
+  while (buf.length) {
+    const child = readElement(buf)
+    list.push(child)
+    buf = buf.slice(child.raw.length)
+  }
+  return list
+}
+
+/**
+ * checks the tag class and number of an element
+ * @param {Element} el
+ * @param {number} tag
+ * @param {number} [cls] - defaults to universal
+ * @returns {boolean}
+ */
+const is = (el, tag, cls = TagClass.UNIVERSAL) =>
+  !!el && el.cls === cls && el.tag === tag
+
+/**
+ * checks an element is a context-specific one with given tag number
+ * @param {Element} el
+ * @param {number} tag
+ * @returns {boolean}
+ */
+const isContext = (el, tag) => is(el, tag, TagClass.CONTEXT_SPECIFIC)
+
+/**
+ * asserts the tag of an element
+ * @param {Element} el
+ * @param {number} tag
+ * @param {string} what - for error message
+ * @returns {Element} the element
+ */
+const expect = (el, tag, what) => {
+  if (!is(el, tag)) throw new Error(`invalid ${what}`)
+  return el
+}
+
+/**
+ * decodes an OBJECT IDENTIFIER
+ * @param {Element} el
+ * @returns {string} dotted decimal, eg. `2.5.4.3`
+ */
+const oid = el => {
+  expect(el, Tag.OID, 'object identifier')
+  const arcs = []
+  let n = 0
+  for (const b of el.value) {
+    n = n * 128 + (b & 0x7f)
+    if (!(b & 0x80)) {
+      if (!arcs.length) {
+        const first = Math.min(Math.floor(n / 40), 2)
+        arcs.push(first, n - first * 40)
+      } else {
+        arcs.push(n)
+      }
+      n = 0
+    }
+  }
+  return arcs.join('.')
+}
+
+/**
+ * decodes an INTEGER as hex string, eg. serial numbers
+ * @param {Element} el
+ * @returns {string} lower-case hex without leading zeros
+ */
+const integerHex = el => {
+  expect(el, Tag.INTEGER, 'integer')
+  return el.value.toString('hex').replace(/^(00)+(?=.)/, '')
+}
+
+/**
+ * decodes a small non-negative INTEGER or ENUMERATED
+ * @param {Element} el
+ * @returns {number}
+ */
+const integer = el => {
+  if (!is(el, Tag.INTEGER) && !is(el, Tag.ENUMERATED)) {
+    throw new Error('invalid integer')
+  }
+  if (!el.value.length || el.value.length > 6 || el.value[0] & 0x80) {
+    throw new Error('unsupported integer')
+  }
+  return el.value.readUIntBE(0, el.value.length)
+}
+
+/**
+ * decodes a BOOLEAN
+ * @param {Element} el
+ * @returns {boolean}
+ */
+const boolean = el => {
+  expect(el, Tag.BOOLEAN, 'boolean')
+  return el.value.length === 1 && el.value[0] !== 0
+}
+
+/**
+ * decodes a BIT STRING, without the leading unused bits octet
+ * @param {Element} el
+ * @returns {Buffer}
+ */
+const bitString = el => {
+  expect(el, Tag.BIT_STRING, 'bit string')
+  if (!el.value.length) throw new Error('invalid bit string')
+  return el.value.slice(1)
+}
+
+/**
+ * decodes a UTCTime or GeneralizedTime, in UTC ('Z') form as required
+ * by rfc5280
+ * @param {Element} el
+ * @returns {Date}
+ */
+const time = el => {
+  let s = el.value.toString('latin1')
+  if (is(el, Tag.UTC_TIME)) {
+    // YYMMDDHHMMSSZ, where YY >= 50 means 19YY
+    s = (parseInt(s.slice(0, 2), 10) >= 50 ? '19' : '20') + s
+  } else if (!is(el, Tag.GENERALIZED_TIME)) {
+    throw new Error('invalid time')
+  }
+
+  const m = /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(?:\.(\d+))?Z$/.exec(s)
+  if (!m) throw new Error('invalid time')
+  const [year, month, day, hour, minute, second] = m.slice(1, 7).map(Number)
+  const ms = m[7] ? Math.floor(Number(`0.${m[7]}`) * 1000) : 0
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second, ms))
+}
+
+/**
+ * decodes a character string
+ * @param {Element} el
+ * @returns {string}
+ */
+const string = el => {
+  if (el.cls !== TagClass.UNIVERSAL) throw new Error('invalid string')
+  switch (el.tag) {
+    case Tag.UTF8_STRING:
+      return el.value.toString('utf8')
+    case Tag.PRINTABLE_STRING:
+    case Tag.T61_STRING:
+    case Tag.IA5_STRING:
+    case Tag.VISIBLE_STRING:
+      return el.value.toString('latin1')
+    case Tag.BMP_STRING:
+      return Buffer.from(el.value).swap16().toString('utf16le')
+    case Tag.UNIVERSAL_STRING: {
+      const codes = []
+      for (let i = 0; i + 4 <= el.value.length; i += 4) {
+        codes.push(el.value.readUInt32BE(i))
+      }
+      return String.fromCodePoint(...codes)
+    }
+    default:
+      throw new Error('invalid string')
+  }
+}
+
+module.exports = {
+  TagClass,
+  Tag,
+  readElement,
+  parse,
+  children,
+  is,
+  isContext,
+  expect,
+  oid,
+  integerHex,
+  integer,
+  boolean,
+  bitString,
+  time,
+  string
+}
@@ -0,0 +1,37 @@
+const { createHmac } = require('crypto')
+const { concat, from } = Buffer
+
+/**
+ * calculates hmac
+ * @param {string} hash - hash algorithm
+ * @param {buffer} key - mac key
+ * @param {buffer} data
+ * @returns {buffer}
+ */
+const HMAC = (hash, key, data) => createHmac(hash, key).update(data).digest()
+
+/**
+ * pseudo random function for key generation and expansion, see rfc5246.
+ *
+ * The hash algorithm is determined by the negotiated cipher suite.
+ * It is `sha256` for all cipher suites defined in rfc5246, and `sha384`
+ * for suites with `_SHA384` suffix, see rfc5288.
+ *
+ * @function
+ * @param {buffer} secret
+ * @param {string} label
+ * @param {buffer} seed
+ * @param {number} length
+ * @param {string} [hash] - hash algorithm, defaults to `sha256`
+ * @returns {buffer} buffer of given length
+ */
+const PRF = (secret, label, seed, length, hash = 'sha256') => {
+  seed = concat([from(label, 'binary'), seed])
+  let P_HASH = Buffer.alloc(0)
+  for (let A = from(seed); P_HASH.length < length;
+    A = HMAC(hash, secret, A),
+    P_HASH = concat([P_HASH, HMAC(hash, secret, concat([A, seed]))]));
+  return P_HASH.slice(0, length)
+}
+
+module.exports = PRF
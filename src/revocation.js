@@ -0,0 +1,334 @@
+const { createHash } = require('crypto')
+
+const der = require('./der')
+const {
+  HASH_ALGORITHMS, parseDistributionPointName, parseExtension,
+  parseCertificate, isIssuer, verifySignature, verifyCertificate
+} = require('./x509')
+const { Tag } = der
+
+const { from } = Buffer
+
+/**
+ * OCSP and CRL support for checking certificate revocation status,
+ * see rfc6960 and rfc5280.
+ *
+ * OCSP responses and CRLs are parsed with the internal DER reader.
+ * Signatures are verified with node crypto, so that both RSA and ECDSA
+ * issuers are supported.
+ */
+
+/** @constant {string} - id-pkix-ocsp-basic */
+const OCSP_BASIC = '1.3.6.1.5.5.7.48.1.1'
+
+/** @constant {string} - id-kp-OCSPSigning */
+const OCSP_SIGNING = '1.3.6.1.5.5.7.3.9'
+
+/** @enum {string} - CRL and CRL entry extension oids */
+const CRLExtension = {
+  CRL_NUMBER: '2.5.29.20',
+  REASON_CODE: '2.5.29.21',
+  INVALIDITY_DATE: '2.5.29.24',
+  DELTA_CRL_INDICATOR: '2.5.29.27',
+  ISSUING_DISTRIBUTION_POINT: '2.5.29.28',
+  AUTHORITY_KEY_IDENTIFIER: '2.5.29.35'
+}
+
+/**
+ * @constant {string[]} - CRL and CRL entry extensions understood here.
+ * A CRL with any other critical extension is not used.
+ */
+const SUPPORTED_CRL_EXTENSIONS = Object.values(CRLExtension)
+
+/** @enum {string} - certificate status in OCSP SingleResponse */
+const CertStatus = ['good', 'revoked', 'unknown']
+
+/**
+ * parses an AlgorithmIdentifier
+ * @param {Element} el
+ * @returns {object} `{ oid, params }`
+ */
+const algorithm = el => {
+  const [oid, params] = der.children(el)
+  return { oid: der.oid(oid), params }
+}
+
+/**
+ * parses an OCSPResponse
+ * @param {buffer} buf - OCSPResponse in DER format
+ * @returns {object} `{ status, responses, tbs, signatureAlgorithm,
+ * signature, certs }`, where `status` is responseStatus, and `responses`
+ * is an array of `{ hashAlgorithm, issuerNameHash, issuerKeyHash, serial,
+ * status, revocationTime, thisUpdate, nextUpdate }`. Other properties are
+ * `undefined` unless `status` is 0 (successful).
+ */
+const parseOCSPResponse = buf => {
+  const top = der.children(der.expect(der.parse(buf), Tag.SEQUENCE,
+    'ocsp response'))
+  const status = der.integer(top[0])
+  if (status !== 0) return { status }
+
+  const bytes = der.children(der.children(top[1])[0])
+  if (der.oid(bytes[0]) !== OCSP_BASIC) {
+    throw new Error('unsupported ocsp response type')
+  }
+
+  const basic = der.children(der.parse(
+    der.expect(bytes[1], Tag.OCTET_STRING, 'response bytes').value))
+  const tbs = basic[0]
+  const fields = der.children(tbs)
+  const i = der.isContext(fields[0], 0) ? 1 : 0
+
+  const responses = der.children(fields[i + 2]).map(single => {
+    const [certId, certStatus, thisUpdate, ...rest] = der.children(single)
+    const [hashAlgorithm, issuerNameHash, issuerKeyHash, serial] =
+      der.children(certId)
+    const nextUpdate = rest.find(el => der.isContext(el, 0))
+    return {
+      hashAlgorithm: algorithm(hashAlgorithm).oid,
+      issuerNameHash: issuerNameHash.value,
+      issuerKeyHash: issuerKeyHash.value,
+      serial: der.integerHex(serial),
+      status: CertStatus[certStatus.tag],
+      revocationTime: der.isContext(certStatus, 1)
+        ? der.time(der.children(certStatus)[0])
+        : undefined,
+      thisUpdate: der.time(thisUpdate),
+      nextUpdate: nextUpdate
+        ? der.time(der.children(nextUpdate)[0])
+        : undefined
+    }
+  })
+
+  const certs = der.isContext(basic[3], 0)
+    ? der.children(der.children(basic[3])[0]).map(el => el.raw)
+    : []
+
+  return {
+    status,
+    responses,
+    tbs: tbs.raw,
+    signatureAlgorithm: algorithm(basic[1]),
+    signature: der.bitString(basic[2]),
+    certs
+  }
+}
+
+/**
+ * parses an IssuingDistributionPoint extension value
+ * @param {Buffer} value - extnValue content
+ * @returns {object} `{ distributionPoint, onlyContainsUserCerts,
+ * onlyContainsCACerts, onlySomeReasons, indirectCRL,
+ * onlyContainsAttributeCerts }`, where `distributionPoint` is an array of
+ * GeneralName, null if relative to the issuer, or undefined if absent.
+ */
+const parseIssuingDistributionPoint = value => {
+  const fields = der.children(der.expect(der.parse(value), Tag.SEQUENCE,
+    'issuing distribution point'))
+  const field = tag => fields.find(f => der.isContext(f, tag))
+  // implicitly tagged BOOLEAN, DEFAULT FALSE
+  const flag = tag => !!field(tag) && field(tag).value[0] !== 0
+  return {
+    distributionPoint: field(0) && parseDistributionPointName(field(0)),
+    onlyContainsUserCerts: flag(1),
+    onlyContainsCACerts: flag(2),
+    onlySomeReasons: !!field(3),
+    indirectCRL: flag(4),
+    onlyContainsAttributeCerts: flag(5)
+  }
+}
+
+/**
+ * parses CRLs in PEM or DER format
+ * @param {string|buffer} data - one or more PEM CRLs, or a DER CRL
+ * @returns {object[]} an array of `{ issuer, thisUpdate, nextUpdate,
+ * revoked, extensions, unsupportedCritical, delta, issuingDistributionPoint,
+ * tbs, signatureAlgorithm, signature }`, where `revoked` is a Map from
+ * serial number in hex to revocation date, `extensions` are crlExtensions
+ * as `{ oid, critical, value }`, and `unsupportedCritical` is the oid of
+ * the first unsupported critical extension in the CRL or its entries.
+ */
+const parseCRLs = data => {
+  const str = data.toString('binary')
+  const pems = str.match(
+    /-----BEGIN X509 CRL-----[\s\S]+?-----END X509 CRL-----/g)
+  const ders = pems
+    ? pems.map(pem => from(pem.split('-----')[2], 'base64'))
+    : [from(str, 'binary')]
+
+  return ders.map(buf => {
+    const [tbs, signatureAlgorithm, signature] =
+      der.children(der.expect(der.parse(buf), Tag.SEQUENCE, 'crl'))
+    const fields = der.children(tbs)
+    const i = der.is(fields[0], Tag.INTEGER) ? 1 : 0
+    const next = fields[i + 3]
+    const hasNext = der.is(next, Tag.UTC_TIME) ||
+      der.is(next, Tag.GENERALIZED_TIME)
+    const list = fields[i + (hasNext ? 4 : 3)]
+
+    const exts = fields.find(f => der.isContext(f, 0))
+    const extensions = exts
+      ? der.children(der.children(exts)[0]).map(parseExtension)
+      : []
+
+    const entryExtensions = []
+    const revoked = new Map()
+    if (der.is(list, Tag.SEQUENCE)) {
+      der.children(list).forEach(entry => {
+        const [serial, date, exts] = der.children(entry)
+        revoked.set(der.integerHex(serial), der.time(date))
+        if (exts) entryExtensions.push(...der.children(exts).map(parseExtension))
+      })
+    }
+
+    const unsupported = [...extensions, ...entryExtensions].find(ext =>
+      ext.critical && !SUPPORTED_CRL_EXTENSIONS.includes(ext.oid))
+    const idp = extensions.find(ext =>
+      ext.oid === CRLExtension.ISSUING_DISTRIBUTION_POINT)
+
+    return {
+      issuer: fields[i + 1].raw,
+      thisUpdate: der.time(fields[i + 2]),
+      nextUpdate: hasNext ? der.time(next) : undefined,
+      revoked,
+      extensions,
+      unsupportedCritical: unsupported ? unsupported.oid : undefined,
+      delta: extensions.some(ext =>
+        ext.oid === CRLExtension.DELTA_CRL_INDICATOR),
+      issuingDistributionPoint: idp
+        ? parseIssuingDistributionPoint(idp.value)
+        : undefined,
+      tbs: tbs.raw,
+      signatureAlgorithm: algorithm(signatureAlgorithm),
+      signature: der.bitString(signature)
+    }
+  })
+}
+
+/**
+ * checks the revocation status of a certificate in a stapled OCSP
+ * response. The response must be signed by the issuer, or by a delegated
+ * responder certificate issued by the issuer for OCSP signing.
+ * @param {object} resp - parsed OCSP response
+ * @param {Certificate} cert
+ * @param {Certificate} issuer
+ * @param {object|null} time - trusted time `{ earliest, latest }` in
+ * milliseconds, or null to skip time checks
+ * @returns {string} `good`, `revoked` or `unknown`
+ * @throws {Error} if the response is invalid
+ */
+const ocspStatus = (resp, cert, issuer, time) => {
+  if (resp.status !== 0) return 'unknown'
+
+  const single = resp.responses.find(r => {
+    const hash = HASH_ALGORITHMS[r.hashAlgorithm]
+    return !!hash &&
+      r.serial === cert.serial &&
+      createHash(hash).update(issuer.subject.der).digest()
+        .equals(r.issuerNameHash) &&
+      createHash(hash).update(issuer.keyBits).digest()
+        .equals(r.issuerKeyHash)
+  })
+
+  if (!single) throw new Error('no ocsp response for the certificate')
+
+  const { signatureAlgorithm, tbs, signature } = resp
+  const signed =
+    verifySignature(signatureAlgorithm, tbs, signature, issuer.spki) ||
+    resp.certs.some(buf => {
+      let responder
+      try {
+        responder = parseCertificate(buf)
+      } catch (e) {
+        return false
+      }
+      if (!isIssuer(responder, issuer)) return false
+      if (!verifyCertificate(responder, issuer)) return false
+      if (!(responder.extKeyUsage || []).includes(OCSP_SIGNING)) return false
+      if (time && (time.latest < responder.notBefore ||
+        time.earliest > responder.notAfter)) return false
+      return verifySignature(signatureAlgorithm, tbs, signature,
+        responder.spki)
+    })
+
+  if (!signed) throw new Error('invalid ocsp response signature')
+
+  if (time) {
+    if (single.thisUpdate > time.latest) {
+      throw new Error('ocsp response is not valid yet')
+    }
+    if (single.nextUpdate && single.nextUpdate < time.earliest) {
+      throw new Error('ocsp response has expired')
+    }
+  }
+
+  return single.status
+}
+
+/**
+ * checks two general names are the same
+ * @param {GeneralName} a
+ * @param {GeneralName} b
+ * @returns {boolean}
+ */
+const sameName = (a, b) => {
+  if (a.type !== b.type) return false
+  if (typeof a.value === 'string') return a.value === b.value
+  if (Buffer.isBuffer(a.value)) return a.value.equals(b.value)
+  return (a.value.der || a.value.raw).equals(b.value.der || b.value.raw)
+}
+
+/**
+ * checks a certificate is in the scope of a CRL with an issuing
+ * distribution point, see rfc5280 section 6.3.3 (b)(2). Indirect CRLs,
+ * CRLs partitioned by reasons, and distribution points relative to the
+ * issuer are not supported.
+ * @param {object} idp - parsed issuingDistributionPoint
+ * @param {Certificate} cert
+ * @returns {boolean}
+ */
+const inScope = (idp, cert) => {
+  const ca = !!(cert.basicConstraints && cert.basicConstraints.ca)
+  if (idp.indirectCRL || idp.onlySomeReasons ||
+    idp.onlyContainsAttributeCerts) return false
+  if (idp.onlyContainsUserCerts && ca) return false
+  if (idp.onlyContainsCACerts && !ca) return false
+  if (idp.distributionPoint === undefined) return true
+  if (!idp.distributionPoint || !cert.crlDistributionPoints) return false
+  return idp.distributionPoint.some(a =>
+    cert.crlDistributionPoints.some(b => sameName(a, b)))
+}
+
+/**
+ * checks the revocation status of a certificate against a CRL. A CRL is
+ * used only if it is a complete CRL covering the certificate, issued and
+ * signed by the issuer, and without unsupported critical extensions. If
+ * the issuer has keyUsage extension, it must assert `cRLSign`.
+ * @param {object} crl - parsed CRL
+ * @param {Certificate} cert
+ * @param {Certificate} issuer
+ * @param {object|null} time - trusted time `{ earliest, latest }` in
+ * milliseconds, or null to skip time checks
+ * @returns {string|null} `good` or `revoked`, or null if the CRL is not
+ * used, or not valid at the given time
+ */
+const crlStatus = (crl, cert, issuer, time) => {
+  if (!crl.issuer.equals(issuer.subject.der)) return null
+  if (issuer.keyUsage && !issuer.keyUsage.includes('cRLSign')) return null
+  if (crl.unsupportedCritical || crl.delta) return null
+  if (crl.issuingDistributionPoint &&
+    !inScope(crl.issuingDistributionPoint, cert)) return null
+  if (!verifySignature(crl.signatureAlgorithm, crl.tbs, crl.signature,
+    issuer.spki)) return null
+  if (time && (crl.thisUpdate > time.latest ||
+    (crl.nextUpdate && crl.nextUpdate < time.earliest))) return null
+
+  return crl.revoked.has(cert.serial) ? 'revoked' : 'good'
+}
+
+module.exports = {
+  parseOCSPResponse,
+  parseCRLs,
+  ocspStatus,
+  crlStatus
+}
@@ -1,16 +1,28 @@
 const { Duplex } = require('stream')
+const fs = require('fs')
+const path = require('path')
 const net = require('net')
 const crypto = require('crypto')
 const {
-  createHash, createHmac, createSign, createCipheriv,
-  createDecipheriv, publicEncrypt, randomFillSync, constants
+  createHash, createHmac, createCipheriv, createDecipheriv,
+  createECDH, createPublicKey, generateKeyPairSync, diffieHellman,
+  publicEncrypt, randomFillSync, sign, verify, constants
 } = crypto
 
 const { alloc, concat, from } = Buffer
 
-const { asn1, pki } = require('node-forge')
 const Debug = require('debug')
 
+const PRF = require('./prf')
+const {
+  nameFromDer, formatName, formatAltNames, parseCertificate,
+  certificateFromPem, isIssuer, isSelfIssued, checkNameConstraints,
+  verifyCertificate, Extension, KeyPurpose
+} = require('./x509')
+const {
+  parseOCSPResponse, parseCRLs, ocspStatus, crlStatus
+} = require('./revocation')
+
 /** log handshake and change cipher spec message name */
 const log = Debug('telsa:log')
 
@@ -27,13 +39,160 @@ const K = x => y => x
 
 /** @constant {buffer} - TLS version 1.2 */
 const VER12 = from([0x03, 0x03])
-/** @constant {buffer} - cipher suite */
-const AES_128_CBC_SHA = from([0x00, 0x2f])
-/** @constant {buffer} - signature algorithm */
-const RSA_PKCS1_SHA256 = from([0x04, 0x01])
+/**
+ * A cipher suite describes the key exchange, bulk cipher, mac and prf
+ * algorithms negotiated in handshake.
+ *
+ * @typedef {object} CipherSuite
+ * @property {number} code - cipher suite in wire format
+ * @property {string} name - standard (IANA) name
+ * @property {string} keyExchange - `RSA`, `ECDHE_RSA` or `ECDHE_ECDSA`
+ * @property {string} cipher - bulk cipher name in node crypto
+ * @property {string} cipherType - `block` or `aead`
+ * @property {number} keyLength - encryption key length
+ * @property {number} ivLength - iv length in key block, for aead cipher,
+ * this is the length of implicit nonce (salt)
+ * @property {string|null} mac - hmac hash algorithm, `null` for aead cipher
+ * @property {number} macLength - mac key length, also the mac length
+ * @property {string} prf - prf hash algorithm
+ */
+
+/**
+ * defines a cipher suite. Key, iv and mac lengths are derived from
+ * the bulk cipher and mac algorithm.
+ * @param {number} code - cipher suite in wire format
+ * @param {string} name - standard name
+ * @param {string} keyExchange - key exchange algorithm
+ * @param {string} cipher - bulk cipher name in node crypto
+ * @param {string|null} mac - hmac hash algorithm
+ * @param {string} prf - prf hash algorithm
+ * @returns {CipherSuite}
+ */
+const defineSuite = (code, name, keyExchange, cipher, mac, prf) => {
+  const aead = cipher.endsWith('-gcm')
+  return {
+    code,
+    name,
+    keyExchange,
+    cipher,
+    cipherType: aead ? 'aead' : 'block',
+    keyLength: parseInt(cipher.split('-')[1]) / 8,
+    ivLength: aead ? 4 : 16,
+    mac,
+    macLength: mac ? createHash(mac).digest().length : 0,
+    prf
+  }
+}
+
+/**
+ * @constant {CipherSuite[]} - supported cipher suites, in default
+ * preference order, which is overridden by `opts.ciphers`.
+ */
+const CIPHER_SUITES = [
+  defineSuite(0xc02b, 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256',
+    'ECDHE_ECDSA', 'aes-128-gcm', null, 'sha256'),
+  defineSuite(0xc02f, 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256',
+    'ECDHE_RSA', 'aes-128-gcm', null, 'sha256'),
+  defineSuite(0xc02c, 'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384',
+    'ECDHE_ECDSA', 'aes-256-gcm', null, 'sha384'),
+  defineSuite(0xc030, 'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384',
+    'ECDHE_RSA', 'aes-256-gcm', null, 'sha384'),
+  defineSuite(0xc023, 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA256',
+    'ECDHE_ECDSA', 'aes-128-cbc', 'sha256', 'sha256'),
+  defineSuite(0xc027, 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA256',
+    'ECDHE_RSA', 'aes-128-cbc', 'sha256', 'sha256'),
+  defineSuite(0xc009, 'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA',
+    'ECDHE_ECDSA', 'aes-128-cbc', 'sha1', 'sha256'),
+  defineSuite(0xc013, 'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA',
+    'ECDHE_RSA', 'aes-128-cbc', 'sha1', 'sha256'),
+  defineSuite(0xc00a, 'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA',
+    'ECDHE_ECDSA', 'aes-256-cbc', 'sha1', 'sha256'),
+  defineSuite(0xc014, 'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA',
+    'ECDHE_RSA', 'aes-256-cbc', 'sha1', 'sha256'),
+  defineSuite(0x009c, 'TLS_RSA_WITH_AES_128_GCM_SHA256',
+    'RSA', 'aes-128-gcm', null, 'sha256'),
+  defineSuite(0x009d, 'TLS_RSA_WITH_AES_256_GCM_SHA384',
+    'RSA', 'aes-256-gcm', null, 'sha384'),
+  defineSuite(0x003c, 'TLS_RSA_WITH_AES_128_CBC_SHA256',
+    'RSA', 'aes-128-cbc', 'sha256', 'sha256'),
+  defineSuite(0x002f, 'TLS_RSA_WITH_AES_128_CBC_SHA',
+    'RSA', 'aes-128-cbc', 'sha1', 'sha256'),
+  defineSuite(0x0035, 'TLS_RSA_WITH_AES_256_CBC_SHA',
+    'RSA', 'aes-256-cbc', 'sha1', 'sha256')
+]
+
 /** @constant {number} - for public key encryption padding */
 const RSA_PKCS1_PADDING = constants.RSA_PKCS1_PADDING
 
+/** @enum {number} - hello extension type */
+const ExtensionType = {
+  SERVER_NAME: 0,
+  STATUS_REQUEST: 5,
+  SUPPORTED_GROUPS: 10,
+  EC_POINT_FORMATS: 11,
+  SIGNATURE_ALGORITHMS: 13,
+  APPLICATION_LAYER_PROTOCOL_NEGOTIATION: 16,
+  EXTENDED_MASTER_SECRET: 23,
+  SESSION_TICKET: 35,
+  RENEGOTIATION_INFO: 65281
+}
+
+/** @enum {number} - named group for ECDHE, rfc8422 */
+const NamedGroup = {
+  SECP256R1: 23,
+  SECP384R1: 24,
+  X25519: 29
+}
+
+/** @constant {number[]} - named groups offered in ClientHello, by preference */
+const NAMED_GROUPS = [
+  NamedGroup.X25519,
+  NamedGroup.SECP256R1,
+  NamedGroup.SECP384R1
+]
+
+/** @constant {buffer} - der prefix of a x25519 SubjectPublicKeyInfo */
+const X25519_SPKI_PREFIX = from('302a300506032b656e032100', 'hex')
+
+/** @enum {number} - client certificate type in CertificateRequest */
+const ClientCertificateType = {
+  RSA_SIGN: 1,
+  ECDSA_SIGN: 64
+}
+
+/**
+ * A signature scheme describes how to sign CertificateVerify or verify
+ * a signature in ServerKeyExchange
+ * @typedef {object} SignatureScheme
+ * @property {number} code - SignatureAndHashAlgorithm in wire format
+ * @property {string} name - standard name, as in tls 1.3
+ * @property {string} key - node asymmetric key type, `rsa` or `ec`
+ * @property {string} hash - hash algorithm
+ * @property {boolean} [pss] - rsa signature uses pss padding
+ */
+
+/**
+ * @constant {SignatureScheme[]} - signature schemes offered in ClientHello
+ * signature_algorithms extension, by preference
+ */
+const SIGNATURE_SCHEMES = [
+  { code: 0x0403, name: 'ecdsa_secp256r1_sha256', key: 'ec', hash: 'sha256' },
+  { code: 0x0503, name: 'ecdsa_secp384r1_sha384', key: 'ec', hash: 'sha384' },
+  { code: 0x0603, name: 'ecdsa_secp521r1_sha512', key: 'ec', hash: 'sha512' },
+  { code: 0x0804, name: 'rsa_pss_rsae_sha256', key: 'rsa', hash: 'sha256', pss: true },
+  { code: 0x0805, name: 'rsa_pss_rsae_sha384', key: 'rsa', hash: 'sha384', pss: true },
+  { code: 0x0806, name: 'rsa_pss_rsae_sha512', key: 'rsa', hash: 'sha512', pss: true },
+  { code: 0x0401, name: 'rsa_pkcs1_sha256', key: 'rsa', hash: 'sha256' },
+  { code: 0x0501, name: 'rsa_pkcs1_sha384', key: 'rsa', hash: 'sha384' },
+  { code: 0x0601, name: 'rsa_pkcs1_sha512', key: 'rsa', hash: 'sha512' }
+]
+
+/**
+ * @constant {number} - default time limit in milliseconds for signing
+ * CertificateVerify
+ */
+const DEFAULT_SIGN_TIMEOUT = 30000
+
 /**
  * reads a 24bit unsigned integer from the first 3-byte of a buffer
  * @param {buffer} buf
@@ -41,6 +200,13 @@ const RSA_PKCS1_PADDING = constants.RSA_PKCS1_PADDING
  */
 const readUInt24 = buf => buf[0] * 65536 + buf[1] * 256 + buf[2]
 
+/**
+ * prepends 1-byte length to given buffer
+ * @param {buffer} b
+ * @returns {buffer}
+ */
+const prepend8 = b => concat([from([b.length]), b])
+
 /**
  * prepends 2-byte length to given buffer
  * @param {buffer} b
@@ -64,38 +230,717 @@ const prepend24 = b =>
 const SHA256 = data => createHash('sha256').update(data).digest()
 
 /**
- * calculates sha1 hmac
+ * calculates hmac
+ * @param {string} hash - hash algorithm
  * @param {buffer} key - mac key
  * @param {buffer} data
  * @returns {buffer}
  */
-const HMAC1 = (key, data) => createHmac('sha1', key).update(data).digest()
+const HMAC = (hash, key, data) => createHmac(hash, key).update(data).digest()
 
 /**
- * calculates sha256 hmac
- * @param {buffer} key - mac key
- * @param {buffer} data
+ * encodes an array of 16bit unsigned integers
+ * @param {number[]} arr
+ * @returns {buffer}
+ */
+const encodeUInt16s = arr =>
+  from(arr.reduce((acc, n) => [...acc, n >> 8, n & 0xff], []))
+
+/**
+ * encodes a hello extension
+ * @param {number} type - extension type
+ * @param {buffer} data - extension data
  * @returns {buffer}
  */
-const HMAC256 = (key, data) => createHmac('sha256', key).update(data).digest()
+const extension = (type, data) => concat([encodeUInt16s([type]), prepend16(data)])
 
 /**
- * pseudo random function for key generation and expansion, see rfc5246.
+ * generates an ephemeral key pair on given named group and computes the
+ * shared secret with the peer's public key.
  *
- * @function
- * @param {buffer} secret
- * @param {string} label
- * @param {buffer} seed
- * @param {number} length
- * @returns {buffer} buffer of given length
- */
-const PRF256 = (secret, label, seed, length) => {
-  seed = concat([from(label, 'binary'), seed])
-  let P_HASH = Buffer.alloc(0)
-  for (let A = from(seed); P_HASH.length < length;
-    A = HMAC256(secret, A),
-    P_HASH = concat([P_HASH, HMAC256(secret, concat([A, seed]))]));
-  return P_HASH.slice(0, length)
+ * The secret is used as the pre-master secret, see rfc8422 and rfc7748.
+ * This function throws plain error if peer's public key is invalid.
+ *
+ * @param {number} group - named group
+ * @param {buffer} peer - peer public key (point) in wire format
+ * @returns {object} `{ publicKey, secret }`, both are buffers
+ */
+const ECDHE = (group, peer) => {
+  switch (group) {
+    case NamedGroup.X25519: {
+      if (peer.length !== 32) throw new Error('invalid x25519 public key')
+      const { publicKey, privateKey } = generateKeyPairSync('x25519')
+      const secret = diffieHellman({
+        privateKey,
+        publicKey: createPublicKey({
+          key: concat([X25519_SPKI_PREFIX, peer]),
+          format: 'der',
+          type: 'spki'
+        })
+      })
+
+      // rfc8422, all-zero value must be aborted
+      if (secret.equals(alloc(32))) throw new Error('all-zero x25519 secret')
+      return {
+        publicKey: publicKey.export({ format: 'der', type: 'spki' }).slice(-32),
+        secret
+      }
+    }
+    case NamedGroup.SECP256R1:
+    case NamedGroup.SECP384R1: {
+      const ecdh = createECDH(group === NamedGroup.SECP256R1
+        ? 'prime256v1' : 'secp384r1')
+      const publicKey = ecdh.generateKeys()
+      return { publicKey, secret: ecdh.computeSecret(peer) }
+    }
+    default:
+      throw new Error('unsupported named group')
+  }
+}
+
+/**
+ * A session holds the states for resuming a connection.
+ * @typedef {object} Session
+ * @property {string} host - server host
+ * @property {Buffer} id - session id
+ * @property {Buffer} masterSecret - master secret
+ * @property {number} cipherSuite - cipher suite code
+ * @property {boolean} extendedMasterSecret - if extended master secret is used
+ * @property {Buffer} [ticket] - session ticket (rfc5077)
+ * @property {number} [ticketExpiry] - ticket expiry time in milliseconds
+ * since epoch, derived from ticket lifetime hint
+ */
+
+/**
+ * serializes a session into an opaque buffer
+ * @param {Session} session
+ * @returns {buffer}
+ */
+const serializeSession = session => from(JSON.stringify({
+  host: session.host,
+  id: session.id.toString('hex'),
+  masterSecret: session.masterSecret.toString('hex'),
+  cipherSuite: session.cipherSuite,
+  extendedMasterSecret: session.extendedMasterSecret,
+  ticket: session.ticket && session.ticket.toString('hex'),
+  ticketExpiry: session.ticketExpiry
+}))
+
+/**
+ * deserializes a session from the buffer returned by `serializeSession`
+ * @param {buffer} buf
+ * @returns {Session}
+ * @throws {Error} if the buffer is not a valid session
+ */
+const deserializeSession = buf => {
+  let obj
+  try {
+    obj = JSON.parse(from(buf).toString())
+  } catch (e) {
+    throw new Error('invalid session')
+  }
+
+  if (!obj || typeof obj.host !== 'string' ||
+    typeof obj.id !== 'string' ||
+    typeof obj.masterSecret !== 'string' ||
+    typeof obj.cipherSuite !== 'number') {
+    throw new Error('invalid session')
+  }
+
+  return {
+    host: obj.host,
+    id: from(obj.id, 'hex'),
+    masterSecret: from(obj.masterSecret, 'hex'),
+    cipherSuite: obj.cipherSuite,
+    extendedMasterSecret: !!obj.extendedMasterSecret,
+    ticket: typeof obj.ticket === 'string' ? from(obj.ticket, 'hex') : undefined,
+    ticketExpiry: obj.ticketExpiry
+  }
+}
+
+/**
+ * An identity is a client certificate and its private key.
+ * @typedef {object} Identity
+ * @property {Buffer[]} chain - client certificate and intermediates in
+ * DER format, from the leaf, as sent in Certificate message
+ * @property {Buffer[]} issuers - issuer distinguished names of the chain
+ * in DER format
+ * @property {string} keyType - `rsa` or `ec`
+ * @property {string|function} [key] - private key in PEM format, or
+ * a signing function
+ * @property {function} [signDigest] - a digest signing function
+ * @property {number} [fieldSize] - ec field element size in bytes, for
+ * converting raw signature to DER
+ * @property {number[]} schemes - signature schemes the key could sign,
+ * by preference
+ */
+
+/**
+ * splits concatenated certificates in PEM format, such as a CA bundle
+ * @param {string|Buffer} pem
+ * @returns {string[]} certificates in PEM format
+ */
+const splitPem = pem => pem.toString()
+  .match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) ||
+  []
+
+/**
+ * loads certificates, such as trust anchors, from PEM certificates and a
+ * directory of CA files, such as `/etc/ssl/certs`. Duplicate certificates
+ * are loaded once. Malformed certificates are ignored.
+ * @param {string|Buffer|Array<string|Buffer>} [pem] - PEM certificates
+ * @param {string} [dir] - directory of CA files in PEM format
+ * @returns {Certificate[]}
+ */
+const loadCertificates = (pem, dir) => {
+  const pems = [].concat(pem || []).reduce((a, c) => [...a, ...splitPem(c)], [])
+
+  if (dir) {
+    fs.readdirSync(dir).forEach(name => {
+      const file = path.join(dir, name)
+      try {
+        if (fs.statSync(file).isFile()) {
+          pems.push(...splitPem(fs.readFileSync(file)))
+        }
+      } catch (e) {
+        log('failed to read ca file', file, e.message)
+      }
+    })
+  }
+
+  const seen = new Set()
+  return pems.reduce((anchors, pem) => {
+    const key = pem.replace(/\s/g, '')
+    if (seen.has(key)) return anchors
+    seen.add(key)
+    try {
+      anchors.push(certificateFromPem(pem))
+    } catch (e) {
+      log('malformed certificate ignored', e.message)
+    }
+    return anchors
+  }, [])
+}
+
+/**
+ * @constant {number} - max number of certificates in a certification path,
+ * including the leaf
+ */
+const MAX_PATH_LENGTH = 8
+
+/**
+ * @constant {number} - max number of rejected certification paths before
+ * path building gives up
+ */
+const MAX_REJECTED_PATHS = 16
+
+/**
+ * @constant {string[]} - sha1WithRSAEncryption and ecdsa-with-SHA1,
+ * rejected except in self-signatures of trust anchors, which are not
+ * verified
+ */
+const SHA1_SIGNATURES = ['1.2.840.113549.1.1.5', '1.2.840.10045.4.1']
+
+/**
+ * formats subject distinguished name of a certificate
+ * @param {Certificate} cert
+ * @returns {string} eg. `CN=example.com, O=Example`
+ */
+const subjectName = cert => formatName(cert.subject)
+
+/**
+ * calculates SubjectPublicKeyInfo SHA-256 hash of a certificate,
+ * as `pin-sha256` in rfc7469
+ * @param {Certificate} cert
+ * @returns {string} hash in base64
+ */
+const spkiHash = cert =>
+  createHash('sha256').update(cert.spki).digest('base64')
+
+/**
+ * A pin is a SubjectPublicKeyInfo SHA-256 hash of a server certificate,
+ * or any certificate in its certification path.
+ * @typedef {object} Pin
+ * @property {string} sha256 - hash in base64, as `pin-sha256` in rfc7469
+ * @property {number} [expires] - expiry time in milliseconds since epoch
+ * @property {boolean} [backup] - a backup pin for a key not deployed yet
+ */
+
+/**
+ * validates and normalizes `opts.pins`. At least one backup pin is
+ * required, so that the server key could be replaced without bricking
+ * devices, as recommended in rfc7469 section 4.3.
+ * @param {Array<string|object>} [pins] - a hash in base64, or an object
+ * with `sha256`, `expires` and `backup` properties
+ * @returns {Pin[]}
+ */
+const normalizePins = (pins = []) => {
+  pins = pins.map(pin => {
+    if (typeof pin === 'string') pin = { sha256: pin }
+    const sha256 = Buffer.isBuffer(pin.sha256)
+      ? pin.sha256.toString('base64')
+      : pin.sha256
+    if (typeof sha256 !== 'string' ||
+      from(sha256, 'base64').length !== 32) {
+      throw new Error('invalid pin sha256')
+    }
+    const expires = pin.expires instanceof Date
+      ? pin.expires.getTime()
+      : pin.expires
+    return { sha256, expires, backup: !!pin.backup }
+  })
+
+  if (pins.length && !pins.some(pin => pin.backup)) {
+    throw new Error('pins must include a backup pin')
+  }
+
+  return pins
+}
+
+/**
+ * A rejected path describes why a certification path is not trusted.
+ * If it is rejected due to validity period, `certificate`, `bound`,
+ * `notBefore`, `notAfter`, `earliest` and `latest` properties are
+ * provided as in {@link checkValidity}.
+ * @typedef {object} RejectedPath
+ * @property {string[]} certificates - subject names, from the leaf
+ * @property {string} reason - why the path is rejected
+ * @property {boolean} anchored - the path reaches a trust anchor
+ * @property {number} [alert] - alert description if the path violates
+ * certificate constraints, see {@link verifyPath}
+ */
+
+/**
+ * A trusted time is a time interval, in which the true time is believed
+ * to be. Infinite bounds are allowed.
+ * @typedef {object} TrustedTime
+ * @property {number} earliest - lower bound, milliseconds since epoch
+ * @property {number} latest - upper bound, milliseconds since epoch
+ * @property {string} [source] - where the time comes from, for reporting
+ */
+
+/**
+ * checks certificate validity period against a trusted time. The
+ * certificate is rejected only if it is certainly expired or not yet
+ * valid at any time in the interval.
+ * @param {Certificate} cert
+ * @param {TrustedTime} time
+ * @returns {object|undefined} `{ reason, certificate, bound, notBefore,
+ * notAfter, earliest, latest }` if failed, where `bound` is `earliest` or
+ * `latest`, the bound of trusted time the certificate fails.
+ */
+const checkValidity = (cert, time) => {
+  const { notBefore, notAfter } = cert
+  const iso = t => Number.isFinite(t) ? new Date(t).toISOString() : t
+  const failed = (bound, reason) => ({
+    reason: `${subjectName(cert)} ${reason} (${time.source || 'clock'})`,
+    certificate: subjectName(cert),
+    bound,
+    notBefore,
+    notAfter,
+    earliest: time.earliest,
+    latest: time.latest
+  })
+
+  if (notAfter.getTime() < time.earliest) {
+    return failed('earliest', `expired at ${notAfter.toISOString()}, ` +
+      `before the earliest trusted time ${iso(time.earliest)}`)
+  }
+
+  if (notBefore.getTime() > time.latest) {
+    return failed('latest', `is not valid until ${notBefore.toISOString()}, ` +
+      `after the latest trusted time ${iso(time.latest)}`)
+  }
+}
+
+/**
+ * creates a monotonic floor clock. It trusts system time unless it is
+ * earlier than any floor, such as the firmware build date or the last
+ * persisted good time. In that case, the system time is considered wrong,
+ * and the true time is only known to be no earlier than the floor.
+ * @param {...(Date|number|function)} floors - a Date, milliseconds since
+ * epoch, or a function returning either, evaluated on each call, eg.
+ * loading the last persisted good time.
+ * @returns {function} clock function returning {@link TrustedTime}
+ */
+const monotonicFloorClock = (...floors) => () => {
+  const floor = Math.max(-Infinity, ...floors
+    .map(f => Number(typeof f === 'function' ? f() : f))
+    .filter(f => !Number.isNaN(f)))
+  const now = Date.now()
+  return now >= floor
+    ? { earliest: now, latest: now, source: 'system time' }
+    : { earliest: floor, latest: Infinity, source: 'monotonic floor' }
+}
+
+/**
+ * creates a tolerant clock, trusting system time within given skew
+ * @param {number} skew - tolerated clock skew in milliseconds
+ * @param {function} [clock] - the underlying clock, defaults to system time
+ * @returns {function} clock function returning {@link TrustedTime}
+ */
+const tolerantClock = (skew, clock) => () => {
+  const now = Date.now()
+  const { earliest, latest, source } = clock
+    ? clock()
+    : { earliest: now, latest: now, source: 'system time' }
+  return {
+    earliest: Number(earliest) - skew,
+    latest: Number(latest) + skew,
+    source: `${source || 'clock'} with ${skew}ms skew`
+  }
+}
+
+/**
+ * A peer certificate is a plain object describing a server certificate,
+ * in the same shape as node tls `getPeerCertificate()` returns, so that
+ * node `tls.checkServerIdentity` could be used as well.
+ * @typedef {object} PeerCertificate
+ * @property {object} subject - subject attributes by short name, eg. `CN`
+ * @property {object} issuer - issuer attributes by short name
+ * @property {string} [subjectaltname] - comma-separated subject alternative
+ * names, eg. `DNS:example.com, IP Address:127.0.0.1`
+ * @property {Buffer} raw - certificate in DER format
+ */
+
+/**
+ * parses an ip address
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {buffer|null} 4 or 16 bytes address, or null if not an ip
+ */
+const parseIP = ip => {
+  if (net.isIPv4(ip)) return from(ip.split('.').map(Number))
+  if (!net.isIPv6(ip)) return null
+
+  ip = ip.split('%')[0]
+  // embedded IPv4, eg. ::ffff:1.2.3.4
+  const m = ip.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/)
+  if (m) {
+    const b = m.slice(2).map(Number)
+    ip = m[1] + ((b[0] << 8) | b[1]).toString(16) + ':' +
+      ((b[2] << 8) | b[3]).toString(16)
+  }
+
+  const groups = str => str ? str.split(':') : []
+  const [head, tail] = ip.split('::')
+  const h = groups(head)
+  const t = groups(tail)
+  const words = [...h, ...Array(8 - h.length - t.length).fill('0'), ...t]
+  const buf = alloc(16)
+  words.forEach((w, i) => buf.writeUInt16BE(parseInt(w, 16), i * 2))
+  return buf
+}
+
+/**
+ * matches a host name against a reference identifier in certificate,
+ * case-insensitively, as specified in rfc6125 section 6.4. A wildcard is
+ * only allowed as the complete left-most label and matches exactly one
+ * label. It is not allowed directly under a top-level domain.
+ * @param {string} host - host name
+ * @param {string} pattern - dns name in certificate
+ * @returns {boolean}
+ */
+const matchHostname = (host, pattern) => {
+  const h = host.toLowerCase().replace(/\.$/, '').split('.')
+  const p = pattern.toLowerCase().replace(/\.$/, '').split('.')
+  if (h.length !== p.length || h.some(l => !l) || p.some(l => !l)) {
+    return false
+  }
+
+  if (p[0] === '*') {
+    if (p.length < 3) return false
+    return p.slice(1).every((l, i) => l === h[i + 1])
+  }
+
+  return p.every((l, i) => l === h[i])
+}
+
+/**
+ * verifies server identity as specified in rfc6125. If the host is an ip
+ * address, it must match an IP address in subjectAltName. Otherwise, it
+ * must match a DNS name in subjectAltName; the subject common name is
+ * used only if there is no DNS name in subjectAltName.
+ *
+ * This is the default `opts.checkServerIdentity`.
+ * @param {string} host - server host name or ip address
+ * @param {PeerCertificate} cert - server certificate
+ * @returns {Error|undefined} an error if failed
+ */
+const checkServerIdentity = (host, cert) => {
+  const altNames = (cert.subjectaltname || '').split(', ').filter(x => x)
+  const dnsNames = altNames
+    .filter(n => n.startsWith('DNS:'))
+    .map(n => n.slice(4))
+  const ips = altNames
+    .filter(n => n.startsWith('IP Address:'))
+    .map(n => n.slice(11))
+
+  let valid, reason
+  const ip = parseIP(host)
+  if (ip) {
+    valid = ips.some(x => {
+      const addr = parseIP(x)
+      return !!addr && addr.equals(ip)
+    })
+    reason = `IP: ${host} is not in the cert's list: ${ips.join(', ')}`
+  } else if (dnsNames.length) {
+    valid = dnsNames.some(name => matchHostname(host, name))
+    reason = `Host: ${host}. is not in the cert's altnames: ` +
+      altNames.join(', ')
+  } else {
+    const cns = [].concat((cert.subject && cert.subject.CN) || [])
+    valid = cns.some(cn => typeof cn === 'string' && matchHostname(host, cn))
+    reason = `Host: ${host}. is not cert's CN: ${cns.join(', ')}`
+  }
+
+  if (!valid) {
+    const err = new Error(
+      `Hostname/IP does not match certificate's altnames: ${reason}`)
+    err.code = 'ERR_TLS_CERT_ALTNAME_INVALID'
+    err.reason = reason
+    err.host = host
+    err.cert = cert
+    return err
+  }
+}
+
+/**
+ * converts a certificate to a peer certificate
+ * @param {Certificate} cert
+ * @returns {PeerCertificate}
+ */
+const peerCertificate = cert => {
+  const attrs = name => name.attributes.reduce((o, a) =>
+    Object.assign(o, {
+      [a.name]: o[a.name] === undefined ? a.value : [].concat(o[a.name], a.value)
+    }), {})
+
+  const pc = {
+    subject: attrs(cert.subject),
+    issuer: attrs(cert.issuer),
+    raw: cert.raw
+  }
+
+  if (cert.subjectAltName) {
+    pc.subjectaltname = formatAltNames(cert.subjectAltName)
+  }
+  return pc
+}
+
+/**
+ * @constant {string[]} - extensions enforced in path validation, server
+ * key usage check and server identity check. A certificate with any other
+ * critical extension is rejected, rfc5280 section 6.1.4 (o).
+ */
+const SUPPORTED_CRITICAL_EXTENSIONS = [
+  Extension.BASIC_CONSTRAINTS,
+  Extension.KEY_USAGE,
+  Extension.EXT_KEY_USAGE,
+  Extension.NAME_CONSTRAINTS,
+  Extension.SUBJECT_ALT_NAME
+]
+
+/**
+ * verifies signatures and constraints along a certification path. Each
+ * certificate must be issued and signed by the next one, or the trust
+ * anchor for the last one. Node crypto verifies RSA PKCS#1 v1.5, RSA-PSS,
+ * ECDSA and Ed25519 signatures. SHA-1 signatures are rejected, and the
+ * signature algorithm must match the issuer key type.
+ *
+ * Certificates other than the leaf must be CA certificates allowed to
+ * sign certificates. The path length constraint and name constraints of
+ * each CA, including the trust anchor, are enforced as in rfc5280 section
+ * 6.1, where self-issued intermediates are not counted or constrained.
+ * No certificate in the path, including the trust anchor, may have an
+ * unsupported critical extension.
+ * @param {Certificate[]} chain - from the leaf
+ * @param {Certificate} anchor - trust anchor
+ * @returns {object|undefined} `{ reason, alert }` if failed, where
+ * `alert` is undefined for signature failure
+ */
+const verifyPath = (chain, anchor) => {
+  const { BAD_CERTIFICATE } = AlertDescription
+  const failed = (cert, reason, alert) =>
+    ({ reason: `${subjectName(cert)} ${reason}`, alert })
+
+  const path = [...chain, anchor]
+  for (let i = 0; i < chain.length; i++) {
+    if (SHA1_SIGNATURES.includes(chain[i].signatureAlgorithm.oid)) {
+      return failed(chain[i], 'is signed with SHA-1')
+    }
+    if (!isIssuer(chain[i], path[i + 1]) ||
+      !verifyCertificate(chain[i], path[i + 1])) {
+      return failed(chain[i], 'signature invalid')
+    }
+  }
+
+  for (const cert of path) {
+    const ext = cert.extensions.find(ext => ext.critical &&
+      !SUPPORTED_CRITICAL_EXTENSIONS.includes(ext.oid))
+    if (ext) {
+      return failed(cert, `has unsupported critical extension ${ext.oid}`,
+        BAD_CERTIFICATE)
+    }
+  }
+
+  for (let i = 1; i < path.length; i++) {
+    const ca = path[i]
+    const bc = ca.basicConstraints
+
+    if (i < chain.length) {
+      if (!bc || !bc.ca) return failed(ca, 'is not a CA', BAD_CERTIFICATE)
+      if (ca.keyUsage && !ca.keyUsage.includes('keyCertSign')) {
+        return failed(ca, 'key usage does not allow keyCertSign',
+          BAD_CERTIFICATE)
+      }
+    }
+
+    const depth = path.slice(1, i).filter(c => !isSelfIssued(c)).length
+    if (bc && bc.pathLen !== undefined && depth > bc.pathLen) {
+      return failed(ca, `path length constraint ${bc.pathLen} exceeded`,
+        BAD_CERTIFICATE)
+    }
+
+    if (ca.nameConstraints) {
+      for (let j = 0; j < i; j++) {
+        if (j > 0 && isSelfIssued(path[j])) continue
+        const name = checkNameConstraints(path[j], ca.nameConstraints)
+        if (name) {
+          return failed(path[j], `name ${name} violates name constraints ` +
+            `of ${subjectName(ca)}`, BAD_CERTIFICATE)
+        }
+      }
+    }
+  }
+}
+
+/**
+ * orders client certificates into a chain from the leaf, where each
+ * certificate is issued and signed by the next one. The leaf is the only
+ * certificate not issuing any other one.
+ * @param {Certificate[]} certs - certificates in any order
+ * @returns {Certificate[]}
+ * @throws {Error} if the certificates do not link up into a single chain
+ */
+const orderClientChain = certs => {
+  const issues = (issuer, cert) => issuer !== cert &&
+    isIssuer(cert, issuer) && verifyCertificate(cert, issuer)
+
+  const leaves = certs.filter(cert => !certs.some(c => issues(cert, c)))
+  if (leaves.length !== 1) {
+    throw new Error('client certificate chain does not link up, ' +
+      `leaf certificates: ${leaves.map(subjectName).join('; ') || 'none'}`)
+  }
+
+  const chain = leaves
+  while (chain.length < certs.length) {
+    const last = chain[chain.length - 1]
+    const issuer = certs.find(c => !chain.includes(c) && issues(c, last))
+    if (!issuer) {
+      throw new Error('client certificate chain does not link up, ' +
+        `issuer of ${subjectName(last)} not found`)
+    }
+    chain.push(issuer)
+  }
+  return chain
+}
+
+/**
+ * creates an identity from given certificate and key
+ * @param {object} opts
+ * @param {string|Buffer|Array<string|Buffer>} opts.cert - client
+ * certificate in PEM format, optionally with intermediates, either as a
+ * concatenated PEM bundle or an array, in any order
+ * @param {string|function} [opts.key] - private key in PEM format or
+ * a signing function
+ * @param {function} [opts.signDigest] - a digest signing function, used
+ * in place of `opts.key`
+ * @returns {Identity}
+ */
+const createIdentity = ({ cert, key, signDigest }) => {
+  if (!cert || !(key || signDigest)) {
+    throw new Error('client certificate and key must be provided together')
+  }
+
+  if (signDigest && typeof signDigest !== 'function') {
+    throw new Error('signDigest must be a function')
+  }
+
+  const certs = [].concat(cert)
+    .reduce((a, c) => [...a, ...splitPem(c)], [])
+    .map(certificateFromPem)
+    .filter((c, i, arr) => arr.findIndex(x => x.raw.equals(c.raw)) === i)
+  if (!certs.length) throw new Error('invalid client certificate')
+
+  const chain = orderClientChain(certs)
+  const x509 = chain[0]
+  const keyType = x509.publicKey.asymmetricKeyType
+  const curve = keyType === 'ec' &&
+    x509.publicKey.asymmetricKeyDetails.namedCurve
+
+  let schemes
+  if (keyType === 'rsa' && signDigest) {
+    schemes = [0x0401, 0x0501, 0x0601]
+  } else if (keyType === 'rsa') {
+    // a signing function signs data with rsa_pkcs1_sha256 only
+    schemes = typeof key === 'function'
+      ? [0x0401]
+      : [0x0401, 0x0501, 0x0601, 0x0804, 0x0805, 0x0806]
+  } else if (keyType === 'ec' && (signDigest || typeof key === 'function')) {
+    // a signing function signs data with ecdsa_secp256r1_sha256 only,
+    // a digest signing function signs digest of the matching size
+    if (curve === 'prime256v1') {
+      schemes = [0x0403]
+    } else if (curve === 'secp384r1' && signDigest) {
+      schemes = [0x0503]
+    } else {
+      throw new Error(`unsupported ec curve ${curve} for signing function`)
+    }
+  } else if (keyType === 'ec') {
+    schemes = [0x0403, 0x0503, 0x0603]
+  } else {
+    throw new Error(`unsupported client key type ${keyType}`)
+  }
+
+  return {
+    chain: chain.map(c => c.raw),
+    issuers: chain.map(c => c.issuer.der),
+    keyType,
+    key: signDigest ? undefined : key,
+    signDigest,
+    fieldSize: curve === 'secp384r1' ? 48 : 32,
+    schemes
+  }
+}
+
+/**
+ * encodes an unsigned big-endian integer as DER INTEGER
+ * @param {buffer} buf
+ * @returns {buffer}
+ */
+const derInteger = buf => {
+  let i = 0
+  while (i < buf.length - 1 && buf[i] === 0) i++
+  buf = buf.slice(i)
+  if (buf[0] & 0x80) buf = concat([from([0]), buf])
+  return concat([from([0x02, buf.length]), buf])
+}
+
+/**
+ * converts a raw ECDSA signature (r||s, as produced by secure elements)
+ * to DER-encoded ECDSA-Sig-Value required by TLS. A DER signature is
+ * returned as is.
+ * @param {buffer} sig - raw or DER signature
+ * @param {number} size - field element size in bytes, 32 for P-256
+ * @returns {buffer} DER signature
+ */
+const ecdsaSigToDer = (sig, size) => {
+  if (sig.length !== size * 2) return sig
+  const body = concat([
+    derInteger(sig.slice(0, size)),
+    derInteger(sig.slice(size))
+  ])
+  return concat([from([0x30, body.length]), body])
 }
 
 /**
@@ -137,23 +982,24 @@ const createSequenceNumber = () => {
  */
 
 /**
- * This is a (higher-order) factory function to generate a cipher function,
- * which maintains sequence number internally.
+ * This is a (higher-order) factory function to generate a block cipher
+ * function, which maintains sequence number internally.
  * @function createCipher
+ * @param {CipherSuite} suite - negotiated cipher suite
  * @param {buffer} key - encryption key
  * @param {buffer} macKey - hmac key
  * @param {bigint} _iv - initial iv
  * @returns {CipherFunction}
  */
-const createCipher = (key, macKey, _iv) => {
+const createCipher = (suite, key, macKey, _iv) => {
   const SN = createSequenceNumber()
   return (type, data) => {
     const iv = SHA256((++_iv).toString()).slice(0, 16)
     const tbs = concat([SN(), from([type]), VER12, prepend16(data)])
-    const mac = HMAC1(macKey, tbs)
+    const mac = HMAC(suite.mac, macKey, tbs)
     const len = 16 - (data.length + mac.length) % 16
     const pad = Buffer.alloc(len, len - 1)
-    const c = createCipheriv('aes-128-cbc', key, iv).setAutoPadding(false)
+    const c = createCipheriv(suite.cipher, key, iv).setAutoPadding(false)
     return concat([iv, c.update(concat([data, mac, pad])), c.final()])
   }
 }
@@ -171,39 +1017,95 @@ const createCipher = (key, macKey, _iv) => {
  */
 
 /**
- * This is a higher order factory funtion to generate a decipher function,
- * which maintains sequence number internally.
+ * This is a higher order factory funtion to generate a block decipher
+ * function, which maintains sequence number internally.
  *
  * @function createDecipher
+ * @param {CipherSuite} suite - negotiated cipher suite
  * @param {buffer} key - decryption key
  * @param {buffer} macKey - hmac key
  * @returns {DecipherFunction}
  */
-const createDecipher = (key, macKey) => {
+const createDecipher = (suite, key, macKey) => {
   const SN = createSequenceNumber()
+  const { macLength } = suite
   return (type, data) => {
     const iv = data.slice(0, 16)
-    const d = createDecipheriv('aes-128-cbc', key, iv).setAutoPadding(false)
+    const d = createDecipheriv(suite.cipher, key, iv).setAutoPadding(false)
     const dec = concat([d.update(data.slice(16)), d.final()])
 
     const len = dec[dec.length - 1] + 1
-    if (dec.length < len) {
+    if (dec.length < len + macLength) {
       throw new Error('bad padding')
     }
     const pad = dec.slice(dec.length - len)
     if (!pad.equals(Buffer.alloc(len, len - 1))) {
       throw new Error('bad padding')
     }
-    data = dec.slice(0, dec.length - len - 20)
-    const smac = dec.slice(dec.length - len - 20, dec.length - len)
+    data = dec.slice(0, dec.length - len - macLength)
+    const smac = dec.slice(dec.length - len - macLength, dec.length - len)
     const tbs = concat([SN(), from([type]), VER12, prepend16(data)])
-    const cmac = HMAC1(macKey, tbs)
+    const cmac = HMAC(suite.mac, macKey, tbs)
 
     if (!smac.equals(cmac)) throw new Error('mac mismatch')
     return data
   }
 }
 
+/**
+ * This is a higher-order factory function to generate an AEAD cipher
+ * function (AES-GCM), which maintains sequence number internally.
+ * The sequence number is also used as the explicit part of nonce.
+ *
+ * ```
+ * struct {
+ *   opaque salt[4];          // client_write_IV
+ *   opaque nonce_explicit[8];
+ * } GCMNonce;
+ *
+ * additional_data = seq_num + TLSCompressed.type +
+ *                   TLSCompressed.version + TLSCompressed.length;
+ * ```
+ * @function createAEADCipher
+ * @param {CipherSuite} suite - negotiated cipher suite
+ * @param {buffer} key - encryption key
+ * @param {buffer} salt - implicit nonce (fixed iv), 4 bytes
+ * @returns {CipherFunction}
+ */
+const createAEADCipher = (suite, key, salt) => {
+  const SN = createSequenceNumber()
+  return (type, data) => {
+    const sn = SN()
+    const c = createCipheriv(suite.cipher, key, concat([salt, sn]))
+    c.setAAD(concat([sn, from([type]), VER12, encodeUInt16s([data.length])]))
+    return concat([sn, c.update(data), c.final(), c.getAuthTag()])
+  }
+}
+
+/**
+ * This is a higher order factory funtion to generate an AEAD decipher
+ * function (AES-GCM), which maintains sequence number internally.
+ *
+ * @function createAEADDecipher
+ * @param {CipherSuite} suite - negotiated cipher suite
+ * @param {buffer} key - decryption key
+ * @param {buffer} salt - implicit nonce (fixed iv), 4 bytes
+ * @returns {DecipherFunction}
+ */
+const createAEADDecipher = (suite, key, salt) => {
+  const SN = createSequenceNumber()
+  return (type, data) => {
+    if (data.length < 8 + 16) throw new Error('bad aead record length')
+    const nonce = concat([salt, data.slice(0, 8)])
+    const tag = data.slice(data.length - 16)
+    data = data.slice(8, data.length - 16)
+    const d = createDecipheriv(suite.cipher, key, nonce)
+    d.setAAD(concat([SN(), from([type]), VER12, encodeUInt16s([data.length])]))
+    d.setAuthTag(tag)
+    return concat([d.update(data), d.final()])
+  }
+}
+
 /** @enum {number} tls record content type */
 const ContentType = {
   CHANGE_CIPHER_SPEC: 20,
@@ -243,13 +1145,15 @@ const HandshakeType = {
   HELLO_REQUEST: 0,
   CLIENT_HELLO: 1,
   SERVER_HELLO: 2,
+  NEW_SESSION_TICKET: 4,
   CERTIFICATE: 11,
   SERVER_KEY_EXCHANGE: 12,
   CERTIFICATE_REQUEST: 13,
   SERVER_HELLO_DONE: 14,
   CERTIFICATE_VERIFY: 15,
   CLIENT_KEY_EXCHANGE: 16,
-  FINISHED: 20
+  FINISHED: 20,
+  CERTIFICATE_STATUS: 22
 }
 
 /**
@@ -261,13 +1165,15 @@ const handshakeType = type => {
     HELLO_REQUEST,
     CLIENT_HELLO,
     SERVER_HELLO,
+    NEW_SESSION_TICKET,
     CERTIFICATE,
     SERVER_KEY_EXCHANGE,
     CERTIFICATE_REQUEST,
     SERVER_HELLO_DONE,
     CERTIFICATE_VERIFY,
     CLIENT_KEY_EXCHANGE,
-    FINISHED
+    FINISHED,
+    CERTIFICATE_STATUS
   } = HandshakeType
 
   switch (type) {
@@ -277,6 +1183,8 @@ const handshakeType = type => {
       return 'ClientHello'
     case SERVER_HELLO:
       return 'ServerHello'
+    case NEW_SESSION_TICKET:
+      return 'NewSessionTicket'
     case CERTIFICATE:
       return 'Certificate'
     case SERVER_KEY_EXCHANGE:
@@ -291,6 +1199,8 @@ const handshakeType = type => {
       return 'ClientKeyExchange'
     case FINISHED:
       return 'Finished'
+    case CERTIFICATE_STATUS:
+      return 'CertificateStatus'
     default:
       throw new Error(`unknown handshake type ${type}`)
   }
@@ -346,7 +1256,9 @@ const AlertDescription = {
   INTERNAL_ERROR: 80,
   USER_CANCELED: 90,
   NO_RENEGOTIATION: 100,
-  UNSUPPORTED_EXTENSION: 110
+  UNSUPPORTED_EXTENSION: 110,
+  BAD_CERTIFICATE_STATUS_RESPONSE: 113,
+  NO_APPLICATION_PROTOCOL: 120
 }
 
 /**
@@ -379,7 +1291,9 @@ const alertDescription = desc => {
     INTERNAL_ERROR,
     USER_CANCELED,
     NO_RENEGOTIATION,
-    UNSUPPORTED_EXTENSION
+    UNSUPPORTED_EXTENSION,
+    BAD_CERTIFICATE_STATUS_RESPONSE,
+    NO_APPLICATION_PROTOCOL
   } = AlertDescription
 
   switch (desc) {
@@ -433,6 +1347,10 @@ const alertDescription = desc => {
       return 'no_renegotiation'
     case UNSUPPORTED_EXTENSION:
       return 'unsupported_extension'
+    case BAD_CERTIFICATE_STATUS_RESPONSE:
+      return 'bad_certificate_status_response'
+    case NO_APPLICATION_PROTOCOL:
+      return 'no_application_protocol'
     default: // description may be extended by other spec
       return 'unknown_alert_description'
   }
@@ -500,25 +1418,189 @@ class TLSAlert extends Error {
 }
 
 /**
- * @typedef {object} Fragment
- * @property {number} type - content type
- * @property {Buffer} data - fragment data
+ * A hello extension describes how an extension is encoded in ClientHello
+ * and how the one echoed in ServerHello is handled. The server must not
+ * send an extension that is not offered by the client.
+ *
+ * @typedef {object} HelloExtension
+ * @property {number} type - extension type
+ * @property {string} name - extension name
+ * @property {function} encode - `telsa => {}`, returns extension data,
+ * or a falsy value if the extension is not offered.
+ * @property {function} handle - `(telsa, data) => {}`, handles extension
+ * data in ServerHello, throws TLSError if the data is malformed or illegal.
+ * @property {function} [absent] - `telsa => {}`, called if the extension
+ * is offered but absent in ServerHello.
  */
 
 /**
- * @typedef {object} Message
- * @property {number} type - content type
- * @property {Buffer} data - message data (no fragment)
+ * @constant {HelloExtension[]} - hello extensions, in the order they
+ * appear in ClientHello
  */
+const HELLO_EXTENSIONS = [
+  {
+    type: ExtensionType.SERVER_NAME,
+    name: 'server_name',
+    encode: telsa => telsa.servername && prepend16(concat([
+      from([0]), // host_name
+      prepend16(from(telsa.servername, 'ascii'))
+    ])),
+    handle: (telsa, data) => {
+      // rfc6066, server_name in ServerHello must be empty
+      if (data.length) {
+        throw new TLSError(AlertDescription.DECODE_ERROR,
+          'non-empty server_name')
+      }
+    }
+  },
+  {
+    type: ExtensionType.STATUS_REQUEST,
+    name: 'status_request',
+    // ocsp, with empty responder_id_list and request_extensions
+    encode: telsa => from([1, 0, 0, 0, 0]),
+    handle: (telsa, data) => {
+      // rfc6066, status_request in ServerHello must be empty
+      if (data.length) {
+        throw new TLSError(AlertDescription.DECODE_ERROR,
+          'non-empty status_request')
+      }
+      telsa.certificateStatusExpected = true
+    }
+  },
+  {
+    type: ExtensionType.SUPPORTED_GROUPS,
+    name: 'supported_groups',
+    encode: telsa => prepend16(encodeUInt16s(NAMED_GROUPS)),
+    handle: (telsa, data) => {
+      // rfc8422, server does not send this extension
+      throw new TLSError(AlertDescription.UNSUPPORTED_EXTENSION,
+        'unexpected supported_groups in ServerHello')
+    }
+  },
+  {
+    type: ExtensionType.EC_POINT_FORMATS,
+    name: 'ec_point_formats',
+    encode: telsa => prepend8(from([0])), // uncompressed
+    handle: (telsa, data) => {
+      const { DECODE_ERROR, ILLEGAL_PARAMETER } = AlertDescription
+
+      // it was offered, but only concerns ECC suites, rfc8422
+      if (telsa.cipherSuite.keyExchange === 'RSA') return
+
+      if (!data.length || data[0] + 1 !== data.length) {
+        throw new TLSError(DECODE_ERROR, 'invalid ec_point_formats')
+      }
+
+      if (!data.slice(1).includes(0)) {
+        throw new TLSError(ILLEGAL_PARAMETER,
+          'uncompressed point format not supported by server')
+      }
+    }
+  },
+  {
+    type: ExtensionType.SIGNATURE_ALGORITHMS,
+    name: 'signature_algorithms',
+    encode: telsa =>
+      prepend16(encodeUInt16s(SIGNATURE_SCHEMES.map(s => s.code))),
+    handle: (telsa, data) => {
+      // rfc5246, server must not send this extension
+      throw new TLSError(AlertDescription.UNSUPPORTED_EXTENSION,
+        'unexpected signature_algorithms in ServerHello')
+    }
+  },
+  {
+    type: ExtensionType.APPLICATION_LAYER_PROTOCOL_NEGOTIATION,
+    name: 'application_layer_protocol_negotiation',
+    encode: telsa => telsa.ALPNProtocols.length &&
+      prepend16(concat(telsa.ALPNProtocols.map(p => prepend8(p)))),
+    handle: (telsa, data) => {
+      const { DECODE_ERROR, NO_APPLICATION_PROTOCOL } = AlertDescription
+
+      // rfc7301, server responds with exactly one protocol name
+      if (data.length < 3 || data.readUInt16BE() !== data.length - 2 ||
+        data[2] !== data.length - 3) {
+        throw new TLSError(DECODE_ERROR, 'invalid alpn protocol name list')
+      }
+
+      const protocol = data.slice(3)
+      if (!telsa.ALPNProtocols.find(p => p.equals(protocol))) {
+        throw new TLSError(NO_APPLICATION_PROTOCOL,
+          'server selected an alpn protocol not offered')
+      }
+
+      telsa.alpnProtocol = protocol.toString()
+    }
+  },
+  {
+    type: ExtensionType.EXTENDED_MASTER_SECRET,
+    name: 'extended_master_secret',
+    encode: telsa => alloc(0),
+    handle: (telsa, data) => {
+      if (data.length) {
+        throw new TLSError(AlertDescription.DECODE_ERROR,
+          'non-empty extended_master_secret')
+      }
+      telsa.extendedMasterSecret = true
+    },
+    absent: telsa => {
+      if (telsa.opts.requireExtendedMasterSecret) {
+        throw new TLSError(AlertDescription.HANDSHAKE_FAILURE,
+          'server does not support extended master secret')
+      }
+    }
+  },
+  {
+    type: ExtensionType.SESSION_TICKET,
+    name: 'session_ticket',
+    encode: telsa => (telsa.session && telsa.session.ticket) || alloc(0),
+    handle: (telsa, data) => {
+      if (data.length) {
+        throw new TLSError(AlertDescription.DECODE_ERROR,
+          'non-empty session_ticket')
+      }
+      // rfc5077, server must send NewSessionTicket
+      telsa.newSessionTicketExpected = true
+    }
+  },
+  {
+    // rfc5746, always offered. It is empty in the initial handshake and
+    // carries client verify_data of the previous handshake in a
+    // renegotiation.
+    type: ExtensionType.RENEGOTIATION_INFO,
+    name: 'renegotiation_info',
+    encode: telsa => prepend8(telsa.renegotiating
+      ? telsa.verifyData.client
+      : alloc(0)),
+    handle: (telsa, data) => {
+      const expected = prepend8(telsa.renegotiating
+        ? concat([telsa.verifyData.client, telsa.verifyData.server])
+        : alloc(0))
+      if (!data.equals(expected)) {
+        throw new TLSError(AlertDescription.HANDSHAKE_FAILURE,
+          'renegotiation_info mismatch')
+      }
+      telsa.secureRenegotiation = true
+    },
+    absent: telsa => {
+      if (telsa.renegotiating) {
+        throw new TLSError(AlertDescription.HANDSHAKE_FAILURE,
+          'server does not support secure renegotiation')
+      }
+      telsa.secureRenegotiation = false
+    }
+  }
+]
 
 /**
- * forge-specific x509 data structure
- * @typedef {object} ForgeCertificate
+ * @typedef {object} Fragment
+ * @property {number} type - content type
+ * @property {Buffer} data - fragment data
  */
 
 /**
- * forge-specific asn1 data structor
- * @typedef {object} ForgeAsn1
+ * @typedef {object} Message
+ * @property {number} type - content type
+ * @property {Buffer} data - message data (no fragment)
  */
 
 
@@ -585,13 +1667,80 @@ class Telsa extends Duplex {
    * @param {object} opts
    * @param {number} opts.port - server port 
    * @param {string} opts.host - server domain name
-   * @param {string} opts.ca - root CA certificate in PEM format
-   * @param {string} opts.cert - client certificate in PEM format
-   * @param {string|function} opts.key - client private key in PEM format
-   * or an asynchronous function that could sign data.
-   * @param {Date|null} [opts.validityCheckDate] - this parameter is passed
-   * to forge pki.verifyCertificateChain. set `null` will skip validating
-   * certificate's date.
+   * @param {string|Buffer|Array<string|Buffer>} opts.ca - trust anchors,
+   * root CA certificates in PEM format. Either a single certificate, a
+   * concatenated PEM bundle, or an array of them.
+   * @param {string} [opts.caDir] - a directory of CA files in PEM format,
+   * such as `/etc/ssl/certs`, loaded in addition to `opts.ca`.
+   * @param {string|Buffer|Array<string|Buffer>} [opts.intermediates] -
+   * intermediate CA certificates in PEM format, used in building the
+   * server certification path if the server does not send them.
+   * @param {string|Buffer|Array<string|Buffer>} [opts.cert] - client
+   * certificate in PEM format, optionally with intermediate CA
+   * certificates, as a concatenated PEM bundle or an array. They are sent
+   * from the leaf to the root, and must link up into a single chain.
+   * If not provided, an empty certificate list is sent if the server
+   * requests a client certificate.
+   * @param {string|function} [opts.key] - client private key in PEM format
+   * or an asynchronous function that could sign data. It must be provided
+   * along with `opts.cert`.
+   * @param {function} [opts.signDigest] - `(digest, alg, signal) =>
+   * Promise<Buffer>`, signs the digest of handshake messages, hashed by
+   * Telsa for the negotiated signature algorithm `alg`, such as
+   * `ecdsa_secp256r1_sha256`. `signal` is an AbortSignal aborted if the
+   * connection is terminated or signing times out. Used in place of
+   * `opts.key`.
+   * @param {number} [opts.signTimeout] - time limit in milliseconds for
+   * `opts.key` function or `opts.signDigest`, defaults to 30 seconds.
+   * @param {object[]} [opts.identities] - multiple client certificate and
+   * key pairs, `{ cert, key }` or `{ cert, signDigest }`, in the same
+   * format as `opts.cert`, `opts.key` and `opts.signDigest`. The one
+   * matching CertificateRequest is sent. If provided, `opts.cert`,
+   * `opts.key` and `opts.signDigest` are ignored.
+   * @param {Array<string|object>} [opts.pins] - SubjectPublicKeyInfo
+   * SHA-256 hashes in base64, or objects `{ sha256, expires, backup }`,
+   * where `expires` is a Date and `backup` marks a backup pin. At least
+   * one backup pin is required.
+   * @param {boolean} [opts.pinReportOnly] - emits `pinMismatch` event
+   * rather than failing the handshake if pins mismatch.
+   * @param {string|Buffer|Array<string|Buffer>} [opts.crls] - CRLs in
+   * PEM or DER format, checked against server certificates.
+   * @param {string} [opts.revocation] - `soft` (default) fails the
+   * handshake only if a server certificate is known to be revoked. `hard`
+   * also fails it if the revocation status of the server (leaf) certificate
+   * is unknown, that is, neither a valid stapled ocsp response nor a valid
+   * CRL is available. Intermediates are checked against CRLs if any, but
+   * an unknown status does not fail the handshake.
+   * @param {function} [opts.checkServerIdentity] - `(host, cert) =>
+   * Error|undefined`, verifies server certificate against the host name,
+   * like node tls. `cert` is a {@link PeerCertificate}. Defaults to
+   * `Telsa.checkServerIdentity`, which follows rfc6125.
+   * @param {Date|null} [opts.validityCheckDate] - certificates, ocsp
+   * responses and CRLs are validated at this date, rather than the current
+   * system time. set `null` will skip validating their dates.
+   * @param {function} [opts.clock] - `() => TrustedTime`, provides trusted
+   * time for validating dates, if `opts.validityCheckDate` is not
+   * provided. See `Telsa.monotonicFloorClock` and `Telsa.tolerantClock`.
+   * @param {string} [opts.servername] - server name sent in server_name
+   * (SNI) extension, defaults to `opts.host`. Empty string or an ip
+   * address disables the extension.
+   * @param {Array<string|Buffer>} [opts.ALPNProtocols] - protocol names
+   * offered in application_layer_protocol_negotiation (ALPN) extension,
+   * by preference.
+   * @param {boolean} [opts.requireExtendedMasterSecret] - fails the
+   * handshake if the server does not support extended master secret
+   * (rfc7627).
+   * @param {string} [opts.renegotiation] - what to do on HelloRequest
+   * after the connection is established. `refuse` (default) replies with
+   * a no_renegotiation warning alert. `accept` runs a full handshake over
+   * the established connection if the server supports secure
+   * renegotiation (rfc5746), otherwise it is refused as well.
+   * @param {Buffer} [opts.session] - a session emitted in `session` event
+   * from a previous connection to the same host. Telsa tries to resume it
+   * with an abbreviated handshake.
+   * @param {string|string[]} [opts.ciphers] - cipher suite names offered
+   * in ClientHello, by preference. Either an array or a colon-separated
+   * string of standard names, such as `TLS_RSA_WITH_AES_128_CBC_SHA`.
    * @param {object} [opts.socket] - for mocking socket in test
    */
   constructor (opts = {}) {
@@ -600,43 +1749,157 @@ class Telsa extends Duplex {
     /** options */
     this.opts = opts
 
-    if (!this.opts.ca) {
+    if (!this.opts.ca && !this.opts.caDir) {
       throw new Error('ca not provided')
     }
 
-    /** root ca certificate in forge format */
-    this.ca = pki.certificateFromPem(this.opts.ca)
+    /** trust anchors */
+    this.cas = loadCertificates(this.opts.ca, this.opts.caDir)
+    if (!this.cas.length) {
+      throw new Error('no supported ca certificate')
+    }
+
+    /**
+     * intermediate certificates, used in building
+     * certification paths in addition to those sent by server
+     */
+    this.intermediates = loadCertificates(this.opts.intermediates)
+
+    /**
+     * public key pins
+     * @type {Pin[]}
+     */
+    this.pins = normalizePins(this.opts.pins)
 
-    /** ca store in forge format*/
-    this.caStore = pki.createCaStore([this.ca])
+    if (this.opts.revocation !== undefined &&
+      this.opts.revocation !== 'soft' && this.opts.revocation !== 'hard') {
+      throw new Error('revocation must be soft or hard')
+    }
 
-    if (!this.opts.cert) {
-      throw new Error('client certificate not provided')
+    if (this.opts.renegotiation !== undefined &&
+      this.opts.renegotiation !== 'refuse' &&
+      this.opts.renegotiation !== 'accept') {
+      throw new Error('renegotiation must be refuse or accept')
     }
 
-    /** 
-     * client cert in PEM format 
-     * @type {string}
+    /** locally provisioned CRLs */
+    this.crls = [].concat(this.opts.crls || [])
+      .reduce((crls, data) => [...crls, ...parseCRLs(data)], [])
+
+    /**
+     * true if server agrees to send CertificateStatus (ocsp stapling)
+     * @type {boolean}
      */
-    this.certPem = this.opts.cert
+    this.certificateStatusExpected = false
 
-    /** 
-     * client cert in forge format 
-     * @type {ForgeCertificate}
+    /** parsed ocsp response in CertificateStatus */
+    this.ocspResponse = null
+
+    /**
+     * verified server certification path, from the leaf to the trust
+     * anchor
      */
-    this.cert = pki.certificateFromPem(this.certPem)
+    this.serverChain = null
 
-    /** 
-     * client cert in forge asn1 format 
-     * @type {ForgeAsn1}
+    /** true if revocation status of server certificates is not checked */
+    this.revocationPending = false
+
+    /**
+     * trusted time read once when server certificates are verified, and
+     * used in path validation, pinning and revocation checking
+     * @type {TrustedTime|null}
      */
-    this.certAsn1 = pki.certificateToAsn1(this.cert)
+    this.verificationTime = null
 
-    /** 
-     * client cert in DER format
-     * @type {Buffer}
+    /**
+     * client certificates and keys
+     * @type {Identity[]}
+     */
+    const { cert, key, signDigest } = this.opts
+    this.identities = (this.opts.identities ||
+      (cert || key || signDigest ? [{ cert, key, signDigest }] : []))
+      .map(createIdentity)
+
+    /**
+     * client identity selected for CertificateRequest, or `null` if
+     * no client certificate is sent.
+     * @type {Identity|null}
+     */
+    this.identity = null
+
+    /**
+     * signature scheme selected for CertificateVerify
+     * @type {SignatureScheme|null}
+     */
+    this.signatureScheme = null
+
+    /**
+     * pending signing operation, `{ controller, timer }`
+     * @type {object|null}
+     */
+    this.signing = null
+
+    /**
+     * true if server sends CertificateRequest
+     * @type {boolean}
+     */
+    this.certificateRequested = false
+
+    const ciphers = typeof this.opts.ciphers === 'string'
+      ? this.opts.ciphers.split(':')
+      : this.opts.ciphers
+
+    /**
+     * cipher suites offered in ClientHello, by preference
+     * @type {CipherSuite[]}
+     */
+    this.cipherSuites = ciphers
+      ? ciphers.map(name => {
+        const suite = CIPHER_SUITES.find(suite => suite.name === name)
+        if (!suite) throw new Error(`unsupported cipher suite ${name}`)
+        return suite
+      })
+      : CIPHER_SUITES
+
+    if (!this.cipherSuites.length) {
+      throw new Error('no cipher suite')
+    }
+
+    const servername = this.opts.servername === undefined
+      ? this.opts.host
+      : this.opts.servername
+
+    /**
+     * server name sent in server_name extension, rfc6066 does not
+     * permit literal ip addresses.
+     * @type {string|null}
+     */
+    this.servername = servername && !net.isIP(servername) ? servername : null
+
+    /**
+     * alpn protocol names offered in ClientHello, by preference
+     * @type {Buffer[]}
+     */
+    this.ALPNProtocols = (this.opts.ALPNProtocols || []).map(p => {
+      const name = from(p)
+      if (!name.length || name.length > 255) {
+        throw new Error('invalid alpn protocol name')
+      }
+      return name
+    })
+
+    /**
+     * alpn protocol selected by server, or `false` if alpn is
+     * not negotiated. It is available after `connect` event.
+     * @type {string|boolean}
+     */
+    this.alpnProtocol = false
+
+    /**
+     * extension types offered in ClientHello
+     * @type {number[]}
      */
-    this.certDer = Buffer.from(asn1.toDer(this.certAsn1).data, 'binary')
+    this.offeredExtensions = []
 
     /**
      * pending or draining `_write` operation
@@ -669,8 +1932,61 @@ class Telsa extends Duplex {
      */
     this.clientRandom = randomFillSync(alloc(32))
 
+    const session = this.opts.session
+      ? deserializeSession(this.opts.session)
+      : null
+
+    // expired ticket is not offered
+    if (session && session.ticket && session.ticketExpiry &&
+      session.ticketExpiry < Date.now()) {
+      session.ticket = undefined
+    }
+
+    // rfc5077, a random session id is sent along with the ticket,
+    // the server echoes it if the ticket is accepted.
+    if (session && session.ticket && !session.id.length) {
+      session.id = randomFillSync(alloc(32))
+    }
+
+    /**
+     * session to resume, offered in ClientHello. A session is offered only
+     * to the same host, and only if its cipher suite is offered.
+     * @type {Session|null}
+     */
+    this.session = session && session.host === this.opts.host &&
+      session.id.length &&
+      this.cipherSuites.find(suite => suite.code === session.cipherSuite)
+      ? session
+      : null
+
+    /**
+     * true if the server acknowledges session_ticket extension in
+     * ServerHello, and NewSessionTicket message is expected.
+     * @type {boolean}
+     */
+    this.newSessionTicketExpected = false
+
+    /**
+     * new session ticket received in NewSessionTicket
+     * @type {Buffer|undefined}
+     */
+    this.ticket = undefined
+
+    /**
+     * expiry time of new session ticket, derived from lifetime hint
+     * @type {number|undefined}
+     */
+    this.ticketExpiry = undefined
+
+    /**
+     * true if the server accepts the offered session, which means an
+     * abbreviated handshake
+     * @type {boolean}
+     */
+    this.resumed = false
+
     /** 
-     * session id, received in ServerHello (not used anywhere)
+     * session id, received in ServerHello
      * @type {Buffer} 
      */
     this.sessionId = undefined
@@ -681,16 +1997,29 @@ class Telsa extends Duplex {
      */
     this.serverRandom = undefined
 
-    /** 
-     * server certificates received in server Certificate. Items 
-     * are stored in forge format in the order that the cert with 
-     * highest authority comes at last.
-     * @type {ForgeCertificate[]}
+    /**
+     * server certificates received in server Certificate, in the order
+     * that the cert with highest authority comes at last.
+     * @type {Certificate[]}
      */
     this.serverCertificates = []
 
+    /**
+     * negotiated cipher suite, received in ServerHello
+     * @type {CipherSuite}
+     */
+    this.cipherSuite = undefined
+
+    /**
+     * server ECDH parameters, received in ServerKeyExchange, including
+     * named group and public key (point) in wire format.
+     * @type {object}
+     */
+    this.serverECDH = undefined
+
     /** 
-     * pre-master secret 
+     * pre-master secret. For RSA key exchange, it is generated here.
+     * For ECDHE, it is replaced by the shared secret in ClientKeyExchange.
      * @type {Buffer}
      */
     this.preMasterSecret = concat([VER12, randomFillSync(alloc(46))])
@@ -701,6 +2030,12 @@ class Telsa extends Duplex {
      */
     this.masterSecret = undefined
 
+    /**
+     * true if extended master secret is negotiated (rfc7627)
+     * @type {boolean}
+     */
+    this.extendedMasterSecret = false
+
     /** 
      * client write mac key 
      * @type {Buffer}
@@ -725,12 +2060,31 @@ class Telsa extends Duplex {
      */
     this.serverWriteKey = undefined
 
+    /**
+     * client write iv, implicit nonce for AEAD cipher
+     * @type {Buffer}
+     */
+    this.clientWriteIV = undefined
+
+    /**
+     * server write iv, implicit nonce for AEAD cipher
+     * @type {Buffer}
+     */
+    this.serverWriteIV = undefined
+
     /** 
      * saved handshake messages for protocol
      * @type {Buffer[]}
      */
     this.msgs = []
 
+    /**
+     * running hash of handshake messages, created when the cipher
+     * suite is negotiated, using the prf hash algorithm of the suite.
+     * @type {crypto.Hash}
+     */
+    this.transcript = null
+
     /** 
      * cipher function
      * @type {CipherFunction} 
@@ -743,6 +2097,33 @@ class Telsa extends Duplex {
      */
     this.decipher = null
 
+    /**
+     * true if server ChangeCipherSpec is received in current handshake.
+     * `decipher` alone does not tell it in a renegotiation.
+     * @type {boolean}
+     */
+    this.changeCipherSpecReceived = false
+
+    /**
+     * verify_data in client and server Finished of the last handshake,
+     * sent in renegotiation_info extension in a renegotiation (rfc5746)
+     * @type {object}
+     */
+    this.verifyData = { client: alloc(0), server: alloc(0) }
+
+    /**
+     * true if server supports secure renegotiation (rfc5746)
+     * @type {boolean}
+     */
+    this.secureRenegotiation = false
+
+    /**
+     * true if a renegotiation is in progress. The state stays ESTABLISHED
+     * and application data keeps flowing in both directions.
+     * @type {boolean}
+     */
+    this.renegotiating = false
+
     /**
      * underlying connection
      * @type {net.Socket}
@@ -943,6 +2324,24 @@ class Telsa extends Duplex {
     }
     msg.from = from
     this.msgs.push(msg)
+    if (this.transcript) this.transcript.update(msg)
+  }
+
+  /**
+   * starts the running hash of handshake messages with the prf hash
+   * algorithm of negotiated cipher suite. Messages saved before are
+   * hashed immediately.
+   */
+  startTranscript () {
+    this.transcript = createHash(this.cipherSuite.prf)
+    this.msgs.forEach(msg => this.transcript.update(msg))
+  }
+
+  /**
+   * @returns {Buffer} hash of all handshake messages so far
+   */
+  transcriptHash () {
+    return this.transcript.copy().digest()
   }
 
   /**
@@ -973,30 +2372,81 @@ class Telsa extends Duplex {
     }
   }
 
-  /** derive keys from pre-master secret, client and server random */
-  deriveKeys () {
-    this.masterSecret = PRF256(this.preMasterSecret, 'master secret',
-      concat([this.clientRandom, this.serverRandom]), 48)
+  /**
+   * assert last handshake message before server ChangeCipherSpec and
+   * server Finished, which is:
+   * - server NewSessionTicket, if expected
+   * - server ServerHello, in an abbreviated handshake
+   * - client Finished, in a full handshake
+   */
+  assertLastBeforeServerFinished () {
+    const { SERVER_HELLO, NEW_SESSION_TICKET, FINISHED } = HandshakeType
+
+    if (this.newSessionTicketExpected) {
+      this.assertLast('server', NEW_SESSION_TICKET)
+    } else if (this.resumed) {
+      this.assertLast('server', SERVER_HELLO)
+    } else {
+      this.assertLast('client', FINISHED)
+    }
+  }
 
-    const keys = PRF256(this.masterSecret, 'key expansion',
-      concat([this.serverRandom, this.clientRandom]), 2 * (20 + 16) + 16)
+  /**
+   * @returns {crypto.KeyObject} public key of server (leaf) certificate
+   */
+  serverPublicKey () {
+    return this.serverCertificates[0].publicKey
+  }
 
-    this.clientWriteMacKey = keys.slice(0, 20)
-    this.serverWriteMacKey = keys.slice(20, 40)
-    this.clientWriteKey = keys.slice(40, 56)
-    this.serverWriteKey = keys.slice(56, 72)
-    this.iv = Array.from(keys.slice(72))
+  /**
+   * derive master secret from pre-master secret, client and server random.
+   * This function must be called after ClientKeyExchange, when
+   * pre-master secret is settled.
+   *
+   * If extended master secret is negotiated, the master secret is
+   * derived from session hash, which is the hash of handshake messages
+   * up to and including ClientKeyExchange. rfc7627
+   */
+  deriveMasterSecret () {
+    const { prf } = this.cipherSuite
+
+    this.masterSecret = this.extendedMasterSecret
+      ? PRF(this.preMasterSecret, 'extended master secret',
+        this.transcriptHash(), 48, prf)
+      : PRF(this.preMasterSecret, 'master secret',
+        concat([this.clientRandom, this.serverRandom]), 48, prf)
+  }
+
+  /**
+   * derive keys from master secret, client and server random.
+   */
+  deriveKeys () {
+    const { macLength, keyLength, ivLength, prf } = this.cipherSuite
+
+    let keys = PRF(this.masterSecret, 'key expansion',
+      concat([this.serverRandom, this.clientRandom]),
+      2 * (macLength + keyLength + ivLength), prf)
+    const shift = size => K(keys.slice(0, size))(keys = keys.slice(size))
+
+    this.clientWriteMacKey = shift(macLength)
+    this.serverWriteMacKey = shift(macLength)
+    this.clientWriteKey = shift(keyLength)
+    this.serverWriteKey = shift(keyLength)
+    this.clientWriteIV = shift(ivLength)
+    this.serverWriteIV = shift(ivLength)
+
+    // block cipher iv is generated from this seed, see `createCipher`
+    this.iv = Array.from(this.clientWriteIV)
       .reduce((sum, c, i) =>
         (sum + BigInt(c) << (BigInt(8) * BigInt(i))), BigInt(0))
   }
 
   /**
-   * set server random and derives keys
+   * set server random
    * @param {buffer} random - server random
    */
   setServerRandom (random) {
     this.serverRandom = random
-    this.deriveKeys()
   }
 
   /** 
@@ -1004,8 +2454,8 @@ class Telsa extends Duplex {
    * @returns {Buffer} client verify data
    */
   clientVerifyData () {
-    return PRF256(this.masterSecret, 'client finished',
-      SHA256(concat(this.msgs)), 12)
+    return PRF(this.masterSecret, 'client finished',
+      this.transcriptHash(), 12, this.cipherSuite.prf)
   }
 
   /** 
@@ -1013,8 +2463,8 @@ class Telsa extends Duplex {
    * @returns {Buffer} server verify data
    */
   serverVerifyData () {
-    return PRF256(this.masterSecret, 'server finished',
-      SHA256(concat(this.msgs)), 12)
+    return PRF(this.masterSecret, 'server finished',
+      this.transcriptHash(), 12, this.cipherSuite.prf)
   }
 
   /**
@@ -1022,8 +2472,11 @@ class Telsa extends Duplex {
    */
   changeCipherSpec () {
     this.sendChangeCipherSpec()
-    this.cipher = createCipher(this.clientWriteKey,
-      this.clientWriteMacKey, this.iv)
+    const suite = this.cipherSuite
+    this.cipher = suite.cipherType === 'aead'
+      ? createAEADCipher(suite, this.clientWriteKey, this.clientWriteIV)
+      : createCipher(suite, this.clientWriteKey,
+        this.clientWriteMacKey, this.iv)
   }
 
   /**
@@ -1034,7 +2487,7 @@ class Telsa extends Duplex {
    * @throws {TLSError} DECODE_ERROR
    */
   handleSocketData (data) {
-    const { DECODE_ERROR } = AlertDescription
+    const { DECODE_ERROR, UNEXPECTED_MESSAGE } = AlertDescription
 
     this.incomming = Buffer.concat([this.incomming, data])
     while (true) {
@@ -1046,7 +2499,7 @@ class Telsa extends Duplex {
           this.handleAlert(data)
           break
         case ContentType.CHANGE_CIPHER_SPEC:
-          this.assertLast('client', HandshakeType.FINISHED)
+          this.assertLastBeforeServerFinished()
           this.handleChangeCipherSpec(data)
           break
         case ContentType.HANDSHAKE:
@@ -1093,15 +2546,19 @@ class Telsa extends Duplex {
    * - enforcing state and sequence, throw UNEXPECTED_MESSAGE if violated
    * - save message to buffer
    * - sign ClientVerify asynchonously
+   * - in an abbreviated handshake, send ChangeCipherSpec and Finished
+   * after server Finished
    * - change to ESTABLISHED state if handshake succeeded
-   * - HELLO_REQUEST is ignored
+   * - HELLO_REQUEST is handled according to `opts.renegotiation` in
+   * ESTABLISHED state, and ignored if a handshake is in progress
    * @param {Buffer} msg - full message data, including type, length, and body
    */
   handleHandshakeMessage (msg) {
     const {
-      HELLO_REQUEST, CLIENT_HELLO, SERVER_HELLO, CERTIFICATE,
-      SERVER_KEY_EXCHANGE, CERTIFICATE_REQUEST, SERVER_HELLO_DONE,
-      CERTIFICATE_VERIFY, CLIENT_KEY_EXCHANGE, FINISHED
+      HELLO_REQUEST, CLIENT_HELLO, SERVER_HELLO, NEW_SESSION_TICKET,
+      CERTIFICATE, SERVER_KEY_EXCHANGE, CERTIFICATE_REQUEST,
+      SERVER_HELLO_DONE, CERTIFICATE_VERIFY, CLIENT_KEY_EXCHANGE, FINISHED,
+      CERTIFICATE_STATUS
     } = HandshakeType
 
     const { UNEXPECTED_MESSAGE, DECODE_ERROR } = AlertDescription
@@ -1110,11 +2567,16 @@ class Telsa extends Duplex {
 
     log('  -> ' + handshakeType(type))
 
-    // ignore
-    if (type === HELLO_REQUEST) return
+    // HelloRequest is not saved (rfc5246, 7.4.1.1)
+    if (type === HELLO_REQUEST) {
+      if (this.state === 'ESTABLISHED' && !this.renegotiating) {
+        this.handleHelloRequest(data)
+      }
+      return
+    }
 
-    if (this.state !== 'HANDSHAKING') {
-      throw new TLSERROR(UNEXPECTED_MESSAGE, 
+    if (this.state !== 'HANDSHAKING' && !this.renegotiating) {
+      throw new TLSError(UNEXPECTED_MESSAGE,
         `unexpected handshake message in ${this.state} state`)
     }
 
@@ -1125,25 +2587,86 @@ class Telsa extends Duplex {
         this.assertLast('client', CLIENT_HELLO)
         this.handleServerHello(data)
         this.saveMessage('server', msg)
+        if (this.resumed) this.deriveKeys()
+        break
+      case NEW_SESSION_TICKET:
+        if (!this.newSessionTicketExpected) {
+          throw new TLSError(UNEXPECTED_MESSAGE,
+            'unexpected new session ticket')
+        }
+        if (this.resumed) {
+          this.assertLast('server', SERVER_HELLO)
+        } else {
+          this.assertLast('client', FINISHED)
+        }
+        this.handleNewSessionTicket(data)
+        this.saveMessage('server', msg)
         break
       case CERTIFICATE:
+        if (this.resumed) {
+          throw new TLSError(UNEXPECTED_MESSAGE,
+            'unexpected certificate in abbreviated handshake')
+        }
         this.assertLast('server', SERVER_HELLO)
         this.handleCertificate(data)
         this.saveMessage('server', msg)
         break
+      case CERTIFICATE_STATUS:
+        if (!this.certificateStatusExpected) {
+          throw new TLSError(UNEXPECTED_MESSAGE,
+            'unexpected certificate status')
+        }
+        this.assertLast('server', CERTIFICATE)
+        this.handleCertificateStatus(data)
+        this.saveMessage('server', msg)
+        this.checkRevocation()
+        break
       case SERVER_KEY_EXCHANGE:
-        throw new TLSError(UNEXPECTED_MESSAGE, 'unexpected server key exchange')
+        if (this.cipherSuite.keyExchange === 'RSA') {
+          throw new TLSError(UNEXPECTED_MESSAGE,
+            'unexpected server key exchange')
+        }
+        this.assertLastCertificate()
+        this.checkRevocation()
+        this.handleServerKeyExchange(data)
+        this.saveMessage('server', msg)
+        break
       case CERTIFICATE_REQUEST:
-        this.assertLast('server', CERTIFICATE)
+        if (this.cipherSuite.keyExchange === 'RSA') {
+          this.assertLastCertificate()
+          this.checkRevocation()
+        } else {
+          this.assertLast('server', SERVER_KEY_EXCHANGE)
+        }
         this.handleCertificateRequest(data)
         this.saveMessage('server', msg)
+        this.certificateRequested = true
         break
       case SERVER_HELLO_DONE:
-        this.assertLast('server', CERTIFICATE_REQUEST)
+        if (this.certificateRequested) {
+          this.assertLast('server', CERTIFICATE_REQUEST)
+        } else if (this.cipherSuite.keyExchange === 'RSA') {
+          this.assertLastCertificate()
+          this.checkRevocation()
+        } else {
+          this.assertLast('server', SERVER_KEY_EXCHANGE)
+        }
         this.handleServerHelloDone(data)
         this.saveMessage('server', msg)
-        this.sendCertificate()
+
+        // an empty Certificate is sent if no client certificate
+        if (this.certificateRequested) this.sendCertificate()
         this.sendClientKeyExchange()
+        this.deriveMasterSecret()
+        this.deriveKeys()
+
+        // CertificateVerify is sent only if client certificate is sent
+        if (!this.identity) {
+          this.changeCipherSpec()
+          this.sendFinished()
+          break
+        }
+
         this.sign((err, sig) => {
           try {
             if (this.state === 'TERMINATED') return
@@ -1162,8 +2685,9 @@ class Telsa extends Duplex {
       case CLIENT_KEY_EXCHANGE:
         throw new TLSError(UNEXPECTED_MESSAGE, 'unexpected client key exchange')
       case FINISHED:
-        this.assertLast('client', FINISHED)
-        if (!this.decipher) {
+        this.assertLastBeforeServerFinished()
+
+        if (!this.changeCipherSpecReceived) {
           throw new TLSError(UNEXPECTED_MESSAGE, 
             'unexpected server finished, expects ChangeCipherSpec')
         }
@@ -1171,8 +2695,35 @@ class Telsa extends Duplex {
         this.handleServerFinished(data)
         this.saveMessage('server', msg)
 
+        if (this.resumed) {
+          this.changeCipherSpec()
+          this.sendFinished()
+        }
+
         this.state = 'ESTABLISHED'
 
+        // a new ticket is issued, or a new session id in full handshake
+        if (this.ticket || (!this.resumed && this.sessionId.length)) {
+          this.emit('session', serializeSession({
+            host: this.opts.host,
+            id: this.sessionId,
+            masterSecret: this.masterSecret,
+            cipherSuite: this.cipherSuite.code,
+            extendedMasterSecret: this.extendedMasterSecret,
+            ticket: this.ticket,
+            ticketExpiry: this.ticketExpiry
+          }))
+        }
+
+        // the connection is established already
+        if (this.renegotiating) {
+          this.renegotiating = false
+          log('  renegotiated')
+          break
+        }
+
+        this.emit('connect')
+
         // install drain handler
         this.socket.on('drain', () => {
           if (this.writing) {
@@ -1194,11 +2745,70 @@ class Telsa extends Duplex {
     }
   }
 
+  /**
+   * handles HelloRequest in ESTABLISHED state. Renegotiates if
+   * `opts.renegotiation` is `accept` and the server supports secure
+   * renegotiation (rfc5746), otherwise sends a no_renegotiation warning
+   * alert, which the server may or may not treat as fatal.
+   * @param {Buffer} data - HelloRequest message body
+   * @throws {TLSError} DECODE_ERROR
+   */
+  handleHelloRequest (data) {
+    if (data.length) {
+      throw new TLSError(AlertDescription.DECODE_ERROR,
+        'non-empty hello request')
+    }
+
+    if (this.opts.renegotiation === 'accept' && this.secureRenegotiation) {
+      this.renegotiate()
+    } else {
+      log('  renegotiation refused')
+      this.sendAlert(AlertLevel.WARNING, AlertDescription.NO_RENEGOTIATION)
+    }
+  }
+
+  /**
+   * starts a renegotiation, which is always a full handshake over the
+   * established connection. Handshake state of the previous handshake is
+   * reset, except for ciphers, which are replaced on ChangeCipherSpec,
+   * and verify data, which goes into renegotiation_info extension.
+   */
+  renegotiate () {
+    this.renegotiating = true
+    this.changeCipherSpecReceived = false
+
+    this.clientRandom = randomFillSync(alloc(32))
+    this.session = null
+    this.newSessionTicketExpected = false
+    this.ticket = undefined
+    this.ticketExpiry = undefined
+    this.resumed = false
+    this.sessionId = undefined
+    this.serverRandom = undefined
+    this.serverCertificates = []
+    this.serverChain = null
+    this.serverECDH = undefined
+    this.certificateStatusExpected = false
+    this.ocspResponse = null
+    this.revocationPending = false
+    this.certificateRequested = false
+    this.identity = null
+    this.signatureScheme = null
+    this.preMasterSecret = concat([VER12, randomFillSync(alloc(46))])
+    this.masterSecret = undefined
+    this.extendedMasterSecret = false
+    this.msgs = []
+    this.transcript = null
+
+    this.sendClientHello()
+  }
+
   /**
    * parses ServerHello message
    * - saves sessionId and server random
    * - verifies protocol version, cipher suite, compression method 
    * and extensions
+   * - resumes the offered session if server echoes its session id
    * ```
    * struct {
    *   ProtocolVersion server_version;
@@ -1219,7 +2829,9 @@ class Telsa extends Duplex {
    */
   handleServerHello (data) {
     const shift = size => K(data.slice(0, size))(data = data.slice(size))
-    const { ILLEGAL_PARAMETER } = AlertDescription
+    const {
+      ILLEGAL_PARAMETER, DECODE_ERROR, HANDSHAKE_FAILURE
+    } = AlertDescription
 
     // TODO check available data size before shift
 
@@ -1234,37 +2846,127 @@ class Telsa extends Duplex {
     const sessionId = shift(shift(1)[0])
     this.sessionId = sessionId
 
-    const cipherSuite = shift(2)
-    if (!cipherSuite.equals(AES_128_CBC_SHA)) {
+    const code = shift(2).readUInt16BE()
+    const cipherSuite = this.cipherSuites.find(suite => suite.code === code)
+    if (!cipherSuite) {
       throw new TLSError(ILLEGAL_PARAMETER, 'unsupported cipher suite')
     }
+    this.cipherSuite = cipherSuite
+    this.startTranscript()
+
+    if (this.session && sessionId.equals(this.session.id)) {
+      if (cipherSuite.code !== this.session.cipherSuite) {
+        throw new TLSError(ILLEGAL_PARAMETER,
+          'cipher suite mismatches resumed session')
+      }
+      this.resumed = true
+      this.masterSecret = this.session.masterSecret
+    }
 
     const compressionMethod = shift(1)[0]
     if (compressionMethod !== 0) {
       throw new TLSError(ILLEGAL_PARAMETER, 'compression not supported')
     }
 
+    const extensions = []
     if (data.length) {
-      /** 
-       * rfc 5246
-       * An extension type MUST NOT appear in the ServerHello unless the same
-       * extension type appeared in the corresponding ClientHello.
-       */
-      throw new TLSError(ILLEGAL_PARAMETER, 'ServerHello has extensions')
+      if (data.length < 2 || shift(2).readUInt16BE() !== data.length) {
+        throw new TLSError(DECODE_ERROR, 'invalid extensions length')
+      }
+
+      while (data.length) {
+        if (data.length < 4 || data.readUInt16BE(2) + 4 > data.length) {
+          throw new TLSError(DECODE_ERROR, 'invalid extension length')
+        }
+        const type = shift(2).readUInt16BE()
+        if (extensions.find(ext => ext.type === type)) {
+          throw new TLSError(ILLEGAL_PARAMETER, 'duplicate extension')
+        }
+        extensions.push({ type, data: shift(shift(2).readUInt16BE()) })
+      }
+    }
+
+    this.handleServerHelloExtensions(extensions)
+
+    // rfc7627, section 5.3
+    if (this.resumed &&
+      this.extendedMasterSecret !== this.session.extendedMasterSecret) {
+      throw new TLSError(HANDSHAKE_FAILURE,
+        'extended master secret mismatches resumed session')
     }
 
     logM('ServerHello', {
       serverVersion: serverVersion.toString('hex'),
       random: random.toString('hex'),
       sessionId: sessionId.toString('hex'),
-      cipherSuite: cipherSuite.toString('hex'),
+      cipherSuite: cipherSuite.name,
       compressionMethod,
-      extension: null
+      extensions: extensions.map(({ type, data }) =>
+        ({ type, data: data.toString('hex') }))
+    })
+  }
+
+  /**
+   * handles extensions in ServerHello. Each extension is dispatched
+   * to its own handler defined in `HELLO_EXTENSIONS`.
+   *
+   * ```
+   * rfc 5246
+   * An extension type MUST NOT appear in the ServerHello unless the same
+   * extension type appeared in the corresponding ClientHello.
+   * ```
+   * @param {object[]} extensions - `{ type, data }` in ServerHello
+   * @throws {TLSError} UNSUPPORTED_EXTENSION for unsolicited extensions
+   */
+  handleServerHelloExtensions (extensions) {
+    extensions.forEach(({ type, data }) => {
+      if (!this.offeredExtensions.includes(type)) {
+        throw new TLSError(AlertDescription.UNSUPPORTED_EXTENSION,
+          `unsolicited extension ${type} in ServerHello`)
+      }
+      HELLO_EXTENSIONS.find(ext => ext.type === type).handle(this, data)
     })
+
+    HELLO_EXTENSIONS
+      .filter(ext => this.offeredExtensions.includes(ext.type))
+      .filter(ext => !extensions.find(({ type }) => type === ext.type))
+      .forEach(ext => ext.absent && ext.absent(this))
+  }
+
+  /**
+   * handles NewSessionTicket message, saves the ticket for `session` event.
+   * An empty ticket means the server does not issue a ticket.
+   *
+   * ```
+   * struct {
+   *   uint32 ticket_lifetime_hint;
+   *   opaque ticket<0..2^16-1>;
+   * } NewSessionTicket;
+   * ```
+   * @param {Buffer} data - NewSessionTicket message body
+   * @throws {TLSError} DECODE_ERROR
+   */
+  handleNewSessionTicket (data) {
+    if (data.length < 6 || data.readUInt16BE(4) + 6 !== data.length) {
+      throw new TLSError(AlertDescription.DECODE_ERROR,
+        'invalid NewSessionTicket length')
+    }
+
+    const lifetimeHint = data.readUInt32BE()
+    const ticket = data.slice(6)
+
+    if (ticket.length) {
+      this.ticket = ticket
+      this.ticketExpiry = lifetimeHint
+        ? Date.now() + lifetimeHint * 1000
+        : undefined
+    }
+
+    logM('NewSessionTicket', { lifetimeHint, length: ticket.length })
   }
 
   /**
-   * verifies server certificates using forge.pki
+   * parses and verifies server certificates
    *
    * ```
    * struct {
@@ -1277,17 +2979,15 @@ class Telsa extends Duplex {
   handleCertificate (data) {
     const shift = size => K(data.slice(0, size))(data = data.slice(size))
     const {
-      DECODE_ERROR, BAD_CERTIFICATE, UNSUPPORTED_CERTIFICATE, 
-      ILLEGAL_PARAMETER, CERTIFICATE_UNKNOWN, UNKNOWN_CA
+      DECODE_ERROR, BAD_CERTIFICATE, UNSUPPORTED_CERTIFICATE,
+      ILLEGAL_PARAMETER, CERTIFICATE_UNKNOWN
     } = AlertDescription
 
     if (data.length < 3 || readUInt24(shift(3)) !== data.length) {
       throw new TLSError(DECODE_ERROR, 'invalid message length')
     }
 
-    // certificates are in DER format and reversed order.
-    // forge.pki use this order.
-    // parse data to be an array of forge cert objects
+    // certificates are in DER format, starting from the leaf
     const certs = []
     while (data.length) {
       if (data.length < 3 || readUInt24(data) + 3 > data.length) {
@@ -1296,24 +2996,11 @@ class Telsa extends Duplex {
 
       const der = shift(readUInt24(shift(3)))
 
-      let certAsn1, cert
-      try {
-        certAsn1 = asn1.fromDer(der.toString('binary'))
-      } catch (e) {
-        console.log('asn1.fromDer failed()', e)
-        throw new TLSError(BAD_CERTIFICATE,
-          'failed to parse certificate')
-      }
-
       try {
-        cert = pki.certificateFromAsn1(certAsn1)
+        certs.push(parseCertificate(der))
       } catch (e) {
-        console.log('pki.certificateFromAsn1() failed', e)
-        throw new TLSError(UNSUPPORTED_CERTIFICATE,
-          'failed to construct forge certificate from given asn1 data')
+        throw new TLSError(BAD_CERTIFICATE, 'failed to parse certificate')
       }
-
-      certs.push(cert)
     }
 
     // server no cert
@@ -1321,51 +3008,414 @@ class Telsa extends Duplex {
       throw new TLSError(ILLEGAL_PARAMETER, 'no certificate')
     }
 
+    if (!certs[0].publicKey) {
+      throw new TLSError(UNSUPPORTED_CERTIFICATE,
+        'unsupported server public key')
+    }
+
     this.serverCertificates = certs
 
-    logM('Server Certificate', this.serverCertificates.map(cert => {
-      const subject = [...cert.subject.attributes]
-        .sort((a, b) => a.shortName > b.shortName)
-        .reduce((o, a) => Object.assign(o, { [a.shortName]: a.value }), {})
-      const issuer = [...cert.issuer.attributes]
-        .sort((a, b) => a.shortName > b.shortName)
-        .reduce((o, a) => Object.assign(o, { [a.shortName]: a.value }), {})
-      const validity = cert.validity
-      return { subject, issuer, validity }
-    }))
-
-    // verify domain name (CN)
-    const attr = certs[0].subject.getField('CN')
-    if (!attr || typeof attr.value !== 'string' || !attr.value.length) {
-      throw new TLSError(CERTIFICATE_UNKNOWN, 'bad subject common name')
-    }
-
-    const commonName = 
-      attr.value.startsWith('*') ? attr.value.slice(1) : attr.value
-
-    if (!this.opts.host.endsWith(commonName)) {
-      throw new TLSError(CERTIFICATE_UNKNOWN, 
-        'certificate subject common name does NOT match host domain name')
-    }
-      
-    const highest = certs.findIndex(cert => cert.isIssuer(this.ca))
-    if (highest !== -1) {
-      const chain = certs.slice(0, highest + 1)
-
-      const opts = {}
-      if (this.opts.validityCheckDate instanceof Date ||
-        this.opts.validityCheckDate === null) {
-        opts.validityCheckDate = this.opts.validityCheckDate
+    logM('Server Certificate', this.serverCertificates.map(cert => ({
+      subject: subjectName(cert),
+      issuer: formatName(cert.issuer),
+      validity: { notBefore: cert.notBefore, notAfter: cert.notAfter }
+    })))
+
+    // verify server identity
+    const host = this.opts.servername || this.opts.host
+    const check = this.opts.checkServerIdentity || checkServerIdentity
+    let err
+    try {
+      err = check(host, peerCertificate(certs[0]))
+    } catch (e) {
+      err = e
+    }
+
+    if (err) throw new TLSError(CERTIFICATE_UNKNOWN, err)
+
+    // the clock is read once, so that all checks agree on the time
+    const time = this.trustedTime()
+    const chain = this.verifyServerCertificates(certs, time)
+    this.checkServerKeyUsage(certs[0])
+    this.checkPins(chain, time)
+
+    this.verificationTime = time
+    this.serverChain = chain
+    this.revocationPending = true
+    if (!this.certificateStatusExpected) this.checkRevocation()
+  }
+
+  /**
+   * parses CertificateStatus message, rfc6066
+   *
+   * ```
+   * struct {
+   *   CertificateStatusType status_type;
+   *   select (status_type) {
+   *     case ocsp: OCSPResponse;
+   *   } response;
+   * } CertificateStatus;
+   *
+   * opaque OCSPResponse<1..2^24-1>;
+   * ```
+   * @param {Buffer} data - CertificateStatus message body
+   */
+  handleCertificateStatus (data) {
+    const { DECODE_ERROR, BAD_CERTIFICATE_STATUS_RESPONSE } = AlertDescription
+
+    if (data.length < 4 || data[0] !== 1 ||
+      readUInt24(data.slice(1)) !== data.length - 4) {
+      throw new TLSError(DECODE_ERROR, 'invalid certificate status')
+    }
+
+    try {
+      this.ocspResponse = parseOCSPResponse(data.slice(4))
+    } catch (e) {
+      throw new TLSError(BAD_CERTIFICATE_STATUS_RESPONSE,
+        'failed to parse ocsp response')
+    }
+  }
+
+  /**
+   * checks revocation status of verified server certificates, with the
+   * stapled ocsp response for the leaf, and CRLs for all certificates
+   * but the trust anchor. This is done once, after CertificateStatus, or
+   * after Certificate if the server does not send CertificateStatus.
+   *
+   * In `hard` mode, only the leaf must have a known `good` status, since
+   * a stapled ocsp response covers the leaf only (status_request, rfc6066).
+   */
+  checkRevocation () {
+    const {
+      CERTIFICATE_REVOKED, CERTIFICATE_UNKNOWN,
+      BAD_CERTIFICATE_STATUS_RESPONSE
+    } = AlertDescription
+
+    if (!this.revocationPending) return
+    this.revocationPending = false
+
+    const time = this.verificationTime
+    const chain = this.serverChain
+
+    // the last one is the trust anchor. A self-issued certificate below it,
+    // such as a key rollover intermediate, is checked as well.
+    for (let i = 0; i < chain.length - 1; i++) {
+      const statuses = this.crls.map(crl =>
+        crlStatus(crl, chain[i], chain[i + 1], time))
+
+      if (i === 0 && this.ocspResponse) {
+        try {
+          statuses.push(
+            ocspStatus(this.ocspResponse, chain[0], chain[1], time))
+        } catch (e) {
+          throw new TLSError(BAD_CERTIFICATE_STATUS_RESPONSE, e.message)
+        }
       }
-      try {
-        if (pki.verifyCertificateChain(this.caStore, chain, opts)) return
-      } catch (e) {
-        console.log('pki.verifyCertificateChain() failed', e)
-        throw new TLSError(CERTIFICATE_UNKNOWN, 'failed to verify cert chain')
+
+      log('  revocation status', subjectName(chain[i]), statuses)
+
+      if (statuses.includes('revoked')) {
+        throw new TLSError(CERTIFICATE_REVOKED,
+          `certificate revoked: ${subjectName(chain[i])}`)
+      }
+
+      if (i === 0 && this.opts.revocation === 'hard' &&
+        !statuses.includes('good')) {
+        throw new TLSError(CERTIFICATE_UNKNOWN,
+          'server certificate revocation status unknown')
+      }
+    }
+  }
+
+  /**
+   * asserts the last message is server Certificate, or CertificateStatus
+   * if server agrees to send it
+   */
+  assertLastCertificate () {
+    const { CERTIFICATE, CERTIFICATE_STATUS } = HandshakeType
+    const last = this.msgs[this.msgs.length - 1]
+    if (this.certificateStatusExpected && last && last.from === 'server' &&
+      last[0] === CERTIFICATE_STATUS) return
+    this.assertLast('server', CERTIFICATE)
+  }
+
+  /**
+   * returns the trusted time to check validity of certificates, ocsp
+   * responses and CRLs. `opts.validityCheckDate`, if provided, takes
+   * precedence over `opts.clock`. Without both, system time is trusted.
+   * @returns {TrustedTime|null} trusted time, or null to skip the check
+   */
+  trustedTime () {
+    const date = this.opts.validityCheckDate
+    if (date === null) return null
+    if (date instanceof Date) {
+      const t = date.getTime()
+      return { earliest: t, latest: t, source: 'validityCheckDate' }
+    }
+
+    if (!this.opts.clock) {
+      const now = Date.now()
+      return { earliest: now, latest: now, source: 'system' }
+    }
+
+    const time = this.opts.clock()
+    if (!time || typeof time !== 'object') {
+      throw new Error('invalid trusted time from clock')
+    }
+
+    const earliest = Number(time.earliest)
+    const latest = Number(time.latest)
+    if (Number.isNaN(earliest) || Number.isNaN(latest) || earliest > latest) {
+      throw new Error('invalid trusted time from clock')
+    }
+    return { earliest, latest, source: time.source || 'clock' }
+  }
+
+  /**
+   * checks SubjectPublicKeyInfo hashes of the verified certification path
+   * against `opts.pins`. It passes if any certificate in the path matches
+   * an unexpired pin. Pinning is skipped if no pin is configured or all
+   * pins expire. In report-only mode, a mismatch emits a `pinMismatch`
+   * event rather than failing the handshake.
+   * @param {Certificate[]} chain - verified certification path
+   * @param {TrustedTime|null} [time] - trusted time, read from the clock
+   * if not provided
+   */
+  checkPins (chain, time = this.trustedTime()) {
+    // a pin expires only if it is certainly expired
+    const now = time ? time.earliest : Date.now()
+    const pins = this.pins.filter(pin => !pin.expires || pin.expires > now)
+    if (!pins.length) return
+
+    const hashes = chain.map(cert => spkiHash(cert))
+    if (hashes.some(hash => pins.some(pin => pin.sha256 === hash))) return
+
+    const mismatch = {
+      host: this.opts.host,
+      certificates: chain.map(subjectName),
+      hashes,
+      pins: pins.map(pin => pin.sha256)
+    }
+
+    if (this.opts.pinReportOnly) {
+      this.emit('pinMismatch', mismatch)
+    } else {
+      const err = new TLSError(AlertDescription.CERTIFICATE_UNKNOWN,
+        'server public key pin mismatch')
+      Object.assign(err, mismatch)
+      throw err
+    }
+  }
+
+  /**
+   * checks keyUsage and extendedKeyUsage of the server certificate, if
+   * present, allow the negotiated key exchange and server authentication.
+   * ECDHE key exchange requires digitalSignature for ServerKeyExchange,
+   * and RSA key exchange requires keyEncipherment, see rfc5246 section
+   * 7.4.2.
+   * @param {Certificate} cert - server certificate
+   */
+  checkServerKeyUsage (cert) {
+    const { UNSUPPORTED_CERTIFICATE } = AlertDescription
+
+    const usage = this.cipherSuite.keyExchange === 'RSA'
+      ? 'keyEncipherment'
+      : 'digitalSignature'
+    if (cert.keyUsage && !cert.keyUsage.includes(usage)) {
+      throw new TLSError(UNSUPPORTED_CERTIFICATE,
+        `server certificate key usage does not allow ${usage}`)
+    }
+
+    const purposes = cert.extKeyUsage
+    if (purposes && !purposes.includes(KeyPurpose.SERVER_AUTH) &&
+      !purposes.includes(KeyPurpose.ANY)) {
+      throw new TLSError(UNSUPPORTED_CERTIFICATE,
+        'server certificate extended key usage does not include serverAuth')
+    }
+  }
+
+  /**
+   * builds and verifies certification paths from the server certificate
+   * to a trust anchor. Server certificates other than the leaf may be
+   * unordered, incomplete, or contain unrelated ones. Issuers are picked
+   * from them as well as `opts.intermediates`. Alternative paths are tried
+   * depth-first until one is verified. Signatures are verified with node
+   * crypto, see {@link verifyPath}.
+   *
+   * The error thrown has a `paths` property, an array of
+   * {@link RejectedPath}, describing why each path is rejected.
+   *
+   * @param {Certificate[]} certs - server certificates
+   * @param {TrustedTime|null} [time] - trusted time, read from the clock
+   * if not provided
+   * @returns {Certificate[]} the verified path, from the leaf to the
+   * trust anchor
+   */
+  verifyServerCertificates (certs, time = this.trustedTime()) {
+    const { CERTIFICATE_UNKNOWN, CERTIFICATE_EXPIRED, UNKNOWN_CA } =
+      AlertDescription
+
+    const ders = new Set()
+    const pool = [...certs.slice(1), ...this.intermediates].filter(cert => {
+      const der = cert.raw.toString('hex')
+      if (ders.has(der)) return false
+      ders.add(der)
+      return true
+    })
+
+    const paths = []
+    const reject = (chain, reason, anchored, validity) => paths.push(
+      Object.assign({
+        certificates: chain.map(subjectName),
+        reason,
+        anchored
+      }, validity))
+
+    const build = chain => {
+      if (paths.length >= MAX_REJECTED_PATHS) return null
+
+      const cert = chain[chain.length - 1]
+      const anchors = this.cas.filter(ca => isIssuer(cert, ca))
+      const anchored = anchors.length > 0
+      const invalid = anchored && time && chain
+        .map(c => checkValidity(c, time))
+        .find(x => x)
+      if (invalid) {
+        reject(chain, invalid.reason, true, invalid)
+      } else if (anchored) {
+        const failures = anchors.map(anchor => verifyPath(chain, anchor))
+        const i = failures.findIndex(failure => !failure)
+        if (i !== -1) return [...chain, anchors[i]]
+        reject(chain, failures[0].reason, true, { alert: failures[0].alert })
+      }
+
+      if (chain.length >= MAX_PATH_LENGTH) {
+        reject(chain, 'path too long', false)
+        return null
+      }
+
+      const issuers = pool.filter(c =>
+        !chain.includes(c) && isIssuer(cert, c))
+      if (!issuers.length && !anchored) {
+        reject(chain, 'issuer not found', false)
+      }
+      for (const issuer of issuers) {
+        const verified = build([...chain, issuer])
+        if (verified) return verified
       }
+      return null
+    }
+
+    const verified = build([certs[0]])
+    if (verified) return verified
+
+    const anchored = paths.filter(p => p.anchored)
+    const err = new TLSError(!anchored.length
+      ? UNKNOWN_CA
+      : anchored.every(p => p.bound)
+        ? CERTIFICATE_EXPIRED
+        : anchored[0].alert || CERTIFICATE_UNKNOWN, anchored.length
+      ? `server certificates untrusted, ${anchored[0].reason}`
+      : 'server certificates untrusted')
+    err.paths = paths
+    throw err
+  }
+
+  /**
+   * parses ServerKeyExchange message for ECDHE key exchange, verifies
+   * the signature with server certificate and saves ECDH parameters.
+   *
+   * ```
+   * struct {
+   *   ECParameters curve_params;
+   *   ECPoint public;
+   * } ServerECDHParams;
+   *
+   * struct {
+   *   ServerECDHParams params;
+   *   digitally-signed struct {
+   *     opaque client_random[32];
+   *     opaque server_random[32];
+   *     ServerECDHParams params;
+   *   } signed_params;
+   * } ServerKeyExchange;
+   * ```
+   * @param {Buffer} data - ServerKeyExchange message body
+   * @throws {TLSError} DECODE_ERROR, ILLEGAL_PARAMETER or DECRYPT_ERROR
+   */
+  handleServerKeyExchange (data) {
+    const shift = size => K(data.slice(0, size))(data = data.slice(size))
+    const {
+      DECODE_ERROR, ILLEGAL_PARAMETER, DECRYPT_ERROR
+    } = AlertDescription
+
+    // curve_type (1), named_curve (2), public length (1)
+    if (data.length < 4 || data[3] + 4 > data.length) {
+      throw new TLSError(DECODE_ERROR, 'invalid ECDH parameters length')
+    }
+
+    const params = data.slice(0, data[3] + 4)
+
+    // named_curve
+    if (shift(1)[0] !== 3) {
+      throw new TLSError(ILLEGAL_PARAMETER, 'unsupported curve type')
+    }
+
+    const group = shift(2).readUInt16BE()
+    if (!NAMED_GROUPS.includes(group)) {
+      throw new TLSError(ILLEGAL_PARAMETER, 'unsupported named group')
+    }
+
+    const point = shift(shift(1)[0])
+    if (!point.length) {
+      throw new TLSError(DECODE_ERROR, 'empty ECDH public key')
+    }
+
+    if (data.length < 4 || data.readUInt16BE(2) + 4 !== data.length) {
+      throw new TLSError(DECODE_ERROR, 'invalid signature length')
+    }
+
+    const code = shift(2).readUInt16BE()
+    const signature = shift(shift(2).readUInt16BE())
+
+    const scheme = SIGNATURE_SCHEMES.find(s => s.code === code)
+    if (!scheme) {
+      throw new TLSError(ILLEGAL_PARAMETER, 'unsupported signature algorithm')
+    }
+
+    const key = this.serverPublicKey()
+    const keyType = this.cipherSuite.keyExchange === 'ECDHE_RSA' ? 'rsa' : 'ec'
+    if (scheme.key !== keyType || key.asymmetricKeyType !== keyType) {
+      throw new TLSError(ILLEGAL_PARAMETER,
+        'signature algorithm mismatches server certificate')
+    }
+
+    const tbs = concat([this.clientRandom, this.serverRandom, params])
+    const opts = { key }
+    if (scheme.pss) {
+      opts.padding = constants.RSA_PKCS1_PSS_PADDING
+      opts.saltLength = constants.RSA_PSS_SALTLEN_DIGEST
+    }
+
+    let verified
+    try {
+      verified = verify(scheme.hash, tbs, opts, signature)
+    } catch (e) {
+      verified = false
+    }
+
+    if (!verified) {
+      throw new TLSError(DECRYPT_ERROR,
+        'failed to verify ServerKeyExchange signature')
     }
 
-    throw new TLSError(UNKNOWN_CA, 'server certificates untrusted')
+    this.serverECDH = { group, point }
+
+    logM('ServerKeyExchange', {
+      namedGroup: group,
+      publicKey: point.toString('hex'),
+      signatureAlgorithm: code
+    })
   }
 
   /**
@@ -1383,7 +3433,8 @@ class Telsa extends Duplex {
    */
   handleCertificateRequest (data) {
     const shift = size => K(data.slice(0, size))(data = data.slice(size))
-    const { DECODE_ERROR } = AlertDescription
+    const { DECODE_ERROR, HANDSHAKE_FAILURE } = AlertDescription
+    const { RSA_SIGN, ECDSA_SIGN } = ClientCertificateType
 
     if (data.length < 1 || data[0] + 1 > data.length) {
       throw new TLSError(DECODE_ERROR, 'invalid length')
@@ -1401,20 +3452,58 @@ class Telsa extends Duplex {
       .reduce((acc, c, i, arr) =>
         (i % 2) ? [...acc, arr[i - 1] * 256 + c] : acc, [])
 
-    // ignore distinguished names (DER), observed 00 00
-    // no idea what it looks like if non-null
-    let certificateAuthorities
-    try {
-      certificateAuthorities = asn1.fromDer(data.toString('binary'))
-    } catch (e) {
+    // distinguished names in DER format
+    if (data.length < 2 || data.readUInt16BE() + 2 !== data.length) {
       throw new TLSError(DECODE_ERROR, 'invalid certificate_authorities')
     }
+    shift(2)
+
+    const certificateAuthorities = []
+    while (data.length) {
+      if (data.length < 2 || data.readUInt16BE() + 2 > data.length) {
+        throw new TLSError(DECODE_ERROR, 'invalid distinguished name')
+      }
+      certificateAuthorities.push(shift(shift(2).readUInt16BE()))
+    }
 
     logM('CertificateRequest', {
       certificateTypes,
       supportedSignatureAlgorithms,
-      certificateAuthorities
+      certificateAuthorities: certificateAuthorities.map(dn => {
+        try {
+          return formatName(nameFromDer(dn))
+        } catch (e) {
+          return dn.toString('hex')
+        }
+      })
     })
+
+    if (!this.identities.length) return
+
+    // identities with acceptable key type and signature algorithm
+    const candidates = this.identities
+      .filter(id => certificateTypes
+        .includes(id.keyType === 'rsa' ? RSA_SIGN : ECDSA_SIGN))
+      .filter(id => id.schemes
+        .find(code => supportedSignatureAlgorithms.includes(code)))
+
+    if (!candidates.length) {
+      const types = this.identities.map(id => id.keyType).join(', ')
+      throw new TLSError(HANDSHAKE_FAILURE,
+        `client key type (${types}) or signature algorithm ` +
+        'not accepted by server')
+    }
+
+    // prefer the one issued by requested ca, otherwise, fallback to the
+    // first one and leave the decision to server.
+    this.identity =
+      candidates.find(id => certificateAuthorities
+        .find(dn => id.issuers.some(issuer => dn.equals(issuer)))) ||
+      candidates[0]
+
+    const code = this.identity.schemes
+      .find(code => supportedSignatureAlgorithms.includes(code))
+    this.signatureScheme = SIGNATURE_SCHEMES.find(s => s.code === code)
   }
 
   /**
@@ -1451,6 +3540,7 @@ class Telsa extends Duplex {
       throw new TLSError(AlertDescription.DECRYPT_ERROR,
         'failed to verify server Finished')
     }
+    this.verifyData.server = verifyData
   }
 
   /** 
@@ -1465,7 +3555,11 @@ class Telsa extends Duplex {
         'bad change cipher spec')
     }
 
-    this.decipher = createDecipher(this.serverWriteKey, this.serverWriteMacKey)
+    const suite = this.cipherSuite
+    this.decipher = suite.cipherType === 'aead'
+      ? createAEADDecipher(suite, this.serverWriteKey, this.serverWriteIV)
+      : createDecipher(suite, this.serverWriteKey, this.serverWriteMacKey)
+    this.changeCipherSpecReceived = true
   }
 
   /**
@@ -1528,49 +3622,116 @@ class Telsa extends Duplex {
    * send ClientHello handshake message
    */
   sendClientHello () {
+    const extensions = HELLO_EXTENSIONS
+      .map(({ type, encode }) => ({ type, data: encode(this) }))
+      .filter(ext => ext.data)
+
+    this.offeredExtensions = extensions.map(ext => ext.type)
+
     this.sendHandshakeMessage(HandshakeType.CLIENT_HELLO, concat([
       VER12,
       this.clientRandom,
-      from([0]), // session_id
-      from([0x00, 0x02, 0x00, 0x2f]), // cipher_suites
-      from([0x01, 0x00]) // compression_methods
+      prepend8(this.session ? this.session.id : alloc(0)), // session_id
+      prepend16(encodeUInt16s(this.cipherSuites.map(s => s.code))), // cipher_suites
+      from([0x01, 0x00]), // compression_methods
+      prepend16(concat(extensions.map(({ type, data }) =>
+        extension(type, data)))) // extensions
     ]))
   }
 
   /**
-   * send client Certificate handshake message
+   * send client Certificate handshake message, with the client
+   * certificate followed by intermediates. If no client identity is
+   * selected, the certificate list is empty.
    */
   sendCertificate () {
-    this.sendHandshakeMessage(HandshakeType.CERTIFICATE,
-      prepend24(concat([prepend24(this.certDer)])))
+    this.sendHandshakeMessage(HandshakeType.CERTIFICATE, prepend24(
+      this.identity ? concat(this.identity.chain.map(prepend24)) : alloc(0)))
   }
 
   /**
-   * send ClientKeyExchange handshake message
+   * send ClientKeyExchange handshake message. For ECDHE key exchange,
+   * the pre-master secret is computed here.
+   *
+   * ```
+   * struct {
+   *   select (KeyExchangeAlgorithm) {
+   *     case rsa: EncryptedPreMasterSecret;
+   *     case ec_diffie_hellman: ClientECDiffieHellmanPublic;
+   *   } exchange_keys;
+   * } ClientKeyExchange;
+   * ```
    */
   sendClientKeyExchange () {
-    this.sendHandshakeMessage(HandshakeType.CLIENT_KEY_EXCHANGE,
-      prepend16(publicEncrypt({
-        key: pki.publicKeyToPem(this.serverCertificates[0].publicKey),
-        padding: RSA_PKCS1_PADDING
-      }, this.preMasterSecret)))
+    if (this.cipherSuite.keyExchange === 'RSA') {
+      this.sendHandshakeMessage(HandshakeType.CLIENT_KEY_EXCHANGE,
+        prepend16(publicEncrypt({
+          key: this.serverPublicKey(),
+          padding: RSA_PKCS1_PADDING
+        }, this.preMasterSecret)))
+    } else {
+      const { group, point } = this.serverECDH
+
+      let ecdhe
+      try {
+        ecdhe = ECDHE(group, point)
+      } catch (e) {
+        throw new TLSError(AlertDescription.ILLEGAL_PARAMETER, e)
+      }
+
+      this.preMasterSecret = ecdhe.secret
+      this.sendHandshakeMessage(HandshakeType.CLIENT_KEY_EXCHANGE,
+        prepend8(ecdhe.publicKey))
+    }
   }
 
   /**
-   * signs handshake message bundle asynchronously
+   * signs handshake message bundle asynchronously. The callback is not
+   * invoked if the signing is cancelled by `terminate`.
    * @param {function} callback - `(err, sig) => {}`
    */
   sign (callback) {
+    const { key, signDigest, keyType, fieldSize } = this.identity
+    const { name, hash, pss } = this.signatureScheme
+    const tbs = concat(this.msgs)
 
-    // TODO try catch callback and nextTick
+    const controller = new AbortController()
+    const timeout = this.opts.signTimeout || DEFAULT_SIGN_TIMEOUT
+    const timer = setTimeout(() => {
+      controller.abort()
+      done(new Error(`signing timeout after ${timeout}ms`))
+    }, timeout)
+    const signing = { controller, timer }
+    this.signing = signing
+
+    const done = (err, sig) => {
+      if (this.signing !== signing) return
+      clearTimeout(timer)
+      this.signing = null
+      if (!err && !Buffer.isBuffer(sig)) {
+        err = new Error('signature must be a buffer')
+      }
+      if (!err && keyType === 'ec') sig = ecdsaSigToDer(sig, fieldSize)
+      process.nextTick(() => callback(err, sig))
+    }
 
-    const key = this.opts.key
-    const tbs = concat(this.msgs)
-    if (typeof key === 'function') {
-      key(tbs, callback)
-    } else {
-      const sig = createSign('sha256').update(tbs).sign(key)
-      process.nextTick(() => callback(null, sig))
+    try {
+      if (signDigest) {
+        const digest = createHash(hash).update(tbs).digest()
+        Promise.resolve(signDigest(digest, name, controller.signal))
+          .then(sig => done(null, sig), err => done(err))
+      } else if (typeof key === 'function') {
+        key(tbs, done)
+      } else {
+        const opts = { key }
+        if (pss) {
+          opts.padding = constants.RSA_PKCS1_PSS_PADDING
+          opts.saltLength = constants.RSA_PSS_SALTLEN_DIGEST
+        }
+        done(null, sign(hash, tbs, opts))
+      }
+    } catch (e) {
+      done(e)
     }
   }
 
@@ -1580,15 +3741,16 @@ class Telsa extends Duplex {
    */
   sendCertificateVerify (sig) {
     this.sendHandshakeMessage(HandshakeType.CERTIFICATE_VERIFY,
-      concat([RSA_PKCS1_SHA256, prepend16(sig)]))
+      concat([encodeUInt16s([this.signatureScheme.code]), prepend16(sig)]))
   }
 
   /**
    * send Finished handshake message
    */
   sendFinished () {
-    this.sendHandshakeMessage(HandshakeType.FINISHED,
-      this.clientVerifyData())
+    const verifyData = this.clientVerifyData()
+    this.sendHandshakeMessage(HandshakeType.FINISHED, verifyData)
+    this.verifyData.client = verifyData
   }
 
   /**
@@ -1671,6 +3833,18 @@ class Telsa extends Duplex {
   terminate (reason, err) {
     log('  terminate', this.state, reason, err && err.message)
 
+    if (this.state === 'TERMINATED') {
+      if (reason === 'destroy') this.socket.destroy()
+      return
+    }
+
+    // cancel pending signing
+    if (this.signing) {
+      clearTimeout(this.signing.timer)
+      this.signing.controller.abort()
+      this.signing = null
+    }
+
     const {
       CLOSE_NOTIFY, USER_CANCELED,
       INTERNAL_ERROR
@@ -1746,6 +3920,8 @@ class Telsa extends Duplex {
       }
     }
 
+    this.state = 'TERMINATED'
+
     if (err) {
       if (callback) {
         callback(err)
@@ -1763,4 +3939,8 @@ class Telsa extends Duplex {
   }
 }
 
+Telsa.checkServerIdentity = checkServerIdentity
+Telsa.monotonicFloorClock = monotonicFloorClock
+Telsa.tolerantClock = tolerantClock
+
 module.exports = Telsa
@@ -0,0 +1,686 @@
+const { createPublicKey, verify, constants } = require('crypto')
+
+const der = require('./der')
+const { Tag } = der
+
+const { from } = Buffer
+
+/**
+ * A minimal X.509 certificate model, see rfc5280. Only fields and
+ * extensions used in path building and validation are decoded.
+ * Signatures are verified with node crypto.
+ */
+
+/** @constant {object} - short names of attribute types in names */
+const ATTRIBUTE_NAMES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.4': 'SN',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.9': 'street',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '2.5.4.12': 'title',
+  '2.5.4.42': 'GN',
+  '2.5.4.43': 'initials',
+  '2.5.4.46': 'dnQualifier',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '0.9.2342.19200300.100.1.1': 'UID',
+  '0.9.2342.19200300.100.1.25': 'DC'
+}
+
+/** @constant {object} - hash algorithm oids */
+const HASH_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.4': 'sha224',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+}
+
+/**
+ * @constant {object} - signature algorithm oids, with their hash algorithms
+ * and key types of the signer, as `asymmetricKeyType` of node KeyObject.
+ * EdDSA has no separate hash.
+ */
+const SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.5': { hash: 'sha1', keys: ['rsa'] },
+  '1.2.840.113549.1.1.14': { hash: 'sha224', keys: ['rsa'] },
+  '1.2.840.113549.1.1.11': { hash: 'sha256', keys: ['rsa'] },
+  '1.2.840.113549.1.1.12': { hash: 'sha384', keys: ['rsa'] },
+  '1.2.840.113549.1.1.13': { hash: 'sha512', keys: ['rsa'] },
+  '1.2.840.10045.4.1': { hash: 'sha1', keys: ['ec'] },
+  '1.2.840.10045.4.3.1': { hash: 'sha224', keys: ['ec'] },
+  '1.2.840.10045.4.3.2': { hash: 'sha256', keys: ['ec'] },
+  '1.2.840.10045.4.3.3': { hash: 'sha384', keys: ['ec'] },
+  '1.2.840.10045.4.3.4': { hash: 'sha512', keys: ['ec'] },
+  '1.3.101.112': { hash: null, keys: ['ed25519'] },
+  '1.3.101.113': { hash: null, keys: ['ed448'] }
+}
+
+/** @constant {string} - id-RSASSA-PSS */
+const RSASSA_PSS = '1.2.840.113549.1.1.10'
+
+/** @constant {string} - id-mgf1 */
+const MGF1 = '1.2.840.113549.1.1.8'
+
+/** @constant {string[]} - KeyUsage bits, in bit order */
+const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly'
+]
+
+/** @constant {object} - extension oids */
+const Extension = {
+  SUBJECT_KEY_IDENTIFIER: '2.5.29.14',
+  KEY_USAGE: '2.5.29.15',
+  SUBJECT_ALT_NAME: '2.5.29.17',
+  BASIC_CONSTRAINTS: '2.5.29.19',
+  NAME_CONSTRAINTS: '2.5.29.30',
+  CRL_DISTRIBUTION_POINTS: '2.5.29.31',
+  AUTHORITY_KEY_IDENTIFIER: '2.5.29.35',
+  EXT_KEY_USAGE: '2.5.29.37'
+}
+
+/** @constant {object} - key purpose oids in extendedKeyUsage */
+const KeyPurpose = {
+  SERVER_AUTH: '1.3.6.1.5.5.7.3.1',
+  ANY: '2.5.29.37.0'
+}
+
+/**
+ * A distinguished name
+ * @typedef {object} Name
+ * @property {Buffer} der - the name in DER format
+ * @property {object[]} attributes - `{ oid, name, value }` in DER order,
+ * where `name` is the short name, such as `CN`, or the oid if unknown
+ */
+
+/**
+ * parses a Name
+ * @param {Element} el
+ * @returns {Name}
+ */
+const parseName = el => {
+  der.expect(el, Tag.SEQUENCE, 'name')
+  const attributes = []
+  der.children(el).forEach(rdn => {
+    der.expect(rdn, Tag.SET, 'relative distinguished name')
+    der.children(rdn).forEach(atv => {
+      const [type, value] = der.children(der.expect(atv, Tag.SEQUENCE,
+        'attribute'))
+      const oid = der.oid(type)
+      let str
+      try {
+        str = der.string(value)
+      } catch (e) {
+        str = `#${value.raw.toString('hex')}`
+      }
+      attributes.push({ oid, name: ATTRIBUTE_NAMES[oid] || oid, value: str })
+    })
+  })
+  return { der: el.raw, attributes }
+}
+
+/**
+ * parses a Name in DER format, such as those in CertificateRequest
+ * @param {Buffer} buf
+ * @returns {Name}
+ */
+const nameFromDer = buf => parseName(der.parse(buf))
+
+/**
+ * formats a name
+ * @param {Name} name
+ * @returns {string} eg. `CN=example.com, O=Example`
+ */
+const formatName = name => name.attributes
+  .map(a => `${a.name}=${a.value}`)
+  .join(', ')
+
+/**
+ * A general name, see rfc5280 section 4.2.1.6. `value` is a string for
+ * `email`, `DNS` and `URI`, a Buffer for `IP` (with a mask in name
+ * constraints), a {@link Name} for `DirName`, and the raw element for
+ * other types.
+ * @typedef {object} GeneralName
+ * @property {string} type - `other`, `email`, `DNS`, `X400`, `DirName`,
+ * `EdiParty`, `URI`, `IP` or `RID`
+ * @property {string|Buffer|Name|Element} value
+ */
+
+/** @constant {string[]} - GeneralName types, by tag number */
+const GENERAL_NAME_TYPES = [
+  'other', 'email', 'DNS', 'X400', 'DirName', 'EdiParty', 'URI', 'IP', 'RID'
+]
+
+/**
+ * parses a GeneralName
+ * @param {Element} el
+ * @returns {GeneralName}
+ */
+const parseGeneralName = el => {
+  const type = GENERAL_NAME_TYPES[el.tag]
+  if (el.cls !== der.TagClass.CONTEXT_SPECIFIC || !type) {
+    throw new Error('invalid general name')
+  }
+
+  switch (type) {
+    case 'email':
+    case 'DNS':
+    case 'URI':
+      return { type, value: el.value.toString('latin1') }
+    case 'IP':
+      return { type, value: el.value }
+    case 'DirName':
+      // explicitly tagged, as Name is a CHOICE
+      return { type, value: parseName(der.children(el)[0]) }
+    default:
+      return { type, value: el }
+  }
+}
+
+/**
+ * formats an ip address in the same way as node does
+ * @param {Buffer} ip - 4 or 16 octets
+ * @returns {string}
+ */
+const formatIP = ip => {
+  if (ip.length === 4) return [...ip].join('.')
+  if (ip.length !== 16) return ip.toString('hex')
+  const groups = []
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(ip.readUInt16BE(i).toString(16).toUpperCase())
+  }
+  return groups.join(':')
+}
+
+/**
+ * parses GeneralSubtrees in NameConstraints
+ * @param {Element} el
+ * @returns {GeneralName[]}
+ */
+const parseSubtrees = el => der.children(el).map(subtree =>
+  parseGeneralName(der.children(subtree)[0]))
+
+/**
+ * parses the fullName of a DistributionPointName, which is used in both
+ * cRLDistributionPoints and issuingDistributionPoint
+ * @param {Element} el - the `[0]` distributionPoint field
+ * @returns {GeneralName[]|null} null if the name is relative to the CRL
+ * issuer, which is not supported
+ */
+const parseDistributionPointName = el => {
+  const name = der.children(el)[0]
+  return der.isContext(name, 0)
+    ? der.children(name).map(parseGeneralName)
+    : null
+}
+
+/**
+ * decodes a known extension value
+ * @param {string} oid - extension id
+ * @param {Element} el - parsed extnValue
+ * @returns {*}
+ */
+const decodeExtension = (oid, el) => {
+  switch (oid) {
+    case Extension.BASIC_CONSTRAINTS: {
+      const fields = der.children(der.expect(el, Tag.SEQUENCE,
+        'basic constraints'))
+      const ca = der.is(fields[0], Tag.BOOLEAN) && der.boolean(fields.shift())
+      const pathLen = fields.length ? der.integer(fields[0]) : undefined
+      return { ca, pathLen }
+    }
+    case Extension.KEY_USAGE: {
+      const bits = der.bitString(el)
+      return KEY_USAGES.filter((_, i) => bits[i >> 3] & (0x80 >> (i & 7)))
+    }
+    case Extension.EXT_KEY_USAGE:
+      return der.children(der.expect(el, Tag.SEQUENCE, 'ext key usage'))
+        .map(der.oid)
+    case Extension.SUBJECT_ALT_NAME:
+      return der.children(der.expect(el, Tag.SEQUENCE, 'subject alt name'))
+        .map(parseGeneralName)
+    case Extension.NAME_CONSTRAINTS: {
+      const fields = der.children(der.expect(el, Tag.SEQUENCE,
+        'name constraints'))
+      const permitted = fields.find(f => der.isContext(f, 0))
+      const excluded = fields.find(f => der.isContext(f, 1))
+      return {
+        permitted: permitted ? parseSubtrees(permitted) : undefined,
+        excluded: excluded ? parseSubtrees(excluded) : []
+      }
+    }
+    case Extension.SUBJECT_KEY_IDENTIFIER:
+      return der.expect(el, Tag.OCTET_STRING, 'subject key identifier').value
+    case Extension.AUTHORITY_KEY_IDENTIFIER: {
+      const fields = der.children(der.expect(el, Tag.SEQUENCE,
+        'authority key identifier'))
+      const keyId = fields.find(f => der.isContext(f, 0))
+      return keyId ? keyId.value : undefined
+    }
+    case Extension.CRL_DISTRIBUTION_POINTS:
+      return der.children(der.expect(el, Tag.SEQUENCE,
+        'crl distribution points'))
+        .map(dp => der.children(dp).find(f => der.isContext(f, 0)))
+        .filter(name => name)
+        .map(parseDistributionPointName)
+        .reduce((names, fullName) => [...names, ...(fullName || [])], [])
+    default:
+      return undefined
+  }
+}
+
+/**
+ * An algorithm identifier
+ * @typedef {object} Algorithm
+ * @property {string} oid
+ * @property {Element} [params]
+ */
+
+/**
+ * parses an AlgorithmIdentifier
+ * @param {Element} el
+ * @returns {Algorithm}
+ */
+const parseAlgorithm = el => {
+  const [oid, params] = der.children(der.expect(el, Tag.SEQUENCE,
+    'algorithm identifier'))
+  return { oid: der.oid(oid), params }
+}
+
+/**
+ * A certificate. Extension properties are `undefined` if absent.
+ * @typedef {object} Certificate
+ * @property {Buffer} raw - certificate in DER format
+ * @property {Buffer} tbs - TBSCertificate in DER format
+ * @property {number} version - 1, 2 or 3
+ * @property {string} serial - serial number in lower-case hex
+ * @property {Algorithm} signatureAlgorithm
+ * @property {Buffer} signature
+ * @property {Name} issuer
+ * @property {Name} subject
+ * @property {Date} notBefore
+ * @property {Date} notAfter
+ * @property {Buffer} spki - SubjectPublicKeyInfo in DER format
+ * @property {Buffer} keyBits - subjectPublicKey BIT STRING content
+ * @property {KeyObject|null} publicKey - null if not supported by node
+ * @property {object[]} extensions - `{ oid, critical, value }`, where
+ * `value` is the extnValue OCTET STRING content
+ * @property {object} [basicConstraints] - `{ ca, pathLen }`
+ * @property {string[]} [keyUsage] - names of asserted bits, such as
+ * `digitalSignature`
+ * @property {string[]} [extKeyUsage] - key purpose oids
+ * @property {GeneralName[]} [subjectAltName]
+ * @property {object} [nameConstraints] - `{ permitted, excluded }`,
+ * arrays of {@link GeneralName}; `permitted` is `undefined` if absent
+ * @property {Buffer} [subjectKeyIdentifier]
+ * @property {Buffer} [authorityKeyIdentifier]
+ * @property {GeneralName[]} [crlDistributionPoints] - full names of all
+ * distribution points
+ */
+
+/** @constant {object} - extension oids and certificate property names */
+const EXTENSION_PROPERTIES = {
+  [Extension.SUBJECT_KEY_IDENTIFIER]: 'subjectKeyIdentifier',
+  [Extension.KEY_USAGE]: 'keyUsage',
+  [Extension.SUBJECT_ALT_NAME]: 'subjectAltName',
+  [Extension.BASIC_CONSTRAINTS]: 'basicConstraints',
+  [Extension.NAME_CONSTRAINTS]: 'nameConstraints',
+  [Extension.AUTHORITY_KEY_IDENTIFIER]: 'authorityKeyIdentifier',
+  [Extension.EXT_KEY_USAGE]: 'extKeyUsage',
+  [Extension.CRL_DISTRIBUTION_POINTS]: 'crlDistributionPoints'
+}
+
+/**
+ * parses an Extension, in certificates and CRLs
+ * @param {Element} el
+ * @returns {object} `{ oid, critical, value }`, where `value` is the
+ * extnValue OCTET STRING content
+ */
+const parseExtension = el => {
+  const fields = der.children(der.expect(el, Tag.SEQUENCE, 'extension'))
+  const oid = der.oid(fields.shift())
+  const critical = der.is(fields[0], Tag.BOOLEAN) &&
+    der.boolean(fields.shift())
+  const value = der.expect(fields[0], Tag.OCTET_STRING, 'extension').value
+  return { oid, critical, value }
+}
+
+/**
+ * parses a certificate
+ * @param {Buffer} buf - certificate in DER format
+ * @returns {Certificate}
+ * @throws {Error} if the certificate is malformed
+ */
+const parseCertificate = buf => {
+  const top = der.expect(der.parse(buf), Tag.SEQUENCE, 'certificate')
+  const [tbs, signatureAlgorithm, signature] = der.children(top)
+  const fields = der.children(der.expect(tbs, Tag.SEQUENCE, 'tbs'))
+
+  // version is an explicitly tagged, optional field
+  const version = der.isContext(fields[0], 0)
+    ? der.integer(der.children(fields.shift())[0]) + 1
+    : 1
+
+  const [serial, algorithm, issuer, validity, subject, spki, ...rest] = fields
+
+  // rfc5280 4.1.1.2, must be the same as the one in TBSCertificate
+  if (!der.is(algorithm, Tag.SEQUENCE) ||
+    !algorithm.raw.equals(signatureAlgorithm.raw)) {
+    throw new Error('signature algorithm mismatch')
+  }
+
+  const [notBefore, notAfter] = der.children(der.expect(validity,
+    Tag.SEQUENCE, 'validity'))
+  const [, keyBits] = der.children(der.expect(spki, Tag.SEQUENCE, 'spki'))
+
+  let publicKey = null
+  try {
+    publicKey = createPublicKey({ key: spki.raw, format: 'der', type: 'spki' })
+  } catch (e) {}
+
+  const cert = {
+    raw: top.raw,
+    tbs: tbs.raw,
+    version,
+    serial: der.integerHex(serial),
+    signatureAlgorithm: parseAlgorithm(signatureAlgorithm),
+    signature: der.bitString(signature),
+    issuer: parseName(issuer),
+    subject: parseName(subject),
+    notBefore: der.time(notBefore),
+    notAfter: der.time(notAfter),
+    spki: spki.raw,
+    keyBits: der.bitString(keyBits),
+    publicKey,
+    extensions: []
+  }
+
+  const exts = rest.find(f => der.isContext(f, 3))
+  if (exts) {
+    der.children(der.children(exts)[0]).forEach(el => {
+      const ext = parseExtension(el)
+      // rfc5280 4.2, must not include more than one instance
+      if (cert.extensions.some(e => e.oid === ext.oid)) {
+        throw new Error(`duplicate extension ${ext.oid}`)
+      }
+      cert.extensions.push(ext)
+
+      const prop = EXTENSION_PROPERTIES[ext.oid]
+      if (prop) cert[prop] = decodeExtension(ext.oid, der.parse(ext.value))
+    })
+  }
+
+  return cert
+}
+
+/**
+ * converts a certificate in PEM format to DER format
+ * @param {string|Buffer} pem
+ * @returns {Buffer}
+ */
+const pemToDer = pem => {
+  const m = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/
+    .exec(pem.toString())
+  if (!m) throw new Error('invalid pem certificate')
+  return from(m[1].replace(/\s/g, ''), 'base64')
+}
+
+/**
+ * parses a certificate in PEM format
+ * @param {string|Buffer} pem
+ * @returns {Certificate}
+ */
+const certificateFromPem = pem => parseCertificate(pemToDer(pem))
+
+/**
+ * checks whether `issuer` may be the issuer of `cert`, by name, and by
+ * key identifier if both are present
+ * @param {Certificate} cert
+ * @param {Certificate} issuer
+ * @returns {boolean}
+ */
+const isIssuer = (cert, issuer) =>
+  cert.issuer.der.equals(issuer.subject.der) &&
+  !(cert.authorityKeyIdentifier && issuer.subjectKeyIdentifier &&
+    !cert.authorityKeyIdentifier.equals(issuer.subjectKeyIdentifier))
+
+/**
+ * decodes RSASSA-PSS-params, rfc4055 section 3.1
+ * @param {Element} [params]
+ * @returns {object} `{ hash, saltLength }`
+ */
+const pssParams = params => {
+  const fields = params ? der.children(params) : []
+  const field = tag => {
+    const f = fields.find(f => der.isContext(f, tag))
+    return f && der.children(f)[0]
+  }
+
+  const hashAlg = field(0)
+  const hash = hashAlg ? HASH_ALGORITHMS[parseAlgorithm(hashAlg).oid] : 'sha1'
+  const mgfAlg = field(1)
+  const mgf = mgfAlg ? parseAlgorithm(mgfAlg) : null
+  const mgfHash = mgf
+    ? mgf.oid === MGF1 && HASH_ALGORITHMS[parseAlgorithm(mgf.params).oid]
+    : 'sha1'
+  const salt = field(2)
+
+  // node uses the same hash for message digest and mask generation
+  if (!hash || mgfHash !== hash) throw new Error('unsupported pss params')
+  return { hash, saltLength: salt ? der.integer(salt) : 20 }
+}
+
+/**
+ * verifies a signature with given public key. The key type must match
+ * the signature algorithm.
+ * @param {Algorithm|string} alg - signature algorithm, or its oid
+ * @param {Buffer} data - signed data
+ * @param {Buffer} sig - signature
+ * @param {Buffer|KeyObject} key - public key in DER (spki) or KeyObject
+ * @returns {boolean}
+ */
+const verifySignature = (alg, data, sig, key) => {
+  if (typeof alg === 'string') alg = { oid: alg }
+
+  try {
+    if (Buffer.isBuffer(key)) {
+      key = createPublicKey({ key, format: 'der', type: 'spki' })
+    }
+
+    if (alg.oid === RSASSA_PSS) {
+      if (!['rsa', 'rsa-pss'].includes(key.asymmetricKeyType)) return false
+      const { hash, saltLength } = pssParams(alg.params)
+      return verify(hash, data, {
+        key,
+        padding: constants.RSA_PKCS1_PSS_PADDING,
+        saltLength
+      }, sig)
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[alg.oid]
+    if (!algorithm || !algorithm.keys.includes(key.asymmetricKeyType)) {
+      return false
+    }
+    return verify(algorithm.hash, data, key, sig)
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * verifies the signature of a certificate with the issuer's public key
+ * @param {Certificate} cert
+ * @param {Certificate} issuer
+ * @returns {boolean}
+ */
+const verifyCertificate = (cert, issuer) => !!issuer.publicKey &&
+  verifySignature(cert.signatureAlgorithm, cert.tbs, cert.signature,
+    issuer.publicKey)
+
+/**
+ * formats subjectAltName in the same way as node `subjectaltname`
+ * @param {GeneralName[]} names
+ * @returns {string} eg. `DNS:example.com, IP Address:127.0.0.1`
+ */
+const formatAltNames = names => names
+  .map(n => {
+    switch (n.type) {
+      case 'DNS':
+      case 'URI':
+        return `${n.type}:${n.value}`
+      case 'email':
+        return `email:${n.value}`
+      case 'IP':
+        return `IP Address:${formatIP(n.value)}`
+      case 'DirName':
+        return `DirName:${formatName(n.value)}`
+      default:
+        return null
+    }
+  })
+  .filter(x => x)
+  .join(', ')
+
+/**
+ * checks whether a certificate is self-issued, that is, the subject and
+ * issuer are the same
+ * @param {Certificate} cert
+ * @returns {boolean}
+ */
+const isSelfIssued = cert => cert.issuer.der.equals(cert.subject.der)
+
+/**
+ * checks whether a host is within a constraint. A constraint matches the
+ * host, or all subdomains if it starts with a period.
+ * @param {string} host
+ * @param {string} constraint
+ * @param {boolean} subdomains - whether a constraint without leading period
+ * also matches subdomains, as for dNSName
+ * @returns {boolean}
+ */
+const matchHost = (host, constraint, subdomains) => {
+  host = host.toLowerCase().replace(/\.$/, '')
+  constraint = constraint.toLowerCase()
+  if (!constraint) return true
+  if (constraint.startsWith('.')) return host.endsWith(constraint)
+  return host === constraint ||
+    (subdomains && host.endsWith(`.${constraint}`))
+}
+
+/**
+ * checks whether a general name is within a subtree of the same type,
+ * see rfc5280 section 4.2.1.10
+ * @param {GeneralName} name
+ * @param {GeneralName} base - subtree base
+ * @returns {boolean|undefined} `undefined` if the type is not supported
+ */
+const matchSubtree = (name, base) => {
+  switch (name.type) {
+    case 'DNS':
+      return matchHost(name.value, base.value, true)
+    case 'email': {
+      if (base.value.includes('@')) {
+        return name.value.toLowerCase() === base.value.toLowerCase()
+      }
+      return matchHost(name.value.slice(name.value.lastIndexOf('@') + 1),
+        base.value, false)
+    }
+    case 'URI': {
+      let host
+      try {
+        host = new URL(name.value).hostname
+      } catch (e) {
+        return false
+      }
+      return !!host && matchHost(host, base.value, false)
+    }
+    case 'IP': {
+      const ip = name.value
+      const len = ip.length
+      if (base.value.length !== len * 2) return false
+      for (let i = 0; i < len; i++) {
+        const mask = base.value[len + i]
+        if ((ip[i] & mask) !== (base.value[i] & mask)) return false
+      }
+      return true
+    }
+    case 'DirName': {
+      const rdns = der.children(der.parse(name.value.der))
+      const prefix = der.children(der.parse(base.value.der))
+      return prefix.length <= rdns.length &&
+        prefix.every((rdn, i) => rdn.raw.equals(rdns[i].raw))
+    }
+    default:
+      return undefined
+  }
+}
+
+/**
+ * checks names of a certificate against name constraints of a CA. Names
+ * include subjectAltName, the subject, emailAddress in the subject, and
+ * the subject common name if there is no dNSName in subjectAltName.
+ * Names of unsupported types fail if constrained.
+ * @param {Certificate} cert
+ * @param {object} constraints - `{ permitted, excluded }`
+ * @returns {string|undefined} the first name violating the constraints
+ */
+const checkNameConstraints = (cert, { permitted, excluded }) => {
+  const names = [...(cert.subjectAltName || [])]
+  if (cert.subject.attributes.length) {
+    names.push({ type: 'DirName', value: cert.subject })
+  }
+  cert.subject.attributes.forEach(a => {
+    if (a.name === 'emailAddress') names.push({ type: 'email', value: a.value })
+  })
+  if (!names.some(n => n.type === 'DNS')) {
+    cert.subject.attributes.forEach(a => {
+      if (a.name === 'CN' && /^[a-z0-9*_-]+(\.[a-z0-9*_-]+)+\.?$/i.test(a.value)) {
+        names.push({ type: 'DNS', value: a.value })
+      }
+    })
+  }
+
+  return names
+    .filter(name => {
+      const permits = (permitted || []).filter(b => b.type === name.type)
+      const excludes = excluded.filter(b => b.type === name.type)
+      return (permits.length &&
+        !permits.some(b => matchSubtree(name, b) === true)) ||
+        excludes.some(b => matchSubtree(name, b) !== false)
+    })
+    .map(name => formatAltNames([name]) || name.type)[0]
+}
+
+module.exports = {
+  Extension,
+  KeyPurpose,
+  HASH_ALGORITHMS,
+  parseName,
+  nameFromDer,
+  formatName,
+  formatIP,
+  formatAltNames,
+  parseGeneralName,
+  parseDistributionPointName,
+  parseExtension,
+  parseCertificate,
+  pemToDer,
+  certificateFromPem,
+  isIssuer,
+  isSelfIssued,
+  checkNameConstraints,
+  verifySignature,
+  verifyCertificate
+}
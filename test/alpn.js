@@ -0,0 +1,90 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const ALPN = 16
+const MQTT = 'x-amzn-mqtt-ca'
+
+// ServerHello body with an ALPN extension selecting given protocol
+const serverHello = (telsa, protocol) => {
+  const code = telsa.cipherSuites[0].code
+  const name = Buffer.from(protocol)
+  const ext = Buffer.alloc(7)
+  ext.writeUInt16BE(ALPN)
+  ext.writeUInt16BE(name.length + 3, 2)
+  ext.writeUInt16BE(name.length + 1, 4)
+  ext[6] = name.length
+  return Buffer.concat([
+    Buffer.from([3, 3]),
+    crypto.randomBytes(32),
+    Buffer.from([0, code >> 8, code & 0xff, 0, 0, ext.length + name.length]),
+    ext,
+    name
+  ])
+}
+
+describe(path.basename(__filename), () => {
+  it('should negotiate x-amzn-mqtt-ca with node tls', done => {
+    createServer({ ALPNProtocols: [MQTT] }, server => {
+      let selected
+      const telsa = connect(server, {
+        ALPNProtocols: ['h2', MQTT]
+      }, err => {
+        server.close()
+        if (err) return done(err)
+        expect(selected).to.equal(MQTT)
+        done()
+      })
+      telsa.on('connect', () => { selected = telsa.alpnProtocol })
+    })
+  })
+
+  it('should fail with no_application_protocol on mismatch', done => {
+    createServer({ ALPNProtocols: ['h2'] }, server =>
+      connect(server, { ALPNProtocols: [MQTT] }, err => {
+        server.close()
+        expect(err.name).to.equal('TLSAlert')
+        expect(err.description).to.equal(120)
+        done()
+      }))
+  })
+
+  it('should set alpnProtocol to false if ALPN is not negotiated', done => {
+    createServer({}, server =>
+      connect(server, { ALPNProtocols: [MQTT] }, (err, telsa) => {
+        server.close()
+        if (err) return done(err)
+        expect(telsa.alpnProtocol).to.equal(false)
+        done()
+      }))
+  })
+
+  it('should not offer ALPN without protocols', done => {
+    const telsa = createTelsa()
+    telsa.sendClientHello()
+    expect(telsa.offeredExtensions).to.not.include(ALPN)
+    expect(telsa.alpnProtocol).to.equal(false)
+    expect(() => createTelsa({ ALPNProtocols: [''] }))
+      .to.throw('invalid alpn protocol name')
+    done()
+  })
+
+  it('should fail if server selects a protocol not offered', done => {
+    const telsa = createTelsa({ ALPNProtocols: [MQTT] })
+    telsa.sendClientHello()
+    expect(alertOf(() => telsa.handleServerHello(serverHello(telsa, 'h2'))))
+      .to.equal(120)
+    expect(telsa.alpnProtocol).to.equal(false)
+
+    const offered = createTelsa({ ALPNProtocols: [MQTT] })
+    offered.sendClientHello()
+    offered.handleServerHello(serverHello(offered, MQTT))
+    expect(offered.alpnProtocol).to.equal(MQTT)
+    done()
+  })
+})
@@ -0,0 +1,99 @@
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+
+const { checkServerIdentity } = require('../src/telsa')
+const { createServer, connect } = require('./fixtures/telsa')
+
+describe(path.basename(__filename), () => {
+  it('should match dns name in subjectaltname', done => {
+    const cert = {
+      subject: { CN: 'other.com' },
+      subjectaltname: 'DNS:example.com, DNS:www.example.com'
+    }
+    expect(checkServerIdentity('www.example.com', cert)).to.equal(undefined)
+    expect(checkServerIdentity('WWW.Example.com.', cert)).to.equal(undefined)
+    done()
+  })
+
+  it('should ignore CN if subjectaltname has dns names', done => {
+    const cert = {
+      subject: { CN: 'other.com' },
+      subjectaltname: 'DNS:example.com'
+    }
+    const err = checkServerIdentity('other.com', cert)
+    expect(err).to.be.an('error')
+    expect(err.code).to.equal('ERR_TLS_CERT_ALTNAME_INVALID')
+    done()
+  })
+
+  it('should fall back to CN if subjectaltname has no dns names', done => {
+    const cert = { subject: { CN: 'example.com' } }
+    expect(checkServerIdentity('example.com', cert)).to.equal(undefined)
+    expect(checkServerIdentity('a.example.com', cert)).to.be.an('error')
+    done()
+  })
+
+  it('should match wildcard against exactly one label', done => {
+    const cert = { subject: {}, subjectaltname: 'DNS:*.example.com' }
+    expect(checkServerIdentity('a.example.com', cert)).to.equal(undefined)
+    expect(checkServerIdentity('example.com', cert)).to.be.an('error')
+    expect(checkServerIdentity('a.b.example.com', cert)).to.be.an('error')
+    expect(checkServerIdentity('evil-example.com', cert)).to.be.an('error')
+    done()
+  })
+
+  it('should not match wildcard directly under top-level domain', done => {
+    const cert = { subject: {}, subjectaltname: 'DNS:*.com' }
+    expect(checkServerIdentity('example.com', cert)).to.be.an('error')
+    done()
+  })
+
+  it('should match ip address in subjectaltname only', done => {
+    const cert = {
+      subject: { CN: '10.0.0.1' },
+      subjectaltname: 'DNS:example.com, IP Address:127.0.0.1, ' +
+        'IP Address:2001:DB8:0:0:0:0:0:1'
+    }
+    expect(checkServerIdentity('127.0.0.1', cert)).to.equal(undefined)
+    expect(checkServerIdentity('2001:db8::1', cert)).to.equal(undefined)
+    expect(checkServerIdentity('10.0.0.1', cert)).to.be.an('error')
+    expect(checkServerIdentity('127.0.0.2', cert)).to.be.an('error')
+    done()
+  })
+
+  it('should verify server identity in handshake', done => {
+    createServer({}, server => connect(server, {
+      host: '127.0.0.1'
+    }, (err, telsa, received) => {
+      if (err) {
+        server.close()
+        return done(err)
+      }
+      expect(received).to.equal('hello')
+      connect(server, { servername: 'example.com' }, err => {
+        server.close()
+        expect(err.description).to.equal(46)
+        expect(err.message).to.match(/example\.com/)
+        done()
+      })
+    }))
+  })
+
+  it('should use checkServerIdentity option', done => {
+    const args = []
+    createServer({}, server => connect(server, {
+      checkServerIdentity: (host, cert) => {
+        args.push({ host, cert })
+        return new Error('rejected')
+      }
+    }, err => {
+      server.close()
+      expect(err.description).to.equal(46)
+      expect(args.length).to.equal(1)
+      expect(args[0].host).to.equal('localhost')
+      expect(args[0].cert.subject.CN).to.equal('localhost')
+      done()
+    }))
+  })
+})
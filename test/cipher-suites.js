@@ -0,0 +1,122 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+// cipher suite codes in a ClientHello record
+const offeredSuites = record => {
+  let data = record.slice(5 + 4 + 2 + 32)
+  data = data.slice(1 + data[0])
+  const codes = []
+  for (let i = 0; i < data.readUInt16BE(0); i += 2) {
+    codes.push(data.readUInt16BE(2 + i))
+  }
+  return codes
+}
+
+// ServerHello body without extensions
+const serverHello = code => Buffer.concat([
+  Buffer.from([3, 3]),
+  crypto.randomBytes(32),
+  Buffer.from([0, code >> 8, code & 0xff, 0])
+])
+
+describe(path.basename(__filename), () => {
+  it('should offer all supported suites by default', done => {
+    const telsa = createTelsa()
+    expect(telsa.cipherSuites.map(s => s.name)).to.deep.equal([
+      'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256',
+      'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256',
+      'TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384',
+      'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384',
+      'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA256',
+      'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA256',
+      'TLS_ECDHE_ECDSA_WITH_AES_128_CBC_SHA',
+      'TLS_ECDHE_RSA_WITH_AES_128_CBC_SHA',
+      'TLS_ECDHE_ECDSA_WITH_AES_256_CBC_SHA',
+      'TLS_ECDHE_RSA_WITH_AES_256_CBC_SHA',
+      'TLS_RSA_WITH_AES_128_GCM_SHA256',
+      'TLS_RSA_WITH_AES_256_GCM_SHA384',
+      'TLS_RSA_WITH_AES_128_CBC_SHA256',
+      'TLS_RSA_WITH_AES_128_CBC_SHA',
+      'TLS_RSA_WITH_AES_256_CBC_SHA'
+    ])
+    telsa.sendClientHello()
+    expect(offeredSuites(telsa.socket.written[0]))
+      .to.deep.equal(telsa.cipherSuites.map(s => s.code))
+    done()
+  })
+
+  it('should offer only given suites in given order', done => {
+    const names = [
+      'TLS_RSA_WITH_AES_128_CBC_SHA',
+      'TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384'
+    ]
+    const fromArray = createTelsa({ ciphers: names })
+    const fromString = createTelsa({ ciphers: names.join(':') })
+    fromArray.sendClientHello()
+    fromString.sendClientHello()
+    expect(offeredSuites(fromArray.socket.written[0]))
+      .to.deep.equal([0x002f, 0xc030])
+    expect(offeredSuites(fromString.socket.written[0]))
+      .to.deep.equal([0x002f, 0xc030])
+    done()
+  })
+
+  it('should throw on unsupported or no cipher suites', done => {
+    expect(() => createTelsa({ ciphers: 'TLS_RSA_WITH_RC4_128_SHA' }))
+      .to.throw('unsupported cipher suite TLS_RSA_WITH_RC4_128_SHA')
+    expect(() => createTelsa({ ciphers: [] })).to.throw('no cipher suite')
+    done()
+  })
+
+  it('should reject a suite not offered in ServerHello', done => {
+    const telsa = createTelsa({
+      ciphers: 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256'
+    })
+    telsa.sendClientHello()
+    expect(() => telsa.handleServerHello(serverHello(0xc02f)))
+      .to.throw('unsupported cipher suite')
+    expect(alertOf(() => telsa.handleServerHello(serverHello(0xc02f))))
+      .to.equal(47)
+
+    telsa.handleServerHello(serverHello(0xc02b))
+    expect(telsa.cipherSuite.name)
+      .to.equal('TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256')
+    done()
+  })
+
+  it('should hash transcript with prf hash of negotiated suite', done => {
+    const telsa = createTelsa()
+    const hash = msgs => crypto.createHash('sha384')
+      .update(Buffer.concat(msgs)).digest()
+    telsa.sendClientHello()
+    telsa.handleServerHello(serverHello(0xc030))
+    expect(telsa.transcriptHash()).to.deep.equal(hash(telsa.msgs))
+
+    telsa.saveMessage('server', Buffer.from([14, 0, 0, 0]))
+    expect(telsa.msgs).to.have.length(2)
+    expect(telsa.transcriptHash()).to.deep.equal(hash(telsa.msgs))
+    done()
+  })
+
+  // suites for the RSA server certificate
+  createTelsa().cipherSuites
+    .filter(suite => suite.keyExchange !== 'ECDHE_ECDSA')
+    .forEach(({ name, code }) => {
+      it(`should complete handshake with node tls using ${name}`, done => {
+        createServer({}, server =>
+          connect(server, { ciphers: name }, (err, telsa, received) => {
+            server.close()
+            if (err) return done(err)
+            expect(received).to.equal('hello')
+            expect(telsa.cipherSuite.code).to.equal(code)
+            done()
+          }))
+      })
+    })
+})
@@ -0,0 +1,233 @@
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+
+const { certificateFromPem } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const { ecClient, ecClientKey } = require('./fixtures/ecdsa')
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const RSA_SIGN = 1
+const ECDSA_SIGN = 64
+
+const prepend16 = data => {
+  const length = Buffer.alloc(2)
+  length.writeUInt16BE(data.length)
+  return Buffer.concat([length, data])
+}
+
+// subject distinguished name of a certificate in DER format
+const subjectDer = pem => certificateFromPem(pem).subject.der
+
+// CertificateRequest body
+const certificateRequest = ({
+  types = [RSA_SIGN, ECDSA_SIGN],
+  schemes = [0x0403, 0x0804, 0x0401],
+  cas = []
+}) => {
+  const algs = Buffer.alloc(schemes.length * 2)
+  schemes.forEach((code, i) => algs.writeUInt16BE(code, i * 2))
+  return Buffer.concat([
+    Buffer.from([types.length, ...types]),
+    prepend16(algs),
+    prepend16(Buffer.concat(cas.map(pem => prepend16(subjectDer(pem)))))
+  ])
+}
+
+// client EC identity issued by intermediate, and RSA one by other root
+const identities = [
+  { cert: ecClient, key: ecClientKey },
+  { cert: pki.client2, key: pki.client2Key }
+]
+
+// echo server, `peers` records client certificate of each connection
+const createPeerServer = (opts, callback) => {
+  const peers = []
+  createServer(opts, socket => {
+    peers.push({
+      authorized: socket.authorized,
+      subject: socket.getPeerCertificate().subject
+    })
+    socket.pipe(socket)
+  }, server => callback(server, peers))
+}
+
+describe(path.basename(__filename), () => {
+  it('should connect without CertificateRequest', done => {
+    createPeerServer({}, server => connect(server, {}, (err, telsa) => {
+      server.close()
+      if (err) return done(err)
+      expect(telsa.certificateRequested).to.equal(false)
+      done()
+    }))
+  })
+
+  it('should send empty Certificate if no client certificate', done => {
+    createPeerServer({
+      requestCert: true,
+      rejectUnauthorized: false
+    }, (server, peers) => connect(server, {}, err => {
+      server.close()
+      if (err) return done(err)
+      expect(peers[0].authorized).to.equal(false)
+      expect(peers[0].subject).to.equal(undefined)
+      done()
+    }))
+  })
+
+  it('should send client certificate if requested', done => {
+    createPeerServer({
+      requestCert: true,
+      ca: [pki.root, pki.int]
+    }, (server, peers) => connect(server, {
+      cert: pki.client,
+      key: pki.clientKey
+    }, (err, telsa) => {
+      server.close()
+      if (err) return done(err)
+      expect(telsa.certificateRequested).to.equal(true)
+      expect(peers[0].authorized).to.equal(true)
+      expect(peers[0].subject.CN).to.equal('client')
+      done()
+    }))
+  })
+
+  it('should throw if only one of cert and key is provided', done => {
+    expect(() => createTelsa({ cert: pki.client }))
+      .to.throw('client certificate and key must be provided together')
+    expect(() => createTelsa({ key: pki.clientKey }))
+      .to.throw('client certificate and key must be provided together')
+    done()
+  })
+
+  it('should select identity by requested certificate authorities', done => {
+    const telsa = createTelsa({ identities })
+    telsa.handleCertificateRequest(certificateRequest({ cas: [pki.other] }))
+    expect(telsa.identity).to.equal(telsa.identities[1])
+    expect(telsa.signatureScheme.code).to.equal(0x0401)
+
+    telsa.handleCertificateRequest(certificateRequest({
+      cas: [pki.other, pki.int]
+    }))
+    expect(telsa.identity).to.equal(telsa.identities[0])
+    expect(telsa.signatureScheme.code).to.equal(0x0403)
+
+    // falls back to the first one
+    telsa.handleCertificateRequest(certificateRequest({ cas: [pki.root] }))
+    expect(telsa.identity).to.equal(telsa.identities[0])
+    done()
+  })
+
+  it('should select identity by certificate type and algorithm', done => {
+    const telsa = createTelsa({ identities })
+    telsa.handleCertificateRequest(certificateRequest({
+      types: [RSA_SIGN],
+      cas: [pki.int]
+    }))
+    expect(telsa.identity).to.equal(telsa.identities[1])
+
+    telsa.handleCertificateRequest(certificateRequest({
+      schemes: [0x0804]
+    }))
+    expect(telsa.identity).to.equal(telsa.identities[1])
+    expect(telsa.signatureScheme.code).to.equal(0x0804)
+    done()
+  })
+
+  it('should fail with handshake_failure if no identity accepted', done => {
+    const telsa = createTelsa({ cert: ecClient, key: ecClientKey })
+    expect(alertOf(() => telsa.handleCertificateRequest(certificateRequest({
+      types: [RSA_SIGN]
+    })))).to.equal(40)
+    expect(alertOf(() => telsa.handleCertificateRequest(certificateRequest({
+      schemes: [0x0804]
+    })))).to.equal(40)
+    done()
+  })
+
+  it('should fail with decode_error on malformed CertificateRequest', done => {
+    const telsa = createTelsa({ identities })
+    const data = certificateRequest({ cas: [pki.int] })
+    expect(alertOf(() => telsa.handleCertificateRequest(data.slice(0, -1))))
+      .to.equal(50)
+    done()
+  })
+
+  it('should send the identity issued by requested ca', done => {
+    createPeerServer({
+      requestCert: true,
+      ca: pki.other
+    }, (server, peers) => connect(server, { identities }, (err, telsa) => {
+      server.close()
+      if (err) return done(err)
+      expect(telsa.identity).to.equal(telsa.identities[1])
+      expect(peers[0].authorized).to.equal(true)
+      expect(peers[0].subject.CN).to.equal('client2')
+      done()
+    }))
+  })
+
+  it('should sign CertificateVerify with an ec client key', done => {
+    createPeerServer({
+      requestCert: true,
+      ca: [pki.root, pki.int]
+    }, (server, peers) => connect(server, {
+      cert: ecClient,
+      key: ecClientKey
+    }, (err, telsa) => {
+      server.close()
+      if (err) return done(err)
+      expect(telsa.signatureScheme.key).to.equal('ec')
+      expect(peers[0].authorized).to.equal(true)
+      expect(peers[0].subject.CN).to.equal('ec client')
+      done()
+    }))
+  })
+  it('should order shuffled client certificate bundle', done => {
+    const der = pem => certificateFromPem(pem).raw
+    const expected = [pki.client, pki.int, pki.root].map(der)
+    const fromArray = createTelsa({
+      cert: [pki.int, pki.client, pki.root, pki.int],
+      key: pki.clientKey
+    })
+    const fromBundle = createTelsa({
+      cert: pki.root + pki.client + '\n' + pki.int,
+      key: pki.clientKey
+    })
+    expect(fromArray.identities[0].chain).to.deep.equal(expected)
+    expect(fromBundle.identities[0].chain).to.deep.equal(expected)
+    done()
+  })
+
+  it('should throw if client certificates do not link up', done => {
+    expect(() => createTelsa({
+      cert: [pki.client, pki.int, pki.other],
+      key: pki.clientKey
+    })).to.throw('client certificate chain does not link up, leaf ' +
+      'certificates: CN=client; CN=Telsa Test Other Root')
+    expect(() => createTelsa({
+      cert: [pki.client, pki.root],
+      key: pki.clientKey
+    })).to.throw('client certificate chain does not link up')
+    done()
+  })
+
+  it('should send intermediates to a server trusting the root only',
+    done => {
+      createPeerServer({
+        requestCert: true,
+        ca: pki.root
+      }, (server, peers) => connect(server, {
+        cert: [pki.client, pki.int],
+        key: pki.clientKey
+      }, err => {
+        server.close()
+        if (err) return done(err)
+        expect(peers[0].authorized).to.equal(true)
+        expect(peers[0].subject.CN).to.equal('client')
+        done()
+      }))
+    })
+})
@@ -0,0 +1,144 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const Telsa = require('../src/telsa')
+const { certificateFromPem } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const revocation = require('./fixtures/revocation')
+const {
+  createTelsa, createServer, connect
+} = require('./fixtures/telsa')
+
+const { monotonicFloorClock, tolerantClock } = Telsa
+
+const server = certificateFromPem(pki.server)
+const notBefore = server.notBefore.getTime()
+const notAfter = server.notAfter.getTime()
+
+const verify = opts => createTelsa(opts).verifyServerCertificates(
+  [pki.server, pki.int].map(certificateFromPem))
+
+const verifyError = opts => {
+  try {
+    verify(opts)
+  } catch (e) {
+    return e
+  }
+  throw new Error('not thrown')
+}
+
+describe(path.basename(__filename), () => {
+  it('should trust system time not earlier than floors', done => {
+    const now = Date.now()
+    const time = monotonicFloorClock(new Date(now - 1000), now - 2000)()
+    expect(time.source).to.equal('system time')
+    expect(time.earliest).to.equal(time.latest)
+    expect(time.earliest).to.be.at.least(now)
+    done()
+  })
+
+  it('should bound time by the latest floor if system time is earlier',
+    done => {
+      const floor = Date.now() + 60000
+      const clock = monotonicFloorClock(0, () => new Date(floor), NaN)
+      expect(clock()).to.deep.equal({
+        earliest: floor,
+        latest: Infinity,
+        source: 'monotonic floor'
+      })
+      done()
+    })
+
+  it('should widen time by skew', done => {
+    const now = Date.now()
+    const time = tolerantClock(5000)()
+    expect(time.latest - time.earliest).to.equal(10000)
+    expect(time.earliest).to.be.within(now - 5000, Date.now() - 5000)
+    expect(time.source).to.equal('system time with 5000ms skew')
+
+    const clock = () => ({ earliest: 1000, latest: Infinity, source: 'rtc' })
+    expect(tolerantClock(100, clock)()).to.deep.equal({
+      earliest: 900,
+      latest: Infinity,
+      source: 'rtc with 100ms skew'
+    })
+    done()
+  })
+
+  it('should fail with certificate_expired after notAfter', done => {
+    const earliest = notAfter + 1000
+    const err = verifyError({
+      clock: () => ({ earliest, latest: Infinity, source: 'rtc' })
+    })
+    expect(err.description).to.equal(45)
+    expect(err.paths[0]).to.include({
+      certificate: 'CN=localhost',
+      bound: 'earliest',
+      earliest,
+      latest: Infinity,
+      anchored: true
+    })
+    expect(err.paths[0].reason).to.match(/^CN=localhost expired at .* \(rtc\)$/)
+    done()
+  })
+
+  it('should fail with certificate_expired before notBefore', done => {
+    const latest = notBefore - 10000
+    const err = verifyError({
+      clock: tolerantClock(5000, () => ({ earliest: latest - 5000, latest }))
+    })
+    expect(err.description).to.equal(45)
+    expect(err.paths[0]).to.include({
+      bound: 'latest',
+      earliest: latest - 10000,
+      latest: latest + 5000
+    })
+    done()
+  })
+
+  it('should pass if validity overlaps trusted time', done => {
+    const latest = notBefore - 1000
+    verify({ clock: tolerantClock(5000, () => ({ earliest: latest, latest })) })
+    verify({ clock: monotonicFloorClock(notAfter - 1000) })
+    verify({ validityCheckDate: null, clock: () => ({}) })
+    done()
+  })
+
+  it('should throw on invalid trusted time', done => {
+    expect(() => verify({ clock: () => ({ earliest: 2, latest: 1 }) }))
+      .to.throw('invalid trusted time from clock')
+    expect(() => verify({ clock: () => null }))
+      .to.throw('invalid trusted time from clock')
+    expect(() => verify({ clock: () => 1000 }))
+      .to.throw('invalid trusted time from clock')
+    done()
+  })
+
+  it('should read the clock once per certificate verification', done => {
+    let reads = 0
+    const clock = () => {
+      reads++
+      const now = Date.now()
+      return { earliest: now, latest: now }
+    }
+    const sha256 = crypto.createHash('sha256')
+      .update(crypto.createPublicKey(pki.server)
+        .export({ type: 'spki', format: 'der' }))
+      .digest()
+    const backup = { sha256: Buffer.alloc(32), backup: true }
+    createServer({}, server => connect(server, {
+      clock,
+      crls: revocation.crlGood,
+      revocation: 'hard',
+      pins: [{ sha256, expires: new Date(Date.now() + 60000) }, backup]
+    }, (err, telsa) => {
+      server.close()
+      if (err) return done(err)
+      expect(reads).to.equal(1)
+      expect(telsa.verificationTime.source).to.equal('clock')
+      done()
+    }))
+  })
+})
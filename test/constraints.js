@@ -0,0 +1,95 @@
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+
+const { certificateFromPem, formatName } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const constraints = require('./fixtures/constraints')
+const { createTelsa, alertOf } = require('./fixtures/telsa')
+
+const fixtures = Object.assign({}, pki, constraints)
+const parse = names => names.map(name => certificateFromPem(fixtures[name]))
+
+const verify = names => createTelsa().verifyServerCertificates(parse(names))
+  .map(cert => formatName(cert.subject))
+
+const verifyError = names => {
+  try {
+    verify(names)
+  } catch (e) {
+    return e
+  }
+  throw new Error('not thrown')
+}
+
+// alert description of server key usage check for given key exchange
+const checkKeyUsage = (name, keyExchange) => {
+  const telsa = createTelsa()
+  telsa.cipherSuite = telsa.cipherSuites
+    .find(suite => suite.keyExchange === keyExchange)
+  const [cert] = parse([name])
+  return alertOf(() => telsa.checkServerKeyUsage(cert))
+}
+
+describe(path.basename(__filename), () => {
+  it('should verify a path satisfying all constraints', done => {
+    expect(verify(['server', 'int'])).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+    ])
+    expect(verify(['permitted', 'constrained'])).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Constrained', 'CN=Telsa Test Root'
+    ])
+    expect(checkKeyUsage('server', 'ECDHE_RSA')).to.equal(undefined)
+    expect(checkKeyUsage('server', 'RSA')).to.equal(undefined)
+    done()
+  })
+
+  it('should fail with bad_certificate on non-CA intermediate', done => {
+    const err = verifyError(['notCAServer', 'notCA'])
+    expect(err.description).to.equal(42)
+    expect(err.message).to.include('CN=Telsa Test Not CA is not a CA')
+    done()
+  })
+
+  it('should fail with bad_certificate on path length overflow', done => {
+    const err = verifyError(['pathLenServer', 'pathLenInt', 'pathLen'])
+    expect(err.description).to.equal(42)
+    expect(err.message).to.include(
+      'CN=Telsa Test Path Length path length constraint 0 exceeded')
+    done()
+  })
+
+  it('should fail with bad_certificate on names outside or excluded',
+    done => {
+      const outside = verifyError(['outside', 'constrained'])
+      expect(outside.description).to.equal(42)
+      expect(outside.message).to.include('name DNS:example.org violates ' +
+        'name constraints of CN=Telsa Test Constrained')
+
+      const excluded = verifyError(['excluded', 'constrained'])
+      expect(excluded.description).to.equal(42)
+      expect(excluded.message).to.include('name DNS:bad.example.com violates')
+      done()
+    })
+
+  it('should fail with bad_certificate on unsupported critical extension',
+    done => {
+      const err = verifyError(['critical', 'int'])
+      expect(err.description).to.equal(42)
+      expect(err.message).to.include(
+        'CN=localhost has unsupported critical extension 1.3.6.1.4.1.55555.1')
+      done()
+    })
+
+  it('should fail with unsupported_certificate without serverAuth', done => {
+    expect(checkKeyUsage('clientAuthServer', 'ECDHE_RSA')).to.equal(43)
+    done()
+  })
+
+  it('should fail with unsupported_certificate on wrong key usage', done => {
+    // keyEncipherment only
+    expect(checkKeyUsage('encipherServer', 'ECDHE_RSA')).to.equal(43)
+    expect(checkKeyUsage('encipherServer', 'RSA')).to.equal(undefined)
+    done()
+  })
+})
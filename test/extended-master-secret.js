@@ -0,0 +1,99 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const PRF = require('../src/prf')
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const EXTENDED_MASTER_SECRET = 23
+
+// ServerHello body with given extensions, for the first offered suite
+const serverHello = (telsa, exts) => {
+  const data = Buffer.concat(exts.map(([type, body]) => {
+    const head = Buffer.alloc(4)
+    head.writeUInt16BE(type)
+    head.writeUInt16BE(body.length, 2)
+    return Buffer.concat([head, body])
+  }))
+  const code = telsa.cipherSuites[0].code
+  return Buffer.concat([
+    Buffer.from([3, 3]),
+    crypto.randomBytes(32),
+    Buffer.from([0, code >> 8, code & 0xff, 0, data.length >> 8, data.length]),
+    data
+  ])
+}
+
+const hello = opts => {
+  const telsa = createTelsa(opts)
+  telsa.sendClientHello()
+  return telsa
+}
+
+const ems = [[EXTENDED_MASTER_SECRET, Buffer.alloc(0)]]
+
+describe(path.basename(__filename), () => {
+  it('should offer extended_master_secret in ClientHello', done => {
+    const telsa = hello()
+    expect(telsa.offeredExtensions).to.include(EXTENDED_MASTER_SECRET)
+    done()
+  })
+
+  it('should use extended master secret if the server echoes it', done => {
+    const telsa = hello()
+    telsa.handleServerHello(serverHello(telsa, ems))
+    expect(telsa.extendedMasterSecret).to.equal(true)
+    done()
+  })
+
+  it('should not use extended master secret if absent', done => {
+    const telsa = hello()
+    telsa.handleServerHello(serverHello(telsa, []))
+    expect(telsa.extendedMasterSecret).to.equal(false)
+    done()
+  })
+
+  it('should fail with handshake_failure if absent but required', done => {
+    const telsa = hello({ requireExtendedMasterSecret: true })
+    expect(alertOf(() => telsa.handleServerHello(serverHello(telsa, []))))
+      .to.equal(40)
+    done()
+  })
+
+  it('should fail with decode_error on non-empty extension', done => {
+    const telsa = hello()
+    expect(alertOf(() => telsa.handleServerHello(serverHello(telsa, [
+      [EXTENDED_MASTER_SECRET, Buffer.from([0])]
+    ])))).to.equal(50)
+    done()
+  })
+
+  it('should derive master secret from the session hash', done => {
+    const telsa = hello()
+    telsa.handleServerHello(serverHello(telsa, ems))
+    telsa.preMasterSecret = crypto.randomBytes(48)
+    const { prf } = telsa.cipherSuite
+    const sessionHash = crypto.createHash(prf)
+      .update(Buffer.concat(telsa.msgs))
+      .digest()
+    telsa.deriveMasterSecret()
+    expect(telsa.masterSecret).to.deep.equal(PRF(telsa.preMasterSecret,
+      'extended master secret', sessionHash, 48, prf))
+    done()
+  })
+
+  it('should complete handshake with extended master secret', done => {
+    createServer({}, server => connect(server, {
+      requireExtendedMasterSecret: true
+    }, (err, telsa, received) => {
+      server.close()
+      if (err) return done(err)
+      expect(received).to.equal('hello')
+      expect(telsa.extendedMasterSecret).to.equal(true)
+      done()
+    }))
+  })
+})
@@ -0,0 +1,244 @@
+// generated by gen.sh, do not edit
+
+module.exports = {
+  notCA: `-----BEGIN CERTIFICATE-----
+MIIDGzCCAgOgAwIBAgIJAIhQR31WFG0RMA0GCSqGSIb3DQEBCwUAMBoxGDAWBgNV
+BAMMD1RlbHNhIFRlc3QgUm9vdDAgFw0yNjEwMTkwNTE0NTVaGA8yMTI2MDkyNTA1
+MTQ1NVowHDEaMBgGA1UEAwwRVGVsc2EgVGVzdCBOb3QgQ0EwggEiMA0GCSqGSIb3
+DQEBAQUAA4IBDwAwggEKAoIBAQDCcb1Ty4WYVtbD8o7LAggJ+xtKOYZOKjHdw0gi
+CNyt8qQ2zwIxtVaQiRYKCuaHcOrEFH3CMxRaB0K/VTCioboo5rF39xPciB6G6cpM
+uXJH6UYqvMF65Fdv2JS+ycRM8trV4762mczcLCDFgc/zfFyAXHkoMa4Ql6A8+Zr5
+2EZN85CQtvr836m9hf+jvwIyL15EPruSGEA2YtcFcNh6P0hSk5dwi2E2mMFp01f3
+0KhbcfyqXSDZJRYhQT3+5zV+BSOGHMFqTn+4oULkkFBpNK2R62qWdf5sjMxcJ3T8
+k/vUprkh8lkShBxnHXaMGxLZz3NLqVAVlU4Bs8AUMrX/fKQBAgMBAAGjYDBeMAwG
+A1UdEwEB/wQCMAAwDgYDVR0PAQH/BAQDAgEGMB0GA1UdDgQWBBTp1dp2xtoc6AbC
+iR/e9Npw8pzzZjAfBgNVHSMEGDAWgBR3kOp6XcoIM6rFdHmmSZiaSW348DANBgkq
+hkiG9w0BAQsFAAOCAQEAt8xGXKbHTu/EgyaZsezQQ+ndKAniN+N1b4nFM2aX4oWm
+fDRGanc4PNthispDXv+krCwmfsdaN9aQrEve34z9ngulJdgXx6BwxGTOuSrMyEk1
+8uI4QKYD67H/h+1xBgDQof7TLcSkQ+R1Op2RcbasG/KOFLXFtYfg4oF1f4Y7ThUs
+dDxpJuKr6l0OQOtBRLceGfcK0mUg5gxyBavLdepX5wtsbhX1dGk57MriQM/3S95F
+j5OypWhd9qhkYoYn6V+wG45DUWYsZmnZRoVZTOIw9zD2TQXmy3OQFX1hRF98fe+J
+tLvDOugslv53dgMJj1BQOHaN2bqk/wyOm1J9P3Wi/A==
+-----END CERTIFICATE-----`,
+  notCAServer: `-----BEGIN CERTIFICATE-----
+MIIDdTCCAl2gAwIBAgIIbnUiTqUcTAcwDQYJKoZIhvcNAQELBQAwHDEaMBgGA1UE
+AwwRVGVsc2EgVGVzdCBOb3QgQ0EwIBcNMjYxMDE5MDUxNDU1WhgPMjEyNjA5MjUw
+NTE0NTVaMBQxEjAQBgNVBAMMCWxvY2FsaG9zdDCCASIwDQYJKoZIhvcNAQEBBQAD
+ggEPADCCAQoCggEBANtudelYC3s/Izv4RL75ieHQQcJAbzSiXxpZVdSf3KX7Yr1N
+gh3Vm0f1nNkYrLpBYAfF6a4tAQRjEgnte4HRRtsxjYg6VsGyv4ht+eQOjPluq/Vr
+g7/FKaEnRcZHGat1BT/KvgDDbglIhDoV7sYwYpU5mUUt9e78L1C2AMFCkOsMqqk3
+Xj7spim3C3KRprRrqMhAzCM0DHV36Hh6+uSAWNZZJzzf28iEv1qB7nzxE0Njbb71
+p/h9wG0rxjjFNEUYWiz2iXtfCiPNDS1gGUT+8aZ+TsIr/n4tKV2NE9/JsnwX9ASe
+p/OQsr2se3e+CDwHPlgLSwyYKSM4d3v7iyVwCSMCAwEAAaOBwDCBvTAJBgNVHRME
+AjAAMA4GA1UdDwEB/wQEAwIFoDATBgNVHSUEDDAKBggrBgEFBQcDATAaBgNVHREE
+EzARgglsb2NhbGhvc3SHBH8AAAEwLwYDVR0fBCgwJjAkoCKgIIYeaHR0cDovL2Ny
+bC5leGFtcGxlLmNvbS9pbnQuY3JsMB0GA1UdDgQWBBTmFUhvhc+yrW0ebDCYy7Az
+5dssTzAfBgNVHSMEGDAWgBTp1dp2xtoc6AbCiR/e9Npw8pzzZjANBgkqhkiG9w0B
+AQsFAAOCAQEAtQd2M8mkwRJHG9oekk+nJxe1CkjKx8rxXJaxPTzdDwenroBqfm6Z
+Y50XRbbf2z2TqSYg5+JEdH6PX4XfABBvEox+JNhPdkcyKDpcP/kztZ3i7V7231ez
+iqWxOohVNYCIOqdByEyE7kO8SzePyzihanovWrB2p1/CAhkvYulhkIOgJqHYAlPO
+FghfHsibo+Je5FnW/8qbSgnWAcyNQxR7TgaTR15WmLsghWKV/jJLJoOUDmiSWXqG
+/kuWnCcaHjpFgrGDxycLFbaTiGND7q+qqV/ooR++GcWY2kBEOivXa5HM12snSmf6
+V2e3Mc39Ha6+YXzg+nBg+GMf95CCE2bGaA==
+-----END CERTIFICATE-----`,
+  pathLen: `-----BEGIN CERTIFICATE-----
+MIIDJTCCAg2gAwIBAgIIaxG/rxhxGDUwDQYJKoZIhvcNAQELBQAwGjEYMBYGA1UE
+AwwPVGVsc2EgVGVzdCBSb290MCAXDTI2MTAxOTA1MTQ1NloYDzIxMjYwOTI1MDUx
+NDU2WjAhMR8wHQYDVQQDDBZUZWxzYSBUZXN0IFBhdGggTGVuZ3RoMIIBIjANBgkq
+hkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEApXVbjjGmRemPWnv16b5D82MmX4iIhXOY
+GINpzambQoNHB8bJSoIzyPotp+xrm5MLw4CLN0Ufa0HPiLddBWgVhxYEf+skbUOZ
+NuX0SuNHXqN6kf8CdSjxYkqBmoPfu7dqnGG1Rfn9GGZP3JIRlp3K+3Imgu6rmjgg
+lXjDl+XeyhIbQaHVne/jYucLcOWVhUNN5yosy49N4rJz+wHFsjppJo0KfR7kCNDE
+n3TCM610v83RnnjvMTsUdE/qgrxI4RTL4U2NGJC12+0BwXGguAm7YoKPWJy5tIQX
+Si+QkAjdah0W9Gdinp98And4VEpj/O6vgf1Jv85zq+9ulG279w+HNwIDAQABo2Yw
+ZDASBgNVHRMBAf8ECDAGAQH/AgEAMA4GA1UdDwEB/wQEAwIBBjAdBgNVHQ4EFgQU
+/ylwTfeaodI5FYB0HY+sS/4bvrkwHwYDVR0jBBgwFoAUd5Dqel3KCDOqxXR5pkmY
+mklt+PAwDQYJKoZIhvcNAQELBQADggEBAL5BZQ9Rf6NLlOsNjzH+QdxQsXq9d1Hh
++g/41MJwEBTgSPfF0hp0+jKy9s4ZyO7JNjvvGDPGBRFH7ISojd7RoUKxpdkHQ35E
+LdbyQa0y4tS4xVKOKxVwaXs/9Iu7fjmAZ1JgyH+iqa2d1RZ8pCaT0a3aoT45+wXr
+7y6pbfFJOgc2TBnKbLl1v3RNiOZcUW4RdOlF4hvpph0ZLUUIbomVBAmRg691KaRB
+toZqLhxwVGCLSD8KMqmKWsKvMO9voEd98QPhjWjFit+XKdRftkjBTwbQNJv4lz4K
+o6WoIYJcmqLaMk/3KdTvrlTBK4PTkkdMHi0DxrazE12DTJw3uH19XRQ=
+-----END CERTIFICATE-----`,
+  pathLenInt: `-----BEGIN CERTIFICATE-----
+MIIDNjCCAh6gAwIBAgIIfqoGhMaDvZ0wDQYJKoZIhvcNAQELBQAwITEfMB0GA1UE
+AwwWVGVsc2EgVGVzdCBQYXRoIExlbmd0aDAgFw0yNjEwMTkwNTE0NTZaGA8yMTI2
+MDkyNTA1MTQ1NlowLjEsMCoGA1UEAwwjVGVsc2EgVGVzdCBQYXRoIExlbmd0aCBJ
+bnRlcm1lZGlhdGUwggEiMA0GCSqGSIb3DQEBAQUAA4IBDwAwggEKAoIBAQC8kZdn
+EcbpuT+EtBdtDYmiOlFa5tuvJPHXsg9+5IJK5HSx13t4Ps6DyjwbDkaxWF/1xxm/
+UMipw/9b8p0fqicx5MIhRvMf4Jx+H6eZOt6lu1lv5hqY8NpcL7L9oS8FWOF0Rcsy
+5IlJWa5jNfEwB+q22JKHblqdEK8MLFZkxSl4O08WHGmrrWKu1KtXnitliIPKkkZz
+VE8j1aUBHH50h1TL+54SAhA/7xOi1FsoyELjjfkRDTMMeBSP1BQhCJWiuA/UK4PZ
+4ehU6UkdPOtV2o1LzE0o17xkLIGWEK+jADdYr5XLTl0wkL0KMUl5vkgtHhsMW6LL
+VNcqiOo3PT2e433jAgMBAAGjYzBhMA8GA1UdEwEB/wQFMAMBAf8wDgYDVR0PAQH/
+BAQDAgEGMB0GA1UdDgQWBBQUzC7l+X9PXLH3qy8xFcHyVb20LjAfBgNVHSMEGDAW
+gBT/KXBN95qh0jkVgHQdj6xL/hu+uTANBgkqhkiG9w0BAQsFAAOCAQEAJRiySFSd
+bJQBLckNdNi8OM+ikSAfUnJGetH9azxClPgdq1Pujn2k7CFR2axG3Wyfs1jMlWsQ
+rXYh3zfDNwo5eUwLyjfEyfhE5UbVk+9WqNVjRWQ23TdxTbdyE1e285F3Bw2Lw3rr
+NAyXKiCOwPTW4iRwlwa/SRWGCWdQUfZb4ZIgMA4PbAZFVj6QjpjjAsEX0GAutbXI
+Bqyg6S1qFo39schXFFf1zwblvSRjmzMPylzhlvSMTpgNHZ57nfLlG5UqfPpJr04q
+jysohMgp4kkkwnoPuBfuCTjytXzIc5xIxCVMC+74xBSM9OwazQg6Bemu0a2A0LdM
+exRx/9GWmSlHtg==
+-----END CERTIFICATE-----`,
+  pathLenServer: `-----BEGIN CERTIFICATE-----
+MIIDiDCCAnCgAwIBAgIJAK+U3/ofV/JmMA0GCSqGSIb3DQEBCwUAMC4xLDAqBgNV
+BAMMI1RlbHNhIFRlc3QgUGF0aCBMZW5ndGggSW50ZXJtZWRpYXRlMCAXDTI2MTAx
+OTA1MTQ1N1oYDzIxMjYwOTI1MDUxNDU3WjAUMRIwEAYDVQQDDAlsb2NhbGhvc3Qw
+ggEiMA0GCSqGSIb3DQEBAQUAA4IBDwAwggEKAoIBAQDR+0aB1h75itq9CWajWGaU
+3tfNqI1MbdZZUwOmHPy9Z4dz0yfhB1iCwFW+O+aJeIl0eRAk8RQbEiWrARmnOKp6
+TWPFWjEWVM1oqPrgVp/iO7QGLCUkmMDSkp4KGy+vNS0iK+W5d7+HLWuJnJzH+tNw
+xurd07kxqR6zq+BjWjmQWsBKKzJQr8VZHBmXzHEMrDcvkDG7A/cIGd32xZ+67SmK
+zUD2EEyx+951Um1khnZoBiEJ4mnV1AmSpUt1xFT9WTNiYIZfIQZHp6jEv2GyDH6s
+HtrLzlCtgsyO036cPSm68ku0GrG9sHMKtKvlLV0KXtG4n08d7hhV60/LBdJdKNND
+AgMBAAGjgcAwgb0wCQYDVR0TBAIwADAOBgNVHQ8BAf8EBAMCBaAwEwYDVR0lBAww
+CgYIKwYBBQUHAwEwGgYDVR0RBBMwEYIJbG9jYWxob3N0hwR/AAABMC8GA1UdHwQo
+MCYwJKAioCCGHmh0dHA6Ly9jcmwuZXhhbXBsZS5jb20vaW50LmNybDAdBgNVHQ4E
+FgQUR9zUwIov4iQzmZrXd4IrRm957PMwHwYDVR0jBBgwFoAUFMwu5fl/T1yx96sv
+MRXB8lW9tC4wDQYJKoZIhvcNAQELBQADggEBAGThqF9P47h/qzmQlcVQq/7iH4dP
+lyN7M10lajSHuoMBIKkIMFSrkE5WwCkBSu6xGicX5GjGNdTkTFIfJ0wA7JCwDmh1
+zXncI5JM1P9COPCcMBlqpd3gxah3gHkUrQ1Wl+yZOZH9gTuW9vfij7fwEIzE+Xqw
+DmaMxvK39BPfyUaTugmz0Jjf8d8Z8iO+H78m9wGG62WQcGH2pAkGvEKcTquro0tb
+cVwI+aXAQdLayPVXhmiaLyoy4LTTjLazDIaJiz/pduD5sVUfSg4PKIiLAE6iGshl
+HJ7gPQL8HmY+Pfv/konKDlLj+oeovPlQ0kq8RcwXjKuRmohM4uofJkhgaoU=
+-----END CERTIFICATE-----`,
+  encipherServer: `-----BEGIN CERTIFICATE-----
+MIIDRTCCAi2gAwIBAgIJAICX8lEDRzcLMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MTQ1N1oYDzIx
+MjYwOTI1MDUxNDU3WjAUMRIwEAYDVQQDDAlsb2NhbGhvc3QwggEiMA0GCSqGSIb3
+DQEBAQUAA4IBDwAwggEKAoIBAQDGuAPm5AUJdSbBm2CqDAcmP9OlpIqWWR73bfAA
+DV4MNOHC87sBTB/Y9KN77jroOaer8Kihsa3s40MFVZwHM7AQtzBRcxdZ+YXu/1rz
+0mSpUNOp0avT/GW5YG3mX4jpqHovM/ZNr2ydseOUZ5OuhUGnK4kyDY3nw7RWXQpo
+wGGa03Cd2L9MGGtkLvHOYStstU1WUObjPAf7iKQHjDgSTxUSUDUounUkXvh2LWrI
+juqsFoV62k7+eMQ1V29MHAsuA2HVcubr6TfctXWo8mgrmxR42p4F1vFqmlmP1DtW
+lVmqb+Ioj4DI4i0wBHgZjaBxcxoBPp4DhEdn/x+L8QT2qdTxAgMBAAGjgYkwgYYw
+CQYDVR0TBAIwADAOBgNVHQ8BAf8EBAMCBSAwEwYDVR0lBAwwCgYIKwYBBQUHAwEw
+FAYDVR0RBA0wC4IJbG9jYWxob3N0MB8GA1UdIwQYMBaAFJ6ns4My+oP7vX64D0jV
+x0vbxSffMB0GA1UdDgQWBBQXrSopoWiiX3ZdO0g1Kf4NW08GnzANBgkqhkiG9w0B
+AQsFAAOCAQEAiRVzuvor3cwl/sgdH3XqjsIZCA6aH91iOrGbcfaM0MxXJgTRWsbW
+4WiBlYAwD9ODGLj1Iy2F7/Td+MrMs+dBuCpyZ/eIFUwwQbNxeG/xrUlcfPr5G05L
+A8dKcnRz5yFhKuDbURWWAcaV9Qe7I6YU0p07Bznhh6sManQIZuNMrLTgEBtJrbIZ
+4kVoBTguxIvzUstAv7xzopwIeVvK5/MyJBzPBsljj2UDE7O4f3SSoC6NlHdOyh7l
+XZyChBFH3Qh2RDAKM12Ml5YFe9iA6678ZHtb1rNd9i7lD6WnruKhBG+6IyDZH+S8
+JoyfqMvhPkYkJ/LjzISlgJKMoYUCI8RNlA==
+-----END CERTIFICATE-----`,
+  clientAuthServer: `-----BEGIN CERTIFICATE-----
+MIIDRTCCAi2gAwIBAgIJALtgDeV+V5PXMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MTQ1OFoYDzIx
+MjYwOTI1MDUxNDU4WjAUMRIwEAYDVQQDDAlsb2NhbGhvc3QwggEiMA0GCSqGSIb3
+DQEBAQUAA4IBDwAwggEKAoIBAQCydwbN5Z6rHBzSfXXx8g9fXA0mXl6RjHsxbCVh
+ZLTzHUPn2xG/gNU3Ta03JN0Fqftl8S90NcBTWCCl6WvAr1ZfTtori8MYPw9KbOVR
+z6Ro1vkUQzNo91dRkEZBWart+pxBZ3+hdhrMWHNq/yds9Gy8qjuA+4czK//goY17
+dD4GaOr2IN8rnVJ1xL1Zbo8nqVKGMU/Tq6qR1dT1+A5QIJNQDa1TRBi2sSdkWoo5
+X4vv+DxK4d7vTAAYhR1CS0fl2CvZB0OckM9mkHkpHWtPxbVMTJDUH1lMdNRLlvzn
+fXj5DDdmQFyrv3/UzZBp+cefL05UqQBBhUteUTqSJJ5KXiPRAgMBAAGjgYkwgYYw
+CQYDVR0TBAIwADAOBgNVHQ8BAf8EBAMCBaAwEwYDVR0lBAwwCgYIKwYBBQUHAwIw
+FAYDVR0RBA0wC4IJbG9jYWxob3N0MB8GA1UdIwQYMBaAFJ6ns4My+oP7vX64D0jV
+x0vbxSffMB0GA1UdDgQWBBTHNdLF0rhFevSy/PsAbULhCGV1dzANBgkqhkiG9w0B
+AQsFAAOCAQEAKNgB0WkL3CsPmPac8PMacR3OXvo2SIm5H3L+UT6HCb0jykmgShAb
+GZy48CmiQ7achOXUtpddV2XMs5MSBXmDG4KJZR4d721w9zaF7AJxNB+kRfeT5cGa
+vYLPlqYf+MHMRbEkjpsvCseeRaER5S49MzjnBGmO9TTgXfQK+dhQJt2NuYEpHANb
+vRjN63BQM9wURB0+aC/8x8bj+hSNiFhFPxvuKjW2ArK5ZVEKQ1KqCEjjbUJgN1Nl
+uPauTwFgbsP2oSsfxrfWlbYeD5b+rbz2hNmewKRDZM9uUxdj913Gi8YjgR+a0s9L
+mUhmqd0PZbM2ORFUFSrDDD0JKhvxfBgg+w==
+-----END CERTIFICATE-----`,
+  constrained: `-----BEGIN CERTIFICATE-----
+MIIDWTCCAkGgAwIBAgIJAJiPO0OaU85YMA0GCSqGSIb3DQEBCwUAMBoxGDAWBgNV
+BAMMD1RlbHNhIFRlc3QgUm9vdDAgFw0yNjEwMTkwNTE0NThaGA8yMTI2MDkyNTA1
+MTQ1OFowITEfMB0GA1UEAwwWVGVsc2EgVGVzdCBDb25zdHJhaW5lZDCCASIwDQYJ
+KoZIhvcNAQEBBQADggEPADCCAQoCggEBAMt5AZ46IG79xxvyiKe0TB7H3nAYzrDQ
+nlBycNjeq0NtvCeJTI8Z40NR0/Gqx/fGDJdHHjR7c/1g5J5Bmp/jTJI8jIPqEfFA
+iHK5aEfc1WNjsDHt57yVg+9bo9hUdndWLi8rT7LyIJ8qVHC3x2xH9uIVFg/XJwMV
+pPRv+u1k6NBIerdJNEj64UlgZ88x9olZQNSNGfEgZdFdzNtxvTreWn95780dyzpD
++h3yqeKgnEB/vlYtAP1BhvjKzFOWu6Mv0zr84Z9q6a3SCMpbn0uhavzzFNR0e8eQ
+W+RSUI5eTJGoWSW8Z9JaDkMKD9oexI03xvhw+5OEgc96RLZZroGSAe0CAwEAAaOB
+mDCBlTAPBgNVHRMBAf8EBTADAQH/MA4GA1UdDwEB/wQEAwIBBjAyBgNVHR4BAf8E
+KDAmoA8wDYILZXhhbXBsZS5jb22hEzARgg9iYWQuZXhhbXBsZS5jb20wHQYDVR0O
+BBYEFGQvrN1am3ytL4XIOXL5chEIbkoIMB8GA1UdIwQYMBaAFHeQ6npdyggzqsV0
+eaZJmJpJbfjwMA0GCSqGSIb3DQEBCwUAA4IBAQCSrrPkt/aOfhQfUH5yc1fi1snh
+txbtnF2v+rEnp4WKlOGxgnDXI40A1LpCjQ1GL1YXLDdsts1Ocr+N4HZYHU+wXZYU
+hLCFSAybk5xFKT14CPyDs3dIlORiTwFeYk4ABb4n3G0WR51DoPlKchr1p6F6vo5f
+plH3/OZA+RvMUsh1sDLIeROarg1EELakWM7VaYHppRkWXug9fk3ryMXh3KUBCOTE
+A+F57tBH7pSHLHhBuGlcR6RbdqwAJ4QgpVuSfZw0Z9Rv76PRmlSKNNtUgjn6ryvH
+eR80AQCXFZyZxXQ2vAbHGrlWLgNiY+CuoRN1G8mNuWT8DSObtQf1DswIw0YK
+-----END CERTIFICATE-----`,
+  permitted: `-----BEGIN CERTIFICATE-----
+MIIDSTCCAjGgAwIBAgIIJOp/6GwvJgAwDQYJKoZIhvcNAQELBQAwITEfMB0GA1UE
+AwwWVGVsc2EgVGVzdCBDb25zdHJhaW5lZDAgFw0yNjEwMTkwNTE0NThaGA8yMTI2
+MDkyNTA1MTQ1OFowFDESMBAGA1UEAwwJbG9jYWxob3N0MIIBIjANBgkqhkiG9w0B
+AQEFAAOCAQ8AMIIBCgKCAQEAzVlS5x6VqyBCrDmiqHcRqHtimNUN/lXP2n+Jj64A
+UNVAhNKBa0fzUBt34fIzGBWY98cvwYIGS734I/JyXnWRtC56vaCT8EnI7gj8bLOV
+WhWipIajsLN8AXeBmO8RcFo0CNZZx0AILB1/x95L3jLgp7cPbDdIcxQd21mLBrH/
+9ng/IYGY2W45h/oWl4mBPKv5y848JErmua9ybb51rZL2fwfY65QWTp6KV8p3O1BV
+SXJ4SFkX0a1ltk2HnM8IBPYzSDX/n/M5cy/fMriLZeyUm8ss3JwbbFXbStlL2rXY
+qhnXsyn1kgpjhZnsYYjHPt7ScGB+UoU4LRN6uJh2qcBvZQIDAQABo4GPMIGMMAkG
+A1UdEwQCMAAwDgYDVR0PAQH/BAQDAgWgMBMGA1UdJQQMMAoGCCsGAQUFBwMBMBoG
+A1UdEQQTMBGCD3d3dy5leGFtcGxlLmNvbTAfBgNVHSMEGDAWgBRkL6zdWpt8rS+F
+yDly+XIRCG5KCDAdBgNVHQ4EFgQUDGaxZJD15vEDtbIb9I4mlOVh4gUwDQYJKoZI
+hvcNAQELBQADggEBAI96nwmmW/lqQwySOgb7/j3OeZ8ZLQHnJeT/RpQ+t5jCdRSR
+6xZHNf9sXbXXwNLtuuvh0t2i8w1mMydddE0C7qPsDvkIH+69ctlAAL12/8sUT567
+9YQ7rYyBqK+l/PXzGOc9dUI9V1wUNhcV8kNaNkygKV+6cMZvTXcAv2pyGmDoo3zf
+EsfzRQsx4VQ5WWGaOsVZDU98LmR8lBja8VrCKhMwInMjgeVkMT1hyIKUr3a1EjQk
+pzavIZnjpkoKjGQqSdrTlSjT1+fr/45IVHNnrpYYJ+oM+0fweVjiFZ62/yr1e3bL
+Z6lfGXyU1dfA0ipRJ9SBjOp/F3UDiiO7Gw90Kug=
+-----END CERTIFICATE-----`,
+  outside: `-----BEGIN CERTIFICATE-----
+MIIDRTCCAi2gAwIBAgIIdh3YKb/1ejcwDQYJKoZIhvcNAQELBQAwITEfMB0GA1UE
+AwwWVGVsc2EgVGVzdCBDb25zdHJhaW5lZDAgFw0yNjEwMTkwNTE0NTlaGA8yMTI2
+MDkyNTA1MTQ1OVowFDESMBAGA1UEAwwJbG9jYWxob3N0MIIBIjANBgkqhkiG9w0B
+AQEFAAOCAQ8AMIIBCgKCAQEApdU73vyHlvLfuIOP/TxpOcl+nICp9wxRXRbi5emk
+VSwnhczvd3eJle9I68t9DmREypR2HsJqLEIeBb04olBzcuEyfLmfmnhM/LB1CFWd
+9XygtDh3P+N4J9acug+f9rqmjbwfoM4uwBKCncW6/zFs20sXZdslyphNLD27ZXVN
+LcBK6b9kijwylE6oD/3syYDBQEJUVxuV7jCdOjXscpSeSMTuVFc+6E+Lm6Dk3t0d
+7a7lxla3Z+Ydq8fsH3a6/a1QrB+/iK2ovktRrKzYzpn/3XTr95q78nUlsPiNBICu
+aSJsInE7YpgASylIcT89To1Ogsf5T8DsuRzsZ2s8x+nGCwIDAQABo4GLMIGIMAkG
+A1UdEwQCMAAwDgYDVR0PAQH/BAQDAgWgMBMGA1UdJQQMMAoGCCsGAQUFBwMBMBYG
+A1UdEQQPMA2CC2V4YW1wbGUub3JnMB8GA1UdIwQYMBaAFGQvrN1am3ytL4XIOXL5
+chEIbkoIMB0GA1UdDgQWBBRL9dxgNhd4O6GU5YmFK3yVI2v88DANBgkqhkiG9w0B
+AQsFAAOCAQEAlYLbtjWkMD4pM2PtfEiWm/td0vQWpUPr52WxyxqJZ6M4ol0vLT2f
+3nD0O+P+0C+OEu2MrK/kBHvtGJiIshEbUdwyttjzdyCuF2w3CP/dGnvSlM0YxeRP
+kbCHnIInNHBMfijEYvkC3LjiwUXiuFqunDkXYDp1lQCAhAN+nTvsIxQm4SWCrpEz
+aK5jwFHh0t8lp6gLKR43mZNMeRyzHJS/Xb4n1kPyz8V6K55EHsfbqTyP7Crz/cO4
+FZxQQ+FCn8gFl6YELvZ8r2geNee2LDFhmjWI2NAamfwNEZu68BZX5TRZopni0fyV
+T0li7Y/Sic7xy8J32AVmEZb3MBGgCpfnKQ==
+-----END CERTIFICATE-----`,
+  excluded: `-----BEGIN CERTIFICATE-----
+MIIDSTCCAjGgAwIBAgIIITD3fOL4sTgwDQYJKoZIhvcNAQELBQAwITEfMB0GA1UE
+AwwWVGVsc2EgVGVzdCBDb25zdHJhaW5lZDAgFw0yNjEwMTkwNTE0NTlaGA8yMTI2
+MDkyNTA1MTQ1OVowFDESMBAGA1UEAwwJbG9jYWxob3N0MIIBIjANBgkqhkiG9w0B
+AQEFAAOCAQ8AMIIBCgKCAQEApKCOWEX2+dCTikqudjLW4Qf2FMIPkn6uyKRf+zBJ
+Eyu5GUEvAQjvifGbE4EO6xRJTIpvXuwsuYYKAl2l0bCUMWjIk28K/ReQb/JVKhmZ
+5B0SOjBTygCvXL/UYYHuXAiWjExPFVRFL+tbcvBDTkuJ6wjKSWyhnRFRehY9FkBo
+oXUPtTx1WEdZWANvJXUl8xRNRjUsM9BtHSzFCdtgw/Nao6F3qbICOECx1MG5/he5
+2zCOja2RZvm7ixOM8F/oASirevbSmg/qgtBHE8QQhpFuUgVLQCj4nPdEmu4R5Umn
+b42e83ZV7KInMEUbFZvjsqQRWUoQjrp1/wYOdq4i10PU5QIDAQABo4GPMIGMMAkG
+A1UdEwQCMAAwDgYDVR0PAQH/BAQDAgWgMBMGA1UdJQQMMAoGCCsGAQUFBwMBMBoG
+A1UdEQQTMBGCD2JhZC5leGFtcGxlLmNvbTAfBgNVHSMEGDAWgBRkL6zdWpt8rS+F
+yDly+XIRCG5KCDAdBgNVHQ4EFgQUbLL+/fEX/E4SW+fZkWA6CvuYThgwDQYJKoZI
+hvcNAQELBQADggEBAMKqWfexCoOPCWeDsQqvZzrHdr2F+Y0pgXMPLIvEmuyNoEd5
+jTCOf8YmRpM0Cyxm9NW/cBRZ2j/DUgviqacDMksJfBpiDqoLoCNqTkLktC1SntIJ
+mMhaZ3ws7Hb6cPajbeyx3m4sfSUPhxLR5vE1KamoCJe+Ag5fLG/xdybzHlmQ6HjL
+0oW3hLsCjKQNM1YQMWMpzMuJ8JN/4sAr6U11SfiVgYMK7APrtQG6NWucVwahqvry
+QI1oCkVx1a9Yk3U55JMpiCnMH96ZiYh/nXI47eqVdqIumugTglHfiW/NQPBa35+S
+8prLhVuub526ZUdpMC+84PQbm8C4QNwzKqXWHuc=
+-----END CERTIFICATE-----`,
+  critical: `-----BEGIN CERTIFICATE-----
+MIIDWTCCAkGgAwIBAgIJAIS1vMJIOX3OMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MTUwMFoYDzIx
+MjYwOTI1MDUxNTAwWjAUMRIwEAYDVQQDDAlsb2NhbGhvc3QwggEiMA0GCSqGSIb3
+DQEBAQUAA4IBDwAwggEKAoIBAQCntSnWdFPYrzgcB4v9B8K0z14Oy4zsgzUkEX4a
+gATfuGTeDg0IkWjjfoqPz+pVRZV42yQi+qZwroNDU7aMHOsRSxjB13NLjtrppBo3
+Kc6VQB+AUWoAyzYqNwepdB9zHlVfDhP7hy+AzL/MrcCQiys/aYQtzmEBvol3X+ro
+mPrZ77Bq4scp0DbVBt4uaC1dXvf4OEUs1oUR5+lSNkSEv4NkYyAWjbNbgbwgyNiU
+lcWwh9NrT33Y/FqEmITtaA1KqOVMnXDvt+1lLrKIxd1iPspqoFr9B1lyPoEcu/2a
+WqDszUde8NQ/1hVaiz6SlaK8IIJs1jPomD6+HCAhr1FxOqcrAgMBAAGjgZ0wgZow
+CQYDVR0TBAIwADAOBgNVHQ8BAf8EBAMCBaAwEwYDVR0lBAwwCgYIKwYBBQUHAwEw
+FAYDVR0RBA0wC4IJbG9jYWxob3N0MBIGCSsGAQQBg7IDAQEB/wQCBQAwHwYDVR0j
+BBgwFoAUnqezgzL6g/u9frgPSNXHS9vFJ98wHQYDVR0OBBYEFC8OzZajfRqU/NYD
+0nZj4pyfSkcsMA0GCSqGSIb3DQEBCwUAA4IBAQBuqdxc76R6NhH1/UgNSXMWoFVi
+bKGyUh6VfTS2RDPJfS1hXcK1ZKhTaSI9ME2GXeBleO2QH+jtjoiqRYhmDDnJMVbQ
+hZlmzmrkZBo+DIscERUKmomraiMCbO/8zgWK/IJ++WdXHqmq6v6zmVLncrv2UwC7
+AU+pnVzkPPgg7W4rsryWZ79jFJCEiEPZ25wefDqe8zPT2LNayCO7jJdMxBjMGRcO
+kylZ0kDhCiQ8kJ8qU6IRxxtT/PxrKh82QHW9MEiQWC3vWeS1yH4MTtdsMd8ycNfe
+PMhisvLXbKYF2uuzHkdRqAwjX4FF27yWzV6aJBRIKsjz7wYunTQqdINfr+Ci
+-----END CERTIFICATE-----`
+}
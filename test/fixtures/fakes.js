@@ -0,0 +1,76 @@
+// generated by gen.sh, do not edit
+
+module.exports = {
+  fake1: `-----BEGIN CERTIFICATE-----
+MIIC3DCCAcSgAwIBAgIJAOJ+eF63OL9NMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA0NDEyM1oYDzIx
+MjYwOTI1MDQ0MTIzWjAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0IEludGVybWVkaWF0
+ZTCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBALI+fTdA6C46sTEK0Q4e
+U4MCljVGHjMMIGHjEFxE0ljwxo2KP4w8r4tIOwoy7hGgKv4xDwtjoDcBCSY4jiP9
+oEVvveA0NVeHNe742qinOiGNM2H00pSgxYCk1y3ADnLkuechVRHxOAzwSP4ySlk9
+XfuDO3ZY8pPmTeKqygeSMvvs1QmWnbmSMNqvEgz37+A64KoJIgQYmaDhU10BAqAw
+HwltmG8wP4wUV391Iqy+Dpxm0za1zJQKct3zt8Ky+mWmpC721AyzZLOSCYphFHA2
+r1ArsPP10YkEZUQO6G9miD726/BhhVCIE8D3e1vjhBRYSPd5ikmjALp41Vi+Pq1n
+GUkCAwEAAaMTMBEwDwYDVR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOCAQEA
+PjtTmAAMw9QvVzEZOWtjajEGLylQ9d/mNGQDcJqFj1wAGkFVGKcNMGHDFGsLwXLZ
+IphFargROdtheXHgzp824HjGwYdGNYAYfdXx53jxPFEDQHH5fb9/brUaOvIJslry
+1nXn62Wr9u71yQt2BJQXFfLzUFsMXrVoif/4zmTIMmPLor/KiNlMQTW8SXdhu18t
+TFuWHJeSMZ5kaek0MlaJK1K4etHvrpGm+MWq5bv6R1fP8ftxpKxQWw4zNhY67GlZ
+3Li0xvHgXKcAMuc7nroNLT3CbVeiMtLs5zPUrpseboG5s0las0+JZzZIIsZCtr+t
+FSrFkTIDUrFPXfaD20hm/g==
+-----END CERTIFICATE-----`,
+  fake2: `-----BEGIN CERTIFICATE-----
+MIIC2zCCAcOgAwIBAgIIG99mvx5PzdAwDQYJKoZIhvcNAQELBQAwIjEgMB4GA1UE
+AwwXVGVsc2EgVGVzdCBJbnRlcm1lZGlhdGUwIBcNMjYxMDE5MDQ0MTIzWhgPMjEy
+NjA5MjUwNDQxMjNaMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRl
+MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAiD/RxMVYehWh82J7k8M7
+jvAEdi8dNlTD/wStYjWj1GNJy4qXB6+G0NKl9pwBdiGRmdPcQGHQz+OiWyGTCCm9
+yNKq2dxVqn8K8y/Pk2bx/NeKtLSBPN+5/UtFnD+KzhuV0ll5yoSt4kyONhSq21eo
+eRuDAxq157T2eP/GenPF0tn+JxckiAObvmqqBRiWnsugvq5V2tJmhlih6J7WR6PU
+hy581aJpBmFLcqglSwAcj4eEq/Cbe5QDV8WATLGcWXdWQmToDo1OPihzzNmLOMlX
+6yItSsDAMVjkcK/Kpnra1l2Ls9XF2GYyOngHOCb+cgazkAsn8nykRxfdTvWAMSeD
+EwIDAQABoxMwETAPBgNVHRMBAf8EBTADAQH/MA0GCSqGSIb3DQEBCwUAA4IBAQBE
+cLOqPDGrTcCZ9/Kmm/inlO0nzTZ8D0G4vMonDT/xWReQnSkhlWb8ZS6YGbOfLVOa
+fF7mziR24AMxdWd2OXKdOW9R/lkemwB9gliE1a0JH3P/Hpv2PkKZrXh6Me/r3Dhg
+2UviQM0ii4Ui6WezWKe1TKhBh/knbzj1NZARWtokAn/D4RwT7Pej/P1NV8qLjSVV
+rNvKADGCSbbZv0qe5x7+NN3OMN392Yb5TEhjL+wEJruBZcCtMQjF7XMDLtys9iz4
+Q9qhtqKupFhzfNrQxwTuCFuBZlFY+DDVbdcgILtRjeLmpYISyqFM0jOF5hvWfpHC
+wEJTuVA2mbjQTOZcPa2g
+-----END CERTIFICATE-----`,
+  fake3: `-----BEGIN CERTIFICATE-----
+MIIC2zCCAcOgAwIBAgIIdYxMzxPWcQMwDQYJKoZIhvcNAQELBQAwIjEgMB4GA1UE
+AwwXVGVsc2EgVGVzdCBJbnRlcm1lZGlhdGUwIBcNMjYxMDE5MDQ0MTI0WhgPMjEy
+NjA5MjUwNDQxMjRaMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRl
+MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAkLYSj9ascU4BSYoW74zS
+2oJh7sv6KbwXKFU6g4Uq9UCSH8HcdRX3y/K2e8bYal4jkn+xCzgFYQ+K8WoKLvX3
+slVrKf2IEr1q9MJQgSBb4hDiB3hsuh6DlmJFYXeoJBn5TSbWQz54Xqej7BNGXWaZ
+vvbzihOIm/gDbPly+2Luy1HfrlIbpFGsecYxMOrREcX26fSqxM4piD8QyYUHIAN9
+N/kfo7fzzbIPWgXH88CNgiIGinFHcF0e9lODTMpPPheHJ6gRk9l5tRiPWrhLq/UE
+rD/L8YrQJLyDk6N+EwVt4/1/oQTnYAJnSJPAO/dqTHh/d3Dzlbx9YBhmGw8bsR2A
+MwIDAQABoxMwETAPBgNVHRMBAf8EBTADAQH/MA0GCSqGSIb3DQEBCwUAA4IBAQB9
+Erad/kHH+BrMweQ3zzGiGkV+R5HEWQ0aZkj/iNKp0qQJeilk9c+1bw7rEqr6bSTA
+BGbwC+56Y2RGDI1YEWbAViyh3wL/2Js+x/ixbvhfVzOuTdwCqrpZ0AXRTgk+r8v9
+O61LBP5v0jqWmW1yh3H13jcNKRPlOgKIumFpV5v+iwuzg4lvyrB/Ye9KYEGmMd3d
+zBXFm/SZ9Gbg0JaG0e3ZTm/cYz1+yc3hXRgee+VsvFpfs5Nsw2iz+jTqiViVZN2d
+qus45tzQMICVEMeoB6AQL2lAwMzMHca1LOIiDjeVon6X0i9b7NtrOVBGn+js43nI
+/CRAn/C/sqnbJPBGp4yF
+-----END CERTIFICATE-----`,
+  fake4: `-----BEGIN CERTIFICATE-----
+MIIC3DCCAcSgAwIBAgIJAPqzCAU0cHVDMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA0NDEyNFoYDzIx
+MjYwOTI1MDQ0MTI0WjAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0IEludGVybWVkaWF0
+ZTCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBAN24FOHq0GZIsuoY8ZTr
+CFdRLSNp7KoDRawXucu6+sXKtSWWnuTFoqozT09sSuNs9eS0stBCduq4eLqF+PxM
+eKGGCvHBltYZvLOeQ5zu4gQBnJcRjibAxy0h78TLEbms+mpspnQLfR9BwMjIc1X5
+KGL+EVHBlHEjy1biDTnCmlZVgvpURf98/ZRvkFUPYvPybIty0L7gssumEwoCR4ey
+tLogmAZE9wp+tNAYOmVGmStikzW6hxBhr3aDZp+qBsvP6kn0cuqi4wCK2soyUaZL
+BcxiCOn9JA+XojCKl1xxkg2vR4/rR2Rgt1/RrezxQUrKr3JYwxAHrZPWlKv2nfQZ
+6ukCAwEAAaMTMBEwDwYDVR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOCAQEA
+q8CLUZonHcKztgCsCNtYn+Zxh50YQcU5bZiN22mNQplUSe13UL2Y8tw33aGi/vF9
+sQ5w4wgtye6r1wKgO83MWz6zcVkzcfbVjrid4B4FCJ2ls8HDcY8WxpDs/tiJHbDD
+LNKSTuT1CSdjDhhtAe6MWb/pPgMeC6WdjCKQWdQjlJFt1+UbI8iQIFRvz7gbFefM
+/Jia5XJhRPIwCvpsAARSvRPGeH9bHjxeoc3vRPBGjIkGqdx2APUnESiOu4RcS4xC
+R3Z917SipCrD7DTWVtj2cLjZrmiOFNlTLtPck6cmAlWqJyiHQjpPTKEOyaJhRrcQ
+8kcysFLC7KrX7fu6oZzqbA==
+-----END CERTIFICATE-----`
+}
@@ -0,0 +1,330 @@
+#!/bin/sh
+# generates test pki modules in test/fixtures, one per group.
+# usage: sh test/fixtures/gen.sh [group ...], all groups by default
+#
+# Groups other than pki are issued by the certificate authorities in pki.js,
+# regenerate them after pki.js.
+set -e
+FIXTURES=$(cd "$(dirname "$0")" && pwd)
+DIR=$(mktemp -d)
+trap 'rm -rf "$DIR"' EXIT
+cd "$DIR"
+
+DAYS=36500
+# subjectAltName of the `named` section
+export SAN=DNS:localhost
+rsa () { openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out "$1.key" 2>/dev/null; }
+ec () { openssl genpkey -algorithm EC -pkeyopt "ec_paramgen_curve:${2:-P-256}" -out "$1.key"; }
+
+cat > ext.cnf <<X
+[ req ]
+distinguished_name = dn
+[ dn ]
+[ ca ]
+basicConstraints = critical, CA:true
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+[ int ]
+basicConstraints = critical, CA:true
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+[ server ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature, keyEncipherment
+extendedKeyUsage = serverAuth
+subjectAltName = DNS:localhost, IP:127.0.0.1
+crlDistributionPoints = URI:http://crl.example.com/int.crl
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+[ client ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature
+extendedKeyUsage = clientAuth
+authorityKeyIdentifier = keyid
+[ fake ]
+basicConstraints = critical, CA:true
+subjectKeyIdentifier = none
+authorityKeyIdentifier = none
+[ responder ]
+basicConstraints = CA:false
+extendedKeyUsage = OCSPSigning
+authorityKeyIdentifier = keyid
+[ ecserver ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature
+extendedKeyUsage = serverAuth
+subjectAltName = DNS:localhost, IP:127.0.0.1
+authorityKeyIdentifier = keyid
+[ leaf ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature, keyEncipherment
+extendedKeyUsage = serverAuth
+subjectAltName = DNS:localhost
+[ critical ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature, keyEncipherment
+extendedKeyUsage = serverAuth
+subjectAltName = DNS:localhost
+1.3.6.1.4.1.55555.1 = critical, DER:05:00
+authorityKeyIdentifier = keyid
+[ notca ]
+basicConstraints = critical, CA:false
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+[ pathlen ]
+basicConstraints = critical, CA:true, pathlen:0
+keyUsage = critical, keyCertSign, cRLSign
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+[ constrained ]
+basicConstraints = critical, CA:true
+keyUsage = critical, keyCertSign, cRLSign
+nameConstraints = critical, permitted;DNS:example.com, excluded;DNS:bad.example.com
+subjectKeyIdentifier = hash
+authorityKeyIdentifier = keyid
+[ encipher ]
+basicConstraints = CA:false
+keyUsage = critical, keyEncipherment
+extendedKeyUsage = serverAuth
+subjectAltName = DNS:localhost
+authorityKeyIdentifier = keyid
+[ clientauth ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature, keyEncipherment
+extendedKeyUsage = clientAuth
+subjectAltName = DNS:localhost
+authorityKeyIdentifier = keyid
+[ named ]
+basicConstraints = CA:false
+keyUsage = critical, digitalSignature, keyEncipherment
+extendedKeyUsage = serverAuth
+subjectAltName = \$ENV::SAN
+authorityKeyIdentifier = keyid
+X
+
+# self-signed: name key section [req options]
+root () {
+  name=$1 key=$2 section=$3
+  shift 3
+  openssl req -new -x509 -key "$key.key" -subj "/CN=$name" -days $DAYS \
+    -config ext.cnf -extensions "$section" -out "$key.pem" \
+    -set_serial "0x$(openssl rand -hex 8)" "$@" 2>/dev/null
+}
+
+# issued: name key section issuer [x509 options]
+issue () {
+  name=$1 key=$2 section=$3 issuer=$4
+  shift 4
+  openssl req -new -key "$key.key" -subj "/CN=$name" -config ext.cnf \
+    -out "$key.csr" 2>/dev/null
+  openssl x509 -req -in "$key.csr" -CA "$issuer.pem" -CAkey "$issuer.key" \
+    -days $DAYS -extfile ext.cnf -extensions "$section" -out "$key.pem" \
+    -set_serial "0x$(openssl rand -hex 8)" "$@" 2>/dev/null
+}
+
+# reads certificates and their keys back from pki.js: name ...
+load () {
+  for name in "$@"; do
+    node -e '
+const pki = require(process.argv[1])
+const name = process.argv[2]
+require("fs").writeFileSync(name + ".pem", pki[name] + "\n")
+require("fs").writeFileSync(name + ".key", pki[name + "Key"] + "\n")
+' "$FIXTURES/pki.js" "$name"
+  done
+}
+
+# writes a module exporting name.pem and name.crl as `name`, name.key as
+# `nameKey` and name.der as a Buffer: module file ...
+emit () {
+  module=$1
+  shift
+  node -e '
+const fs = require("fs")
+const [out, ...files] = process.argv.slice(1)
+const str = f => "`" + fs.readFileSync(f, "utf8").trim() + "`"
+const b64 = f => fs.readFileSync(f).toString("base64")
+const props = files.map(f => {
+  const [name, ext] = f.split(".")
+  if (ext === "key") return `  ${name}Key: ${str(f)}`
+  if (ext === "der") return `  ${name}: Buffer.from(\x27${b64(f)}\x27, \x27base64\x27)`
+  return `  ${name}: ${str(f)}`
+})
+const lines = [
+  "// generated by gen.sh, do not edit",
+  "",
+  "module.exports = {",
+  props.join(",\n"),
+  "}",
+  ""
+]
+fs.writeFileSync(out, lines.join("\n"))
+' "$FIXTURES/$module.js" "$@"
+}
+
+# certificate authorities, and RSA server and client certificates
+pki () {
+  rsa root; root 'Telsa Test Root' root ca
+  rsa other; root 'Telsa Test Other Root' other ca
+  rsa int; issue 'Telsa Test Intermediate' int int root
+  rsa server; issue localhost server server int
+  rsa client; issue client client client int
+  rsa client2; issue client2 client2 client other
+  emit pki root.pem root.key other.pem other.key int.pem int.key \
+    server.pem server.key client.pem client.key client2.pem client2.key
+}
+
+# EC client certificate
+ecdsa () {
+  load int
+  ec ecClient; issue 'ec client' ecClient client int
+  emit ecdsa ecClient.pem ecClient.key
+}
+
+# self-issued look-alikes of the intermediate, for path building limits
+fakes () {
+  for i in 1 2 3 4; do
+    rsa "fake$i"; root 'Telsa Test Intermediate' "fake$i" fake
+  done
+  emit fakes fake1.pem fake2.pem fake3.pem fake4.pem
+}
+
+# ocsp response from index file: output index signer
+ocsp () {
+  openssl ocsp -index "$2" -rsigner "$3.pem" -rkey "$3.key" -CA int.pem \
+    -reqin req.der -respout "$1.der" -ndays $DAYS 2>/dev/null
+}
+
+# CRL: output index crlexts issuer
+crl () {
+  cat > crl.cnf <<X
+[ ca ]
+default_ca = ca_default
+[ ca_default ]
+database = index.txt
+crlnumber = crlnumber
+default_md = sha256
+default_crl_days = $DAYS
+[ plain ]
+[ delta ]
+2.5.29.27 = critical, DER:02:01:01
+[ critical ]
+1.3.6.1.4.1.55555.2 = critical, DER:05:00
+[ user ]
+issuingDistributionPoint = critical, @user_idp
+[ user_idp ]
+fullname = URI:http://crl.example.com/int.crl
+onlyuser = TRUE
+[ elsewhere ]
+issuingDistributionPoint = critical, @elsewhere_idp
+[ elsewhere_idp ]
+fullname = URI:http://crl.example.com/other.crl
+[ cas ]
+issuingDistributionPoint = critical, @cas_idp
+[ cas_idp ]
+onlyCA = TRUE
+X
+  cp "$2" index.txt
+  echo 01 > crlnumber
+  openssl ca -config crl.cnf -gencrl -keyfile "$4.key" -cert "$4.pem" \
+    -crlexts "$3" -out "$1.crl" 2>/dev/null
+}
+
+# ocsp responses and CRLs
+revocation () {
+  load root other int server
+  rsa responder; issue 'Telsa Test OCSP Responder' responder responder int
+
+  # self-issued intermediate with a new key, certified by the old one, and
+  # a server certificate issued by it
+  rsa rollover; issue 'Telsa Test Intermediate' rollover fake int
+  rsa rolloverServer; issue localhost rolloverServer leaf rollover
+
+  # ocsp responses for the server certificate
+  serial=$(openssl x509 -in server.pem -noout -serial | cut -d= -f2)
+  printf "V\t21000101000000Z\t\t%s\tunknown\t/CN=localhost\n" "$serial" > good.txt
+  printf "R\t21000101000000Z\t240101000000Z\t%s\tunknown\t/CN=localhost\n" "$serial" > revoked.txt
+  openssl ocsp -issuer int.pem -cert server.pem -no_nonce -reqout req.der 2>/dev/null
+  ocsp ocspGood good.txt int
+  ocsp ocspRevoked revoked.txt int
+  ocsp ocspDelegated good.txt responder
+  ocsp ocspUntrusted good.txt other
+
+  serial=$(openssl x509 -in rollover.pem -noout -serial | cut -d= -f2)
+  printf "R\t21000101000000Z\t240101000000Z\t%s\tunknown\t/CN=Telsa Test Intermediate\n" "$serial" > rollover.txt
+
+  : > empty.txt
+  crl crlGood empty.txt plain int
+  crl crlRevoked revoked.txt plain int
+  crl crlDelta revoked.txt delta int
+  crl crlCritical empty.txt critical int
+  crl crlUser empty.txt user int
+  crl crlElsewhere empty.txt elsewhere int
+  crl crlCAs empty.txt cas int
+  crl crlRoot empty.txt plain root
+  crl crlRollover rollover.txt plain int
+  # signed by a certificate without cRLSign key usage
+  crl crlServer empty.txt plain server
+
+  emit revocation responder.pem rollover.pem rolloverServer.pem \
+    ocspGood.der ocspRevoked.der ocspDelegated.der ocspUntrusted.der \
+    crlGood.crl crlRevoked.crl crlDelta.crl crlCritical.crl crlUser.crl \
+    crlElsewhere.crl crlCAs.crl crlRoot.crl crlRollover.crl crlServer.crl
+}
+
+# signature algorithms
+signatures () {
+  load root int
+  # RSA-PSS and SHA-1 signatures by the intermediate
+  rsa pssServer; issue localhost pssServer server int \
+    -sigopt rsa_padding_mode:pss -sigopt rsa_pss_saltlen:digest
+  rsa sha1Server; issue localhost sha1Server server int -sha1
+  # SHA-1 self-signed trust anchor
+  rsa sha1Root; root 'Telsa Test SHA-1 Root' sha1Root ca -sha1
+  rsa sha1RootServer; issue localhost sha1RootServer server sha1Root
+
+  # P-384 intermediate signing a P-256 server certificate with SHA-384
+  ec ecInt P-384; issue 'Telsa Test EC Intermediate' ecInt int root
+  ec ecServer; issue localhost ecServer ecserver ecInt -sha384
+
+  # EC trust anchor and an RSA one with the same name
+  ec ecTwin; root 'Telsa Test Twin Root' ecTwin fake
+  rsa rsaTwin; root 'Telsa Test Twin Root' rsaTwin fake
+  rsa twinServer; issue localhost twinServer leaf rsaTwin
+
+  emit signatures pssServer.pem sha1Server.pem sha1Root.pem \
+    sha1RootServer.pem ecInt.pem ecServer.pem ecServer.key ecTwin.pem \
+    twinServer.pem
+}
+
+# basicConstraints, key usage and name constraints
+constraints () {
+  load root int
+  rsa notCA; issue 'Telsa Test Not CA' notCA notca root
+  rsa notCAServer; issue localhost notCAServer server notCA
+
+  rsa pathLen; issue 'Telsa Test Path Length' pathLen pathlen root
+  rsa pathLenInt; issue 'Telsa Test Path Length Intermediate' pathLenInt \
+    int pathLen
+  rsa pathLenServer; issue localhost pathLenServer server pathLenInt
+
+  rsa encipherServer; issue localhost encipherServer encipher int
+  rsa clientAuthServer; issue localhost clientAuthServer clientauth int
+
+  rsa constrained; issue 'Telsa Test Constrained' constrained constrained root
+  rsa permitted; SAN=DNS:www.example.com issue localhost permitted named constrained
+  rsa outside; SAN=DNS:example.org issue localhost outside named constrained
+  rsa excluded; SAN=DNS:bad.example.com issue localhost excluded named constrained
+
+  # unknown critical extension
+  rsa critical; issue localhost critical critical int
+
+  emit constraints notCA.pem notCAServer.pem pathLen.pem pathLenInt.pem \
+    pathLenServer.pem encipherServer.pem clientAuthServer.pem \
+    constrained.pem permitted.pem outside.pem excluded.pem critical.pem
+}
+
+[ $# -gt 0 ] || set -- pki ecdsa fakes revocation signatures constraints
+for group; do "$group"; done
@@ -0,0 +1,175 @@
+// generated by gen.sh, do not edit
+
+module.exports = {
+  responder: `-----BEGIN CERTIFICATE-----
+MIIDLDCCAhSgAwIBAgIIF9pG1DE7N3EwDQYJKoZIhvcNAQELBQAwIjEgMB4GA1UE
+AwwXVGVsc2EgVGVzdCBJbnRlcm1lZGlhdGUwIBcNMjYxMDE5MDUwNDUxWhgPMjEy
+NjA5MjUwNTA0NTFaMCQxIjAgBgNVBAMMGVRlbHNhIFRlc3QgT0NTUCBSZXNwb25k
+ZXIwggEiMA0GCSqGSIb3DQEBAQUAA4IBDwAwggEKAoIBAQCq6ApIpJqQEu6gPVM4
+GB26gsEGJpxQyYIXG5zSKB974vrvLtAdOGQYT34hj6n6Cb87xjqnevSuRgHHIo3q
+VijwRWwYdL8lxbADD7vooPzfWF/90HqpOEfRV9EonmorJyKs6UyN6m0gx9wCfBVy
+gVlpfnnH5/ITZkAPO6cZcJqpfsFUyrUGuqNb6PjF5Oc7nPqWfnIid1BVqYsdT8kn
+Xr9IbFC0W24lJ/cR7pYKNGGlXS96Okn2OUyFDyXKzlH/g9ErlQWPnf+UXVpY0B9Z
+8DBudKc9BUg7fv/mnuTaQFth8td1UwlYPLMrDRZk3S+uRF5S1JiNoOOhuxnmViWS
+4cFbAgMBAAGjYjBgMAkGA1UdEwQCMAAwEwYDVR0lBAwwCgYIKwYBBQUHAwkwHwYD
+VR0jBBgwFoAUnqezgzL6g/u9frgPSNXHS9vFJ98wHQYDVR0OBBYEFNpha5JuB6x2
+6QKbHLd+Giltw+vbMA0GCSqGSIb3DQEBCwUAA4IBAQBwoDs995NY+mUZwsMM86Vg
+JJJrOLeonl1Q2QR3FZC2BG8i/AQcoYqzIQPnoGEEe42xjFj7xX6JJKt/Z/FZx7lp
+wN2t2PrzZCqPSt+P0/MCVGc+P2bUCfBWrhEgMLGtQ7jaYE+ZE+Qy5///aRh0EPgB
+7/a+kVZqaVdfVG17m9rxPSWjd6jk08z9B+8mdHJo05wCwhcpnLKLFhJRozULL7vc
+TzTUJ52pACqIusZAOsIwTqMicNRQ4DGCp0Aw1LZDUMC5+wJi3uqmRHKV8vlocRa5
+hzf5ryGkSRl2JLyhGMC2myK4bUvMBjWWzTWy2vjDxpibQBqFGeyJVECJrd/N6Ibf
+-----END CERTIFICATE-----`,
+  rollover: `-----BEGIN CERTIFICATE-----
+MIIC3DCCAcSgAwIBAgIJAIyh11RvasQlMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MDQ1MVoYDzIx
+MjYwOTI1MDUwNDUxWjAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0IEludGVybWVkaWF0
+ZTCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBALX7+AUVVbDXPzloIFhN
+R4noKldcsfNtoyYAS7oO99/X+RZAk48ImgI0fqiBbZmQjaM0vD2Q363dnqBFhAC0
+MFRc2Z+fEeIhOdkhxh2N4466PLLNOltntwLRDwWYuHcj7mPH/tlmWM4Uzlio8TlK
+9EV3CCHTvTwiIMuLib/ISbMA/cC0B1/pTHZdR7OqOUzbPgzjKlDGk6i6cqqvhZYc
+ePclTFrOusk6oH6DMdVaeUlh9bN0ZckfYRxAltUKlxb2ysXSeC05zyhBWNkNvbEd
+AYz33jSol2ZI/PET8KcnNMnx0YuH/o8pJY1t84hit/MRsVi12Nw3jlTyMRsu8Bv+
+w3MCAwEAAaMTMBEwDwYDVR0TAQH/BAUwAwEB/zANBgkqhkiG9w0BAQsFAAOCAQEA
+fKY3tC2wqbKG4pqKC43uvExyG56GVm6VwfWnHURlYYK3gq4P5t2EuvIgoO/Km3nT
+enS0Oe67+Nb7VZH1bfQz+o/juT3ZWjn/1atBXMGbaJShO9NqBFSQvCLSdlVdLUCP
+X8ZMlNxjY6zmHNIbZMNXWNT6Xs7wvWp121o6j1ygEHnHeKVJ5NXszXXe8txQGopJ
+aBvKVXup2qfiQzYelFchyrBXax8IjHhvyWEYTnsNY+yzT5BYwmTfhEaQr0fSW6r+
+yvqc0hN1Nt+yLqPJwRMbLryaW1bg4EXrSy2OBpcvjeJoHU7x9olb6nch+GIBTo5f
+YZbArvadL+veHK1DIcPFXA==
+-----END CERTIFICATE-----`,
+  rolloverServer: `-----BEGIN CERTIFICATE-----
+MIIDYjCCAkqgAwIBAgIJAMRyKPNK5O2NMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNV
+BAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MDQ1MloYDzIx
+MjYwOTI1MDUwNDUyWjAUMRIwEAYDVQQDDAlsb2NhbGhvc3QwggEiMA0GCSqGSIb3
+DQEBAQUAA4IBDwAwggEKAoIBAQCh1jys0MzpZIUs42hIbgdtHd7bJqZzhH0zMpoM
+QfjN7sszmOK6sApQErSXuHqQpZfw/uyv25S1UEyJccsSk2VKp7Qpl6slfO4RPfp0
+gSU9LXaJ8sax6rj5/krIjp46+Da0FLzSjutEOcuYtK6GOYhC7qFj8RvR2Dsi+vZX
+b4vl/SNVBCdYwqZthKNS79nLsuPB+GqnYla9pXbt9LSJ0Dbf/ujQEN/T48ipUpoy
+RYiUAkd8niTlVtcyUUJdiTX0cwrHbb7phRYH2Ewy0gehdRKFuF9fWY372TN13xU0
+YZPDBSAo/jhskaaCzMj2qPvZ1z7F4vy6thRhkOolopotZeDfAgMBAAGjgaYwgaMw
+CQYDVR0TBAIwADAOBgNVHQ8BAf8EBAMCBaAwEwYDVR0lBAwwCgYIKwYBBQUHAwEw
+FAYDVR0RBA0wC4IJbG9jYWxob3N0MB0GA1UdDgQWBBTWUTYAQO9QRkgaq/BactIP
+ykeybTA8BgNVHSMENTAzoSakJDAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0IEludGVy
+bWVkaWF0ZYIJAIyh11RvasQlMA0GCSqGSIb3DQEBCwUAA4IBAQBihU/6OBMlM08S
+Vp+7zjub6E40qXiMDOJO/CbdTDNXkKqfnG5chePq08S/XUll39y38OI+rjCw2tKD
+I2Daqsge7Jqkak9vBNNZARC7474rASnHhmLrjRISsZRn98jHEvayD9ckTwD7kpbU
+npa/eZFQHLyjVFxEMp0zJh6j9VkWxX93hyYt19jxtuJDcHKrsRVXTDRmnYJJWpKJ
+el4W4eLGAymDVIZm5PgtVkxuFZ1gAA7TkSrg8UszWVV6iU9Be+wQ9yI27tRN2oXg
+RL82QWbA77G3Qp0QvrfLpYF+iNseWcQRW7sJ2nf5ei0D3XiSaX9x/Hgt4N9kxdzo
+MDtcWdE7
+-----END CERTIFICATE-----`,
+  ocspGood: Buffer.from('MIIFCQoBAKCCBQIwggT+BgkrBgEFBQcwAQEEggTvMIIE6zCBpKEkMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlGA8yMDI2MTAxOTA1MDQ1MlowazBpMEEwCQYFKw4DAhoFAAQUQOOSh/cmQz40zkwUG/UiVHKDt9kEFJ6ns4My+oP7vX64D0jVx0vbxSffAghOvj7kdMq/HIAAGA8yMDI2MTAxOTA1MDQ1MlqgERgPMjEyNjA5MjUwNTA0NTJaMA0GCSqGSIb3DQEBCwUAA4IBAQDKDfGgDTKs21y1qCRcpYvWuHL/tRWbHIF1FQzz0iuDTE7qDjuMldqJ9yvz8cJMiCVVAx5IhtyJvGqImh2Q7JVkL+m1gzBTRXyPVBNUEcvBcXCoDdmKDYgft/7VxQikKxudTFytQ7a2BrohgeIoUp7ajQhv3REpxmGpYLcr5CBJGUXmIob7yXi35dFruvrljwx1oK2AHcsA/+vpuf4oUisuGtIGdMSnyXliW7aX1+K5XAERQw4JdBvkWfXt4tS8eaetOkNUDo0K3lkkMuvt1vBp6QcCr3SoUVSqA6ELwIQfjRWfTjIY/+Wm/k4dNM7cyysCveaR5WpCZ49YW0YnZGp3oIIDLDCCAygwggMkMIICDKADAgECAgkAjl8IVvNBJ+IwDQYJKoZIhvcNAQELBQAwGjEYMBYGA1UEAwwPVGVsc2EgVGVzdCBSb290MCAXDTI2MTAxOTA0NDEyMVoYDzIxMjYwOTI1MDQ0MTIxWjAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0IEludGVybWVkaWF0ZTCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBANEAB3aHsbZVCjx5Sy1louxPoXbnBfVzGjUpJdhHmxJxZzgWIU3iK+wPtw7IJ58qoT1LDeMZDcngjGojbfTfTtOAFGJ3TfeeuY9l1Zclo4JsXv2SvSSYoysYEMp0nYBdP5WS4WyVxDHorbWy/VzGcI7cpvjNiXFrxr9YW0GMO19Te6IsxeUVG791aGrvLd6n9L9xOpRD16Ei43PpoQ6yvtlgcCvt/dxRn9sW/fBTb6iK9JaA8cG9Ef/IY7gVUa4jOrorog3wNpxvjtook+ObTQZQ85wF8rNPVnlD/oSB2afja9U9MQUFlzjxPCd75gVPmRC8GHx5mSx04imKVMD9WVMCAwEAAaNjMGEwDwYDVR0TAQH/BAUwAwEB/zAOBgNVHQ8BAf8EBAMCAQYwHQYDVR0OBBYEFJ6ns4My+oP7vX64D0jVx0vbxSffMB8GA1UdIwQYMBaAFHeQ6npdyggzqsV0eaZJmJpJbfjwMA0GCSqGSIb3DQEBCwUAA4IBAQAAex0/8YfRgVlbTwHbEu9c4f+wp3tDfX0fc7KF9Wusym++L0DSh1vC+Agt2KcJtF+0eTcoLks4JpmQlEOTfxB0QotSUHh4wBfC8+e5ciWk94ewjIhPKvCdD7gZAJC6+hU/RFdtCqbZE/u3e5VpfqRsOLCbNSLwsY0YYIGvuuG2bu0Z4xQBB64cpGrH6JK/WQKUn+fmOdrV8eZ/kfu22HBIRJUzdabV+Y0Itq+y9EmIx6+faYSU5aDPsU4awBPnHqoCmmNaB/m3HBHgJNjGDYvgfU1iLwvDO2LIJlXKZkXhtpDo7D9ZNUylWkl8Rztnx+/KbGsVbJWuTms1BwTvBTRa', 'base64'),
+  ocspRevoked: Buffer.from('MIIFGgoBAKCCBRMwggUPBgkrBgEFBQcwAQEEggUAMIIE/DCBtaEkMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlGA8yMDI2MTAxOTA1MDQ1MlowfDB6MEEwCQYFKw4DAhoFAAQUQOOSh/cmQz40zkwUG/UiVHKDt9kEFJ6ns4My+oP7vX64D0jVx0vbxSffAghOvj7kdMq/HKERGA8yMDI0MDEwMTAwMDAwMFoYDzIwMjYxMDE5MDUwNDUyWqARGA8yMTI2MDkyNTA1MDQ1MlowDQYJKoZIhvcNAQELBQADggEBAM3+XBX8he60/eFFWGIEfoDXNXEAga/EemWLtPD2D+DgRU9SB7QS/M+ZH31QDNRk4Lh7/OiO+dMhD0cktPK8Nb5scu4Wjlx61vL5V5Gm9uw/PYRtOnBEYBpd96eYCltQz/EGVCXLSF4C/A519J2VxRhUNc0NAVcrZsKlybf1Ar98sZblj/pyvsKEwSeNh5lGp7BdVojkL1k9vFIszIAY+eDFYBFGh9QZvqPwhRZEodYVMDs/ZR4OaFZgfr2bFRT7HBVxLh4bCdtN0z0HuQAPIIbkmKQSE9tx0V6kuAZHzg57z7C5SwcMiR7Xfp5j8xEAGUKcvu7ACBUJHwZaJ/crdBGgggMsMIIDKDCCAyQwggIMoAMCAQICCQCOXwhW80En4jANBgkqhkiG9w0BAQsFADAaMRgwFgYDVQQDDA9UZWxzYSBUZXN0IFJvb3QwIBcNMjYxMDE5MDQ0MTIxWhgPMjEyNjA5MjUwNDQxMjFaMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA0QAHdoextlUKPHlLLWWi7E+hducF9XMaNSkl2EebEnFnOBYhTeIr7A+3DsgnnyqhPUsN4xkNyeCMaiNt9N9O04AUYndN9565j2XVlyWjgmxe/ZK9JJijKxgQynSdgF0/lZLhbJXEMeittbL9XMZwjtym+M2JcWvGv1hbQYw7X1N7oizF5RUbv3Voau8t3qf0v3E6lEPXoSLjc+mhDrK+2WBwK+393FGf2xb98FNvqIr0loDxwb0R/8hjuBVRriM6uiuiDfA2nG+O2iiT45tNBlDznAXys09WeUP+hIHZp+Nr1T0xBQWXOPE8J3vmBU+ZELwYfHmZLHTiKYpUwP1ZUwIDAQABo2MwYTAPBgNVHRMBAf8EBTADAQH/MA4GA1UdDwEB/wQEAwIBBjAdBgNVHQ4EFgQUnqezgzL6g/u9frgPSNXHS9vFJ98wHwYDVR0jBBgwFoAUd5Dqel3KCDOqxXR5pkmYmklt+PAwDQYJKoZIhvcNAQELBQADggEBAAB7HT/xh9GBWVtPAdsS71zh/7Cne0N9fR9zsoX1a6zKb74vQNKHW8L4CC3Ypwm0X7R5NyguSzgmmZCUQ5N/EHRCi1JQeHjAF8Lz57lyJaT3h7CMiE8q8J0PuBkAkLr6FT9EV20KptkT+7d7lWl+pGw4sJs1IvCxjRhgga+64bZu7RnjFAEHrhykasfokr9ZApSf5+Y52tXx5n+R+7bYcEhElTN1ptX5jQi2r7L0SYjHr59phJTloM+xThrAE+ceqgKaY1oH+bccEeAk2MYNi+B9TWIvC8M7YsgmVcpmReG2kOjsP1k1TKVaSXxHO2fH78psaxVsla5OazUHBO8FNFo=', 'base64'),
+  ocspDelegated: Buffer.from('MIIFEwoBAKCCBQwwggUIBgkrBgEFBQcwAQEEggT5MIIE9TCBpqEmMCQxIjAgBgNVBAMMGVRlbHNhIFRlc3QgT0NTUCBSZXNwb25kZXIYDzIwMjYxMDE5MDUwNDUyWjBrMGkwQTAJBgUrDgMCGgUABBRA45KH9yZDPjTOTBQb9SJUcoO32QQUnqezgzL6g/u9frgPSNXHS9vFJ98CCE6+PuR0yr8cgAAYDzIwMjYxMDE5MDUwNDUyWqARGA8yMTI2MDkyNTA1MDQ1MlowDQYJKoZIhvcNAQELBQADggEBABQPF8NxAKleoBGUPmT3Vr5hWzc8viLx4WTx4QbBzwdYdSWbp9ADb2m28cLR+C+fVO5Q1GBwhjL8C5ze5tByPE1rx6eW0zpH0m+wVNdW1UmfRzeq6srQxafj5Bfs7/V/3T/YyIy/Eye7taLqXH/U1lE3cNqG2G5jiQgxgm2X630g0OovXG4EySDLJMDyH8L6xJnowzqblGIui7Fbx6GbkaGrjXnJcMqtL1EyR0QmJi0OdG+QA+m8clpy8tPS/q3tewdYYZ2Aus1XxyBzaLRasLTuFJL4E/wZ/CyxZsvljrpovCyy0MDLxUmQNgs5yoygV6oJVyOuVnCC7P26FU7uCD+gggM0MIIDMDCCAywwggIUoAMCAQICCBfaRtQxOzdxMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3QgSW50ZXJtZWRpYXRlMCAXDTI2MTAxOTA1MDQ1MVoYDzIxMjYwOTI1MDUwNDUxWjAkMSIwIAYDVQQDDBlUZWxzYSBUZXN0IE9DU1AgUmVzcG9uZGVyMIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEAqugKSKSakBLuoD1TOBgduoLBBiacUMmCFxuc0igfe+L67y7QHThkGE9+IY+p+gm/O8Y6p3r0rkYBxyKN6lYo8EVsGHS/JcWwAw+76KD831hf/dB6qThH0VfRKJ5qKycirOlMjeptIMfcAnwVcoFZaX55x+fyE2ZADzunGXCaqX7BVMq1BrqjW+j4xeTnO5z6ln5yIndQVamLHU/JJ16/SGxQtFtuJSf3Ee6WCjRhpV0vejpJ9jlMhQ8lys5R/4PRK5UFj53/lF1aWNAfWfAwbnSnPQVIO37/5p7k2kBbYfLXdVMJWDyzKw0WZN0vrkReUtSYjaDjobsZ5lYlkuHBWwIDAQABo2IwYDAJBgNVHRMEAjAAMBMGA1UdJQQMMAoGCCsGAQUFBwMJMB8GA1UdIwQYMBaAFJ6ns4My+oP7vX64D0jVx0vbxSffMB0GA1UdDgQWBBTaYWuSbgesdukCmxy3fhopbcPr2zANBgkqhkiG9w0BAQsFAAOCAQEAcKA7PfeTWPplGcLDDPOlYCSSazi3qJ5dUNkEdxWQtgRvIvwEHKGKsyED56BhBHuNsYxY+8V+iSSrf2fxWce5acDdrdj682Qqj0rfj9PzAlRnPj9m1AnwVq4RIDCxrUO42mBPmRPkMuf//2kYdBD4Ae/2vpFWamlXX1Rte5va8T0lo3eo5NPM/QfvJnRyaNOcAsIXKZyyixYSUaM1Cy+73E801CedqQAqiLrGQDrCME6jInDUUOAxgqdAMNS2Q1DAufsCYt7qpkRylfL5aHEWuYc3+a8hpEkZdiS8oRjAtpsiuG1LzAY1ls01str4w8aYm0AahRnsiVRAia3fzeiG3w==', 'base64'),
+  ocspUntrusted: Buffer.from('MIIE6QoBAKCCBOIwggTeBgkrBgEFBQcwAQEEggTPMIIEyzCBoqEiMCAxHjAcBgNVBAMMFVRlbHNhIFRlc3QgT3RoZXIgUm9vdBgPMjAyNjEwMTkwNTA0NTJaMGswaTBBMAkGBSsOAwIaBQAEFEDjkof3JkM+NM5MFBv1IlRyg7fZBBSep7ODMvqD+71+uA9I1cdL28Un3wIITr4+5HTKvxyAABgPMjAyNjEwMTkwNTA0NTJaoBEYDzIxMjYwOTI1MDUwNDUyWjANBgkqhkiG9w0BAQsFAAOCAQEADy+3OBk6lsI1G0bIun/RznExNQucJz2Tz0fb1GVJjngHGOd81Mf/pcT4s+K2tl4N2qJIcu2GK4rc6XQLyaSNNXsWFiIS7JQ8ewvToysVwT2owpCmT/NAljYkC7GU5rc1I+nY6U9tCTyx49ErP5ScvQZSwihql2wWmlP9zQ9PcCJJcWAiZAu5BnBywAYrEKKn12me8e9yW8xG2o7zvG3EpU/iAf8zDdBScd9NXttZuTj7iQr1Q6LKuIL6TnGWwnNuzboDuen6bG7m/3O/LSOeyn2dB3LKouLkG60CrvYymK0uK+1TxOBxXnHz1NOiVwgY0NQ4NzGWbs8/wBzxhDG7rKCCAw4wggMKMIIDBjCCAe6gAwIBAgIIGpwb/Njja7gwDQYJKoZIhvcNAQELBQAwIDEeMBwGA1UEAwwVVGVsc2EgVGVzdCBPdGhlciBSb290MCAXDTI2MTAxOTA0NDEyMVoYDzIxMjYwOTI1MDQ0MTIxWjAgMR4wHAYDVQQDDBVUZWxzYSBUZXN0IE90aGVyIFJvb3QwggEiMA0GCSqGSIb3DQEBAQUAA4IBDwAwggEKAoIBAQDAiGVXm/oIDGX1hJuetm5qDGCPc2QFGUQRiywveJsKwBFMacAtjOZ8cwZif+aJ61jMvSJOrD9Qci6jJD2wE32rtPlN10sgk18szFf0y+MH/EjebYe6Zm+MfQyP2fl5WEIK1CS9GK8pYrx9Y6lL0CrJ47RG139T0fVfUIHYfhtjN/9a1Cd0683WIgSyOtofZVDW7eUfL1auOn5aEA9lGEFWFvBrsjUlytcCt6Unj9P7eDGn4FzFnkdDm/7SH/EoDRqEsx5sh6isF8T2Z5yb1IX4UwzC3r7N9ySV++tfPRkg3FwW/+Gucsr6SgGhPCQDJHLruD4j22hgMZkejR33iXGZAgMBAAGjQjBAMA8GA1UdEwEB/wQFMAMBAf8wDgYDVR0PAQH/BAQDAgEGMB0GA1UdDgQWBBSOR55hRcgiuyPix8u9QT+8YvfAXDANBgkqhkiG9w0BAQsFAAOCAQEAarn/hSRu44i9E0EmlTnszBDGx/Ch2PtvkgrcKm89IOlPFv0iyN0P1A5ZJUtQe8jGWBDeS0ecP7NId2ihCJMHqg3eFiJu5NzPMurxZchZxdIgRcQrqhtxUzvM3aYq22gzB0h+O/RrpXC1KkLa+rhqkYZxtA28CJU5LQkaDx+z2yU6vpbbcL8yIJCpXRzYzZHoc92Y4A/viVUHMcEQ8U4BWthlnizt8TMGxdm6ZMIeTX4MR0g3zNiz+99b5mHuBiHiD1rOI/mJgrKG2EGJ+fGeUDkOj/HBDe+c0akH/AOrGUoOmQgGg/BmLysu4NXfdfaKA/US0TZ9Z5XohQaIuPLwSA==', 'base64'),
+  crlGood: `-----BEGIN X509 CRL-----
+MIIBfDBmAgEBMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3Qg
+SW50ZXJtZWRpYXRlFw0yNjEwMTkwNTA0NTJaGA8yMTI2MDkyNTA1MDQ1MlqgDjAM
+MAoGA1UdFAQDAgEBMA0GCSqGSIb3DQEBCwUAA4IBAQApMIZHMY0c6rRXZssuT+4l
+V1dwtzJ+1GAgw+eXy4Hlzbxrtg12k0C6uNCS3lAXMdztzWjWY2nvh3RO4emnRBFn
+UpxU/knV8KVTeqnVW05KxbrDftLgfHa6+7hmi0t58XMCf9VdeXLJWRNNqqfJFqlb
+rQpfPOjoDOjMuwaiGMoFKK+dBoQROvuNXhCnDaBpOGq91UExfvDHDXGeIxNzFZhU
+4exgWWl6b9TtDZpaJ/8aYemCVrYRS1e2lOA1dcdPGIp8pTr5obhWDurlH72X8KIl
+1dMzqQHYpoo+iRwGE3O1jWjO9QdtuvNyuwb3uqBxJBFp5LGxKduDPVi4Cc850Ojc
+-----END X509 CRL-----`,
+  crlRevoked: `-----BEGIN X509 CRL-----
+MIIBmjCBgwIBATANBgkqhkiG9w0BAQsFADAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0
+IEludGVybWVkaWF0ZRcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaMBsw
+GQIITr4+5HTKvxwXDTI0MDEwMTAwMDAwMFqgDjAMMAoGA1UdFAQDAgEBMA0GCSqG
+SIb3DQEBCwUAA4IBAQCrP2X8i6phqDIQ2NylpREIjZHucybPvthn5X3/rlKYqL9F
++rkPL7JhiCEQ9QusYF9ft9RhdsVRSkQuyssxNcG9vxlE7KmD3XC+l2EuxWdeLadx
++5mQSV6ble+l6s0XJqfJryis2rZB5VWEY8ggpzTIdwwi83aR1xu9Tn388SUcfVkR
+tjtNRe6eiejNsggDJ1LaO7skzhXjQ2VAyDVSMGoj7ZihL3YbQ5LWcotS+Qd+O+h1
+RVe3TPbYa11o1pTFZ/3dYlB8JaTwNbnz4bAbr4UdqFqfjLJt+U1n3YvKKxr4Rcmw
+qF3e8iN9GISSaeY9MIJZMq9l0levHQleCtR7rpAl
+-----END X509 CRL-----`,
+  crlDelta: `-----BEGIN X509 CRL-----
+MIIBqTCBkgIBATANBgkqhkiG9w0BAQsFADAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0
+IEludGVybWVkaWF0ZRcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaMBsw
+GQIITr4+5HTKvxwXDTI0MDEwMTAwMDAwMFqgHTAbMA0GA1UdGwEB/wQDAgEBMAoG
+A1UdFAQDAgEBMA0GCSqGSIb3DQEBCwUAA4IBAQA59o8f2KjKf/mg22UbonRBq5VC
+b2o4TbiLaqwhPLSOi/ZXzktHa4YeCQ3QPUZkUgULLIWK9mCOdE3qYSICcxesp/GM
+YMwLZBP02JpuxgstgZkKjZL/3cRanb9wRztbgoXMNlCIonaxovYMz5hsVCKV7LKa
+x+b2XX0Nv5k1SRuPVthu0XY7F2hF5ntGAUu1qiUvcSsJYjmo266LUBnwS+Q4Mub0
+qMnqN+hCeTy8/FyZ8nIUE/ASpPUWtvXgCvoeGUdrph0VZlVg80UCmQvB477lVSft
+8mAWAkCTE3Yah/fxWYwv0LIy5kH68uxQ5EUnmIIsG2KGvJ3ViWvbfxN0mfnB
+-----END X509 CRL-----`,
+  crlCritical: `-----BEGIN X509 CRL-----
+MIIBkDB6AgEBMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3Qg
+SW50ZXJtZWRpYXRlFw0yNjEwMTkwNTA0NTJaGA8yMTI2MDkyNTA1MDQ1MlqgIjAg
+MBIGCSsGAQQBg7IDAgEB/wQCBQAwCgYDVR0UBAMCAQEwDQYJKoZIhvcNAQELBQAD
+ggEBAAN2rRf9cdWfJaR50BA0sVNWYfyDB+pH/piZsDjyXdVOpHyzYMDJClhb3mmt
+FPLCEiECoxv9Pkxog7A50tEhFPtNrdewMurssiS7UbenNIxJnCGfixcWbM5kkfH7
+nes3rMSXqZOf1NalvMCDBGpjSsi9e3j94nDspTdI+EHGSIGi/Eg9wQxOLNlN7KZy
+0+VHCD8RcqFjg2tof0OciSmxj1+izWUKbqgwcVnGaOmYp7uFh0K//doxuzF4eT2d
+9O1DLO16Q40wrd6Vrc8GUgb0f9awCelq4DrR775d8ok4MdPlIbYIDR3hYghHDyBi
+H6FTfOirt7G6hf57WvHhdARbYh4=
+-----END X509 CRL-----`,
+  crlUser: `-----BEGIN X509 CRL-----
+MIIBsjCBmwIBATANBgkqhkiG9w0BAQsFADAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0
+IEludGVybWVkaWF0ZRcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaoEMw
+QTAzBgNVHRwBAf8EKTAnoCKgIIYeaHR0cDovL2NybC5leGFtcGxlLmNvbS9pbnQu
+Y3JsgQH/MAoGA1UdFAQDAgEBMA0GCSqGSIb3DQEBCwUAA4IBAQA0SytHboMugL54
+C6riMLlNsUFaP3hJ9ntDhiCjVbNod/3NvQq35FX5rtWfqRs+bmd7FCRp2xzOCKQj
+3oi87qcUOuHFQBOQik4wdk+4lpzCvGP2lfLeOGMJjoxodLXzn1wrMQR3AoHHql7n
+alR3LzIeeLpwA+t629ulYyiz+bnBe6CLWK1O7xiTENKxT7Opb9/RrEHuJwQDMMa7
+yEmQpXDBrb6X1DU6vWBI0YQnjWsqY2ug1ySBDDBctC2nKU3OkwB4grnBgpRIsKE1
+z2pnQfa2VAPqXJyiM08yiPCAtPwiNab1JWmUnKPeWa/kYL7uoh6vDYsvOzG32Xry
+0y+Ae5ZO
+-----END X509 CRL-----`,
+  crlElsewhere: `-----BEGIN X509 CRL-----
+MIIBsTCBmgIBATANBgkqhkiG9w0BAQsFADAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0
+IEludGVybWVkaWF0ZRcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaoEIw
+QDAyBgNVHRwBAf8EKDAmoCSgIoYgaHR0cDovL2NybC5leGFtcGxlLmNvbS9vdGhl
+ci5jcmwwCgYDVR0UBAMCAQEwDQYJKoZIhvcNAQELBQADggEBABix04guB05STX3Z
+bAtqJZ35lSUwhwd5hdZ66TNMnE9xfpVilxH8yZsSZ09KvM3gZKZyq6jpUFwJQcdU
+k5K2h4dPqlzKpdw3RYwA/KU4KBPmYnWU22KK9Em42SYvUaN5WDWO2UrhT9+RyvSL
+0o57yF9mKOIXSTl5C7f0YoL5JvRbho58QT9BSornhlVLwNyljjhXDIwg71E0foNR
+aV6zHdKUP8mgb3U9pRDdMvfTr/EzTI32T5B74Bm56L4Zscnu8SDW/h+uoHZ5vViz
+gMkio+fyHSkDDho53Mt20XO06awdC4zWsN1gn0JMC1pRUembyWo1qDbKFhFyPEEo
+cuoOl1o=
+-----END X509 CRL-----`,
+  crlCAs: `-----BEGIN X509 CRL-----
+MIIBjTB3AgEBMA0GCSqGSIb3DQEBCwUAMCIxIDAeBgNVBAMMF1RlbHNhIFRlc3Qg
+SW50ZXJtZWRpYXRlFw0yNjEwMTkwNTA0NTJaGA8yMTI2MDkyNTA1MDQ1MlqgHzAd
+MA8GA1UdHAEB/wQFMAOCAf8wCgYDVR0UBAMCAQEwDQYJKoZIhvcNAQELBQADggEB
+ADrKyGiFRqvd/r3oPlcHsE/YmHdmtYxYsc0Fu6eHrTL/AVtF4vEx5AaLazeeKoUh
+zlc/T7MrMlWCjnDBug9G9ix0PgbOGg7/ErxBQEaVKDAbblRMPm99WDEm31eB86kA
+ulldkLUX/+JwaUDPXRAeZgh1r+GzKs2HUMFl9xoWaBTvVLMkF+m2m1bu1vvkiSeY
+akET1+pEs9jk77C5y/oOAJoNGvTtxz0rVBQYMPfM86aEyzBQRijf3luYjHgGhJDM
+YuZHOFmu2fDNLhdAYqtBRjDAIPriRrWU1enqdfdG69GfUDcA3OaG6bSH1tpO204o
+VKMT2fMWpG8HQ/xWd1q4p5c=
+-----END X509 CRL-----`,
+  crlRoot: `-----BEGIN X509 CRL-----
+MIIBdDBeAgEBMA0GCSqGSIb3DQEBCwUAMBoxGDAWBgNVBAMMD1RlbHNhIFRlc3Qg
+Um9vdBcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaoA4wDDAKBgNVHRQE
+AwIBATANBgkqhkiG9w0BAQsFAAOCAQEAfMhldYksFqJKzfc7xW9/DFxisKqbvszc
+DmPT8VZQw+IHEeKJFCmiAyz8N2B7K/K2IN4lIqJtnkhGwxeZ1kdXU2bnXN9C2+1u
+0rbHkV2blXsiSipD0FkHJt0QHtttfaAwD5Jl++1VDXuDAuIBhe6C1bAp34oeX0+S
+dY3cGcV2FdgbI/49+dr5KRPbcHrLqbNTbno/kMWJiN6iNniV0/qZxKqFomx8IjP3
+Tiy7Fgz8XhiGeq5KQXWjcyGCjyRLjj4XbbS/njOG2PixH1fZ1UsjZoWHf/OsRtDw
+UrhrP31DSSDPy4UBJdS0ogptqxLebmE2nYHU3iSX+6NJJ2HgwdZayg==
+-----END X509 CRL-----`,
+  crlRollover: `-----BEGIN X509 CRL-----
+MIIBmzCBhAIBATANBgkqhkiG9w0BAQsFADAiMSAwHgYDVQQDDBdUZWxzYSBUZXN0
+IEludGVybWVkaWF0ZRcNMjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaMBww
+GgIJAIyh11RvasQlFw0yNDAxMDEwMDAwMDBaoA4wDDAKBgNVHRQEAwIBATANBgkq
+hkiG9w0BAQsFAAOCAQEApCLskEkoCFsKjIs2SKLq86IHE90xlKlWOzc9Z7s8UUM1
+WofFHuTnSH/EmdxiFPJnlbssYpaqYgxRk7nNfnwzekvAUaTUfk7lK+kzteJQkjHX
+/ex+P7ClraAacFz2xLmWI03f4aLhl/bdF8DWg+rBJSoCNCLk9WGgU/Hm7OF9dq22
+Lm8XBtVZ8Nyu16jMaFY58jLZdwySB3CnlX01jm06O2eBtgD2AvmuMih8XtEk3b4O
+TrMaZ3+MjEYaOAJao2N/nR04Fm05m49xCQg447FCzVzCeBWgew6ArhQ7XKt3Xaem
+1xIvAZTrDiBYuY2eY3h3CY3rZjCO5BM3HXjiqZ19Kw==
+-----END X509 CRL-----`,
+  crlServer: `-----BEGIN X509 CRL-----
+MIIBbjBYAgEBMA0GCSqGSIb3DQEBCwUAMBQxEjAQBgNVBAMMCWxvY2FsaG9zdBcN
+MjYxMDE5MDUwNDUyWhgPMjEyNjA5MjUwNTA0NTJaoA4wDDAKBgNVHRQEAwIBATAN
+BgkqhkiG9w0BAQsFAAOCAQEASYvlejQzRx12ivgNtpkX+sQ1LIolQc205eU+vb7R
+8ENXIk7hUAtQiNadj4U8sKn0d/kXQCbTFLPg/z4JVFpOGcDdPsWxNaQg+b/xu+Rh
+maF8weh46JEimKABIFIKxpFMpBSH0zRI0N7POcHfpCjCoNQyZZU4Jxd4N3Qc1MZC
+k3RdVIGWCkxSTRcBGbuMku6rpeKhARF01JBHbfE1x9Oqqqv89VAMQFT1dXYkjFdE
+A4AAw+VaxMStWKM4iZZXtekSd/Fk2/e1f37F8FV0GD7JwHWVBWVTJNz5Tq7IfxQP
+LZ8Zqr2G91mzJuvEY8bAxQin3HOViPFhtZ9ibWnluFcZyQ==
+-----END X509 CRL-----`
+}
@@ -0,0 +1,100 @@
+const tls = require('tls')
+
+const Telsa = require('../../src/telsa')
+const pki = require('./pki')
+
+/**
+ * creates a Telsa on a mock socket, which never connects and records
+ * written data in `written`
+ * @param {object} [opts] - Telsa options, overriding defaults
+ * @returns {Telsa}
+ */
+const createTelsa = opts => new Telsa(Object.assign({
+  host: 'localhost',
+  ca: pki.root,
+  socket: {
+    written: [],
+    on () {},
+    write (data) {
+      this.written.push(data)
+      return true
+    }
+  }
+}, opts))
+
+/**
+ * creates a TLS 1.2 server listening on a random port, which echoes data
+ * by default.
+ * @param {object} opts - tls.createServer options, overriding defaults
+ * @param {function} [handler] - secure connection listener
+ * @param {function} callback - `server => {}`, called when listening
+ * @returns {tls.Server}
+ */
+const createServer = (opts, handler, callback) => {
+  if (!callback) {
+    callback = handler
+    handler = socket => socket.pipe(socket)
+  }
+
+  const server = tls.createServer(Object.assign({
+    key: pki.serverKey,
+    cert: pki.server + '\n' + pki.int,
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.2'
+  }, opts), socket => {
+    socket.on('error', () => {})
+    handler(socket)
+  })
+  server.on('tlsClientError', () => {})
+  server.listen(0, () => callback(server))
+  return server
+}
+
+/**
+ * connects to the server, writes `hello`, and ends after `expected` data
+ * is received. The callback is called once, on error or close.
+ * @param {tls.Server} server
+ * @param {object} opts - Telsa options, overriding defaults
+ * @param {function} callback - `(err, telsa, received) => {}`
+ * @param {string} [expected] - data expected from server
+ * @returns {Telsa}
+ */
+const connect = (server, opts, callback, expected = 'hello') => {
+  const telsa = new Telsa(Object.assign({
+    port: server.address().port,
+    host: 'localhost',
+    ca: pki.root
+  }, opts))
+
+  let received = ''
+  let finished = false
+  const finish = err => {
+    if (finished) return
+    finished = true
+    callback(err, telsa, received)
+  }
+
+  telsa.on('error', finish)
+  telsa.on('data', data => {
+    received += data.toString()
+    if (received.length >= expected.length) telsa.end()
+  })
+  telsa.once('close', () => finish(null))
+  telsa.write('hello')
+  return telsa
+}
+
+/**
+ * returns alert description of the TLSError thrown by `f`
+ * @param {function} f
+ * @returns {number|undefined}
+ */
+const alertOf = f => {
+  try {
+    f()
+  } catch (e) {
+    return e.description
+  }
+}
+
+module.exports = { createTelsa, createServer, connect, alertOf }
@@ -0,0 +1,101 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const { createTelsa, alertOf } = require('./fixtures/telsa')
+
+const SERVER_NAME = 0
+const STATUS_REQUEST = 5
+const SUPPORTED_GROUPS = 10
+const EC_POINT_FORMATS = 11
+const SIGNATURE_ALGORITHMS = 13
+const EXTENDED_MASTER_SECRET = 23
+const SESSION_TICKET = 35
+const RENEGOTIATION_INFO = 0xff01
+
+const ECDHE_RSA = 0xc02f
+const RSA = 0x009c
+
+// ServerHello body with given suite and extensions, `[type, data]` pairs
+const serverHello = (code, exts) => {
+  const data = Buffer.concat(exts.map(([type, body]) => {
+    const head = Buffer.alloc(4)
+    head.writeUInt16BE(type)
+    head.writeUInt16BE(body.length, 2)
+    return Buffer.concat([head, body])
+  }))
+  return Buffer.concat([
+    Buffer.from([3, 3]),
+    crypto.randomBytes(32),
+    Buffer.from([0, code >> 8, code & 0xff, 0, data.length >> 8, data.length]),
+    data
+  ])
+}
+
+// alert description of ServerHello handling
+const handle = (code, exts, opts) => {
+  const telsa = createTelsa(opts)
+  telsa.sendClientHello()
+  return alertOf(() => telsa.handleServerHello(serverHello(code, exts)))
+}
+
+const uncompressed = Buffer.from([1, 0])
+
+describe(path.basename(__filename), () => {
+  it('should offer extensions in ClientHello', done => {
+    const telsa = createTelsa()
+    telsa.sendClientHello()
+    expect(telsa.offeredExtensions).to.deep.equal([
+      SERVER_NAME, STATUS_REQUEST, SUPPORTED_GROUPS, EC_POINT_FORMATS,
+      SIGNATURE_ALGORITHMS, EXTENDED_MASTER_SECRET, SESSION_TICKET,
+      RENEGOTIATION_INFO
+    ])
+
+    const ip = createTelsa({ host: '127.0.0.1' })
+    ip.sendClientHello()
+    expect(ip.offeredExtensions).to.not.include(SERVER_NAME)
+    done()
+  })
+
+  it('should fail with unsupported_extension on unsolicited extension',
+    done => {
+      expect(handle(ECDHE_RSA, [[0x1234, Buffer.alloc(0)]])).to.equal(110)
+      expect(handle(ECDHE_RSA, [[SERVER_NAME, Buffer.alloc(0)]], {
+        host: '127.0.0.1'
+      })).to.equal(110)
+      // offered, but never sent by server
+      expect(handle(ECDHE_RSA, [[SUPPORTED_GROUPS, Buffer.alloc(0)]]))
+        .to.equal(110)
+      expect(handle(ECDHE_RSA, [[SIGNATURE_ALGORITHMS, Buffer.alloc(0)]]))
+        .to.equal(110)
+      done()
+    })
+
+  it('should fail with illegal_parameter on duplicate extension', done => {
+    expect(handle(ECDHE_RSA, [
+      [EC_POINT_FORMATS, uncompressed],
+      [EC_POINT_FORMATS, uncompressed]
+    ])).to.equal(47)
+    done()
+  })
+
+  it('should check ec_point_formats for ECC suites', done => {
+    expect(handle(ECDHE_RSA, [[EC_POINT_FORMATS, uncompressed]]))
+      .to.equal(undefined)
+    expect(handle(ECDHE_RSA, [[EC_POINT_FORMATS, Buffer.from([2, 0])]]))
+      .to.equal(50)
+    // ansiX962_compressed_prime only
+    expect(handle(ECDHE_RSA, [[EC_POINT_FORMATS, Buffer.from([1, 1])]]))
+      .to.equal(47)
+    done()
+  })
+
+  it('should ignore ec_point_formats for non-ECC suites', done => {
+    expect(handle(RSA, [[EC_POINT_FORMATS, uncompressed]]))
+      .to.equal(undefined)
+    expect(handle(RSA, [[EC_POINT_FORMATS, Buffer.from([1, 1])]]))
+      .to.equal(undefined)
+    done()
+  })
+})
@@ -0,0 +1,210 @@
+const path = require('path')
+const fs = require('fs')
+const os = require('os')
+const chai = require('chai')
+const expect = chai.expect
+
+const { certificateFromPem, formatName } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const fakes = require('./fixtures/fakes')
+const signatures = require('./fixtures/signatures')
+const {
+  createTelsa, createServer, connect
+} = require('./fixtures/telsa')
+
+const fixtures = Object.assign({}, pki, fakes, signatures)
+const parse = names =>
+  names.map(name => certificateFromPem(fixtures[name]))
+
+const subjects = certs => certs.map(cert => formatName(cert.subject))
+
+const verify = (names, opts) =>
+  createTelsa(opts).verifyServerCertificates(parse(names))
+
+const verifyError = (names, opts) => {
+  try {
+    verify(names, opts)
+  } catch (e) {
+    return e
+  }
+  throw new Error('not thrown')
+}
+
+describe(path.basename(__filename), () => {
+  let caDir
+  before(done => {
+    caDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telsa-'))
+    fs.writeFileSync(path.join(caDir, 'root.pem'), pki.root)
+    fs.writeFileSync(path.join(caDir, 'bundle.pem'), pki.other + pki.root)
+    fs.writeFileSync(path.join(caDir, 'malformed.pem'),
+      '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n')
+    fs.writeFileSync(path.join(caDir, 'README'), 'not a certificate')
+    fs.mkdirSync(path.join(caDir, 'sub'))
+    fs.writeFileSync(path.join(caDir, 'sub', 'int.pem'), pki.int)
+    done()
+  })
+  after(done => {
+    fs.rmSync(caDir, { recursive: true })
+    done()
+  })
+
+  it('should load trust anchors from bundles and arrays', done => {
+    expect(subjects(createTelsa({ ca: pki.other + '\n' + pki.root }).cas))
+      .to.deep.equal(['CN=Telsa Test Other Root', 'CN=Telsa Test Root'])
+    expect(subjects(createTelsa({ ca: [pki.other, Buffer.from(pki.root)] })
+      .cas)).to.deep.equal(['CN=Telsa Test Other Root', 'CN=Telsa Test Root'])
+    done()
+  })
+
+  it('should load trust anchors from caDir once', done => {
+    const telsa = createTelsa({ ca: undefined, caDir })
+    expect(subjects(telsa.cas).sort()).to.deep.equal([
+      'CN=Telsa Test Other Root', 'CN=Telsa Test Root'
+    ])
+    expect(subjects(createTelsa({ ca: pki.root, caDir }).cas))
+      .to.have.length(2)
+    done()
+  })
+
+  it('should throw if caDir has no supported certificate', done => {
+    const dir = path.join(caDir, 'sub', 'empty')
+    fs.mkdirSync(dir)
+    expect(() => createTelsa({ ca: undefined, caDir: dir }))
+      .to.throw('no supported ca certificate')
+    expect(() => createTelsa({ ca: undefined })).to.throw('ca not provided')
+    done()
+  })
+
+  it('should verify a path to the trust anchor', done => {
+    expect(subjects(verify(['server', 'int']))).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+    ])
+    expect(subjects(verify(['server', 'int'], { ca: undefined, caDir })))
+      .to.have.length(3)
+    done()
+  })
+
+  it('should build a path from unordered and unrelated certificates',
+    done => {
+      expect(subjects(verify(['server', 'other', 'client', 'int'])))
+        .to.deep.equal([
+          'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+        ])
+      expect(subjects(verify(['server'], { intermediates: pki.int })))
+        .to.have.length(3)
+      done()
+    })
+
+  it('should backtrack from a look-alike issuer', done => {
+    expect(subjects(verify(['server', 'fake1', 'int']))).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+    ])
+    done()
+  })
+
+  it('should fail with unknown_ca if issuer not found', done => {
+    const err = verifyError(['server'])
+    expect(err.description).to.equal(48)
+    expect(err.paths).to.deep.equal([{
+      certificates: ['CN=localhost'],
+      reason: 'issuer not found',
+      anchored: false
+    }])
+    done()
+  })
+
+  it('should give up after MAX_REJECTED_PATHS paths', done => {
+    const names = ['fake1', 'fake2', 'fake3', 'fake4']
+    const err = verifyError(['server', ...names])
+    expect(err.description).to.equal(48)
+    expect(err.paths).to.have.length(16)
+
+    // the valid path is not reached within the limit
+    const err2 = verifyError(['server', ...names, 'int'])
+    expect(err2.paths).to.have.length(16)
+    done()
+  })
+
+  it('should verify RSA-PSS and ECDSA P-384 signatures', done => {
+    expect(subjects(verify(['pssServer', 'int']))).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+    ])
+    expect(subjects(verify(['ecServer', 'ecInt']))).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test EC Intermediate', 'CN=Telsa Test Root'
+    ])
+    done()
+  })
+
+  it('should reject SHA-1 signatures except of trust anchors', done => {
+    const err = verifyError(['sha1Server', 'int'])
+    expect(err.description).to.equal(46)
+    expect(err.paths[0].reason).to.equal('CN=localhost is signed with SHA-1')
+
+    // self-signed with SHA-1
+    expect(subjects(verify(['sha1RootServer'], { ca: signatures.sha1Root })))
+      .to.deep.equal(['CN=localhost', 'CN=Telsa Test SHA-1 Root'])
+    done()
+  })
+
+  it('should reject signature algorithm mismatching the issuer key',
+    done => {
+      // issued by an RSA root with the same name as the EC one
+      const err = verifyError(['twinServer'], { ca: signatures.ecTwin })
+      expect(err.description).to.equal(46)
+      expect(err.paths[0].reason).to.equal('CN=localhost signature invalid')
+      done()
+    })
+
+  it('should verify server with any of the trust anchors', done => {
+    createServer({}, server => connect(server, {
+      ca: [pki.other, pki.root]
+    }, (err, telsa, received) => {
+      if (err) {
+        server.close()
+        return done(err)
+      }
+      expect(received).to.equal('hello')
+      connect(server, { ca: undefined, caDir }, (err, telsa, received) => {
+        server.close()
+        if (err) return done(err)
+        expect(received).to.equal('hello')
+        done()
+      })
+    }))
+  })
+
+  it('should verify server with intermediates option', done => {
+    createServer({ cert: pki.server }, server => connect(server, {
+      intermediates: [pki.other, pki.int]
+    }, (err, telsa, received) => {
+      server.close()
+      if (err) return done(err)
+      expect(received).to.equal('hello')
+      done()
+    }))
+  })
+
+  it('should verify ECDSA server with a P-384 intermediate', done => {
+    createServer({
+      cert: signatures.ecServer + '\n' + signatures.ecInt,
+      key: signatures.ecServerKey,
+      ciphers: 'ECDHE-ECDSA-AES128-GCM-SHA256'
+    }, server => connect(server, {}, (err, telsa, received) => {
+      server.close()
+      if (err) return done(err)
+      expect(received).to.equal('hello')
+      expect(telsa.cipherSuite.name)
+        .to.equal('TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256')
+      done()
+    }))
+  })
+
+  it('should reject server not issued by the trust anchors', done => {
+    createServer({}, server => connect(server, { ca: pki.other }, err => {
+      server.close()
+      expect(err).to.be.an('error')
+      expect(err.description).to.equal(48)
+      done()
+    }))
+  })
+})
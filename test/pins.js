@@ -0,0 +1,116 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const { certificateFromPem } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const {
+  createTelsa, createServer, connect
+} = require('./fixtures/telsa')
+
+// SubjectPublicKeyInfo SHA-256 hash in base64
+const spkiHash = pem => crypto.createHash('sha256')
+  .update(crypto.createPublicKey(pem).export({ type: 'spki', format: 'der' }))
+  .digest('base64')
+
+const backup = {
+  sha256: crypto.randomBytes(32).toString('base64'),
+  backup: true
+}
+
+// verified certification path
+const chain = () => createTelsa().verifyServerCertificates([pki.server, pki.int]
+  .map(certificateFromPem))
+
+describe(path.basename(__filename), () => {
+  it('should require a backup pin', done => {
+    expect(() => createTelsa({ pins: [spkiHash(pki.server)] }))
+      .to.throw('pins must include a backup pin')
+    expect(() => createTelsa({ pins: ['foo', backup] }))
+      .to.throw('invalid pin sha256')
+    expect(createTelsa({ pins: [] }).pins).to.deep.equal([])
+    done()
+  })
+
+  it('should normalize pins', done => {
+    const expires = new Date(Date.now() + 60000)
+    const hash = spkiHash(pki.server)
+    const telsa = createTelsa({
+      pins: [hash, { sha256: Buffer.from(hash, 'base64'), expires }, backup]
+    })
+    expect(telsa.pins).to.deep.equal([
+      { sha256: hash, expires: undefined, backup: false },
+      { sha256: hash, expires: expires.getTime(), backup: false },
+      { sha256: backup.sha256, expires: undefined, backup: true }
+    ])
+    done()
+  })
+
+  it('should pass if any certificate in the path matches', done => {
+    const telsa = createTelsa({ pins: [spkiHash(pki.int), backup] })
+    telsa.checkPins(chain())
+    done()
+  })
+
+  it('should fail with certificate_unknown on mismatch', done => {
+    const telsa = createTelsa({ pins: [spkiHash(pki.other), backup] })
+    try {
+      telsa.checkPins(chain())
+      done(new Error('not thrown'))
+    } catch (e) {
+      expect(e.description).to.equal(46)
+      expect(e.message).to.equal('server public key pin mismatch')
+      expect(e.host).to.equal('localhost')
+      expect(e.hashes).to.deep.equal([pki.server, pki.int, pki.root]
+        .map(spkiHash))
+      expect(e.pins).to.deep.equal([spkiHash(pki.other), backup.sha256])
+      done()
+    }
+  })
+
+  it('should emit pinMismatch in report-only mode', done => {
+    const telsa = createTelsa({
+      pins: [spkiHash(pki.other), backup],
+      pinReportOnly: true
+    })
+    let mismatch
+    telsa.on('pinMismatch', m => { mismatch = m })
+    telsa.checkPins(chain())
+    expect(mismatch.certificates).to.deep.equal([
+      'CN=localhost', 'CN=Telsa Test Intermediate', 'CN=Telsa Test Root'
+    ])
+    expect(mismatch.pins).to.have.length(2)
+    done()
+  })
+
+  it('should skip pinning if all pins expire', done => {
+    const expires = new Date(Date.now() - 1000)
+    const telsa = createTelsa({
+      pins: [
+        { sha256: spkiHash(pki.other), expires },
+        Object.assign({ expires }, backup)
+      ]
+    })
+    telsa.checkPins(chain())
+    done()
+  })
+
+  it('should check pins in handshake', done => {
+    createServer({}, server => connect(server, {
+      pins: [spkiHash(pki.server), backup]
+    }, (err, telsa, received) => {
+      if (err) {
+        server.close()
+        return done(err)
+      }
+      expect(received).to.equal('hello')
+      connect(server, { pins: [spkiHash(pki.other), backup] }, err => {
+        server.close()
+        expect(err.description).to.equal(46)
+        expect(err.message).to.equal('server public key pin mismatch')
+        done()
+      })
+    }))
+  })
+})
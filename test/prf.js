@@ -2,7 +2,7 @@ const path = require('path')
 const chai = require('chai')
 const expect = chai.expect
 
-const prf = require('lib/prf')
+const prf = require('../src/prf')
 
 describe(path.basename(__filename), () => {
   it('should pass test 1', done => {
@@ -24,4 +24,14 @@ describe(path.basename(__filename), () => {
     expect(masterHex).to.equal(master.toString('hex'))
     done()
   })
+
+  it('should pass test 3 (sha384)', done => {
+    const secret = Buffer.from('b80b733d6ceefcdc71566ea48e5567df', 'hex')
+    const seed = Buffer.from('cd665cf6a8447dd6ff8b27555edb7465', 'hex')
+    const outputHex = '7b0c18e9ced410ed1804f2cfa34a336a1c14dffb4900bb5fd7942107e81c83cde9ca0faa60be9fe34f82b1233c9146a0e534cb400fed2700884f9dc236f80edd8bfa961144c9e8d792eca722a7b32fc3d416d473ebc2c5fd4abfdad05d9184259b5bf8cd4d90fa0d31e2dec479e4f1a26066f2eea9a69236a3e52655c9e9aee691c8f3a26854308d5eaa3be85e0990703d73e56f'
+
+    const output = prf(secret, 'test label', seed, 148, 'sha384')
+    expect(outputHex).to.equal(output.toString('hex'))
+    done()
+  })
 })
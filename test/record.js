@@ -0,0 +1,119 @@
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const hex = s => Buffer.from(s, 'hex')
+
+const key128 = hex('000102030405060708090a0b0c0d0e0f')
+const key256 = hex('000102030405060708090a0b0c0d0e0f' +
+  '101112131415161718191a1b1c1d1e1f')
+const salt = hex('a0a1a2a3')
+
+// application data records, `hello` with sequence number 0 and `world`
+// with sequence number 1, in TLS 1.2 GCM (rfc5288) record format
+const vectors = [
+  {
+    suite: 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256',
+    key: key128,
+    records: [
+      '170303001d0000000000000000e238a2f1287c84b7b6069122b160d2e48f69541a7f',
+      '170303001d0000000000000001311e6e9e08498161f2b64aa665ae3e9a7cf3f2c581'
+    ]
+  },
+  {
+    suite: 'TLS_RSA_WITH_AES_256_GCM_SHA384',
+    key: key256,
+    records: [
+      '170303001d000000000000000074dc305a4c52d92bda1b44bd37749e07410b4fab5a'
+    ]
+  }
+]
+
+const handshaking = suite => {
+  const telsa = createTelsa()
+  telsa.cipherSuite = telsa.cipherSuites.find(s => s.name === suite)
+  return telsa
+}
+
+describe(path.basename(__filename), () => {
+  vectors.forEach(({ suite, key, records }) => {
+    it(`should seal records with ${suite}`, done => {
+      const telsa = handshaking(suite)
+      const written = telsa.socket.written
+      telsa.clientWriteKey = key
+      telsa.clientWriteIV = salt
+      telsa.changeCipherSpec()
+      expect(written.shift().toString('hex')).to.equal('140303000101')
+
+      telsa.send(23, Buffer.from('hello'))
+      telsa.send(23, Buffer.from('world'))
+      records.forEach(record =>
+        expect(written.shift().toString('hex')).to.equal(record))
+      done()
+    })
+
+    it(`should open records with ${suite}`, done => {
+      const telsa = handshaking(suite)
+      telsa.serverWriteKey = key
+      telsa.serverWriteIV = salt
+      telsa.handleChangeCipherSpec(Buffer.from([1]))
+
+      telsa.incomming = Buffer.concat(records.map(hex))
+      const plains = records.map(() => telsa.readFragment())
+      expect(plains.map(f => f.type)).to.deep.equal(records.map(() => 23))
+      expect(plains.map(f => f.data.toString()))
+        .to.deep.equal(['hello', 'world'].slice(0, records.length))
+      done()
+    })
+  })
+
+  it('should fail with bad_record_mac on tampered record', done => {
+    const { suite, key, records } = vectors[0]
+    const telsa = handshaking(suite)
+    telsa.serverWriteKey = key
+    telsa.serverWriteIV = salt
+    telsa.handleChangeCipherSpec(Buffer.from([1]))
+
+    const record = hex(records[0])
+    record[record.length - 1] ^= 1
+    telsa.incomming = record
+    expect(alertOf(() => telsa.readFragment())).to.equal(20)
+    done()
+  })
+
+  it('should fail with bad_record_mac on out-of-order record', done => {
+    const { suite, key, records } = vectors[0]
+    const telsa = handshaking(suite)
+    telsa.serverWriteKey = key
+    telsa.serverWriteIV = salt
+    telsa.handleChangeCipherSpec(Buffer.from([1]))
+
+    // sequence number 0 is expected
+    telsa.incomming = hex(records[1])
+    expect(alertOf(() => telsa.readFragment())).to.equal(20)
+    done()
+  })
+
+  const handshakes = [
+    ['ECDHE-RSA-AES128-GCM-SHA256', 0xc02f],
+    ['ECDHE-RSA-AES256-GCM-SHA384', 0xc030],
+    ['AES256-GCM-SHA384', 0x009d]
+  ]
+
+  handshakes.forEach(([ciphers, code]) => {
+    it(`should complete handshake with node tls using ${ciphers}`, done => {
+      createServer({ ciphers }, server =>
+        connect(server, {}, (err, telsa, received) => {
+          server.close()
+          if (err) return done(err)
+          expect(received).to.equal('hello')
+          expect(telsa.cipherSuite.code).to.equal(code)
+          done()
+        }))
+    })
+  })
+})
@@ -0,0 +1,137 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const pki = require('./fixtures/pki')
+const fixtures = require('./fixtures/telsa')
+const { createTelsa, alertOf } = fixtures
+
+const RENEGOTIATION_INFO = 0xff01
+
+// echo server requesting renegotiation on the first data, and reporting
+// `renegotiated` if it succeeds
+const createServer = callback => {
+  const result = {}
+  fixtures.createServer({}, socket => socket.once('data', data => {
+    socket.write(data)
+    socket.renegotiate({
+      requestCert: true,
+      rejectUnauthorized: false
+    }, err => {
+      result.peer = socket.getPeerCertificate().subject
+      if (!err) socket.write('renegotiated')
+    })
+  }), server => callback(server, result))
+}
+
+// connects and counts `connect` events
+const connect = (server, opts, callback) => {
+  let connects = 0
+  const telsa = fixtures.connect(server, opts, (err, telsa, received) => {
+    server.close()
+    callback(err, telsa, received, connects)
+  }, 'hellorenegotiated')
+  telsa.on('connect', () => connects++)
+}
+
+// ServerHello body with renegotiation_info extension, or without it if
+// `info` is undefined
+const serverHello = (telsa, info) => {
+  const exts = info ? Buffer.alloc(5 + info.length) : Buffer.alloc(0)
+  if (info) {
+    exts.writeUInt16BE(RENEGOTIATION_INFO)
+    exts.writeUInt16BE(info.length + 1, 2)
+    exts[4] = info.length
+    info.copy(exts, 5)
+  }
+  const code = telsa.cipherSuites[0].code
+  return Buffer.concat([
+    Buffer.from([3, 3]),
+    crypto.randomBytes(32),
+    Buffer.from([0, code >> 8, code & 0xff, 0, 0, exts.length]),
+    exts
+  ])
+}
+
+// a telsa renegotiating an established connection
+const renegotiating = () => {
+  const telsa = createTelsa({ renegotiation: 'accept' })
+  telsa.verifyData = {
+    client: crypto.randomBytes(12),
+    server: crypto.randomBytes(12)
+  }
+  telsa.renegotiating = true
+  telsa.sendClientHello()
+  return telsa
+}
+
+describe(path.basename(__filename), () => {
+  it('should renegotiate if accepted', done => {
+    createServer((server, result) => connect(server, {
+      renegotiation: 'accept',
+      cert: [pki.client, pki.int],
+      key: pki.clientKey
+    }, (err, telsa, received, connects) => {
+      if (err) return done(err)
+      expect(received).to.equal('hellorenegotiated')
+      expect(connects).to.equal(1)
+      expect(telsa.secureRenegotiation).to.equal(true)
+      expect(telsa.renegotiating).to.equal(false)
+      expect(result.peer.CN).to.equal('client')
+      done()
+    }))
+  })
+
+  it('should refuse renegotiation by default', done => {
+    // openssl treats no_renegotiation as fatal
+    createServer((server, result) => connect(server, {},
+      (err, telsa, received, connects) => {
+        expect(err.name).to.equal('TLSAlert')
+        expect(err.description).to.equal(40)
+        expect(received).to.equal('hello')
+        expect(connects).to.equal(1)
+        expect(telsa.renegotiating).to.equal(false)
+        expect(result.peer).to.equal(undefined)
+        done()
+      }))
+  })
+
+  it('should refuse renegotiation without secure renegotiation', done => {
+    const telsa = createTelsa({ renegotiation: 'accept' })
+    telsa.state = 'ESTABLISHED'
+    telsa.handleHelloRequest(Buffer.alloc(0))
+    expect(telsa.renegotiating).to.equal(false)
+    // warning no_renegotiation alert
+    expect(telsa.socket.written[0].toString('hex'))
+      .to.equal('15030300020164')
+
+    expect(alertOf(() => telsa.handleHelloRequest(Buffer.from([0]))))
+      .to.equal(50)
+    done()
+  })
+
+  it('should verify renegotiation_info in renegotiation', done => {
+    const telsa = renegotiating()
+    const { client, server } = telsa.verifyData
+    telsa.handleServerHello(serverHello(telsa, Buffer.concat([client, server])))
+    expect(telsa.secureRenegotiation).to.equal(true)
+
+    const mismatch = renegotiating()
+    expect(alertOf(() => mismatch.handleServerHello(serverHello(mismatch,
+      Buffer.concat([client, server]))))).to.equal(40)
+    const empty = renegotiating()
+    expect(alertOf(() => empty.handleServerHello(serverHello(empty,
+      Buffer.alloc(0))))).to.equal(40)
+    const absent = renegotiating()
+    expect(alertOf(() => absent.handleServerHello(serverHello(absent))))
+      .to.equal(40)
+    done()
+  })
+
+  it('should throw on invalid renegotiation option', done => {
+    expect(() => createTelsa({ renegotiation: 'ignore' }))
+      .to.throw('renegotiation must be refuse or accept')
+    done()
+  })
+})
@@ -0,0 +1,218 @@
+const path = require('path')
+const chai = require('chai')
+const expect = chai.expect
+
+const {
+  parseOCSPResponse, parseCRLs, ocspStatus, crlStatus
+} = require('../src/revocation')
+const { certificateFromPem } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const revocation = require('./fixtures/revocation')
+const {
+  createTelsa, createServer, connect
+} = require('./fixtures/telsa')
+
+const fixtures = Object.assign({}, pki, revocation)
+const cert = name => certificateFromPem(fixtures[name])
+const root = cert('root')
+const int = cert('int')
+const server = cert('server')
+
+const now = Date.now()
+const time = { earliest: now, latest: now }
+const crl = name => parseCRLs(fixtures[name])[0]
+
+describe(path.basename(__filename), () => {
+  it('should return ocsp status signed by the issuer', done => {
+    const good = parseOCSPResponse(revocation.ocspGood)
+    const revoked = parseOCSPResponse(revocation.ocspRevoked)
+    expect(ocspStatus(good, server, int, time)).to.equal('good')
+    expect(ocspStatus(revoked, server, int, time)).to.equal('revoked')
+    done()
+  })
+
+  it('should accept ocsp response signed by a delegated responder', done => {
+    const resp = parseOCSPResponse(revocation.ocspDelegated)
+    expect(ocspStatus(resp, server, int, time)).to.equal('good')
+    done()
+  })
+
+  it('should reject ocsp response signed by others', done => {
+    const resp = parseOCSPResponse(revocation.ocspUntrusted)
+    expect(() => ocspStatus(resp, server, int, time))
+      .to.throw('invalid ocsp response signature')
+    done()
+  })
+
+  it('should reject signature algorithm mismatching the signer key', done => {
+    // ecdsa-with-SHA256 over an RSA signature
+    const resp = Object.assign(parseOCSPResponse(revocation.ocspGood), {
+      signatureAlgorithm: '1.2.840.10045.4.3.2'
+    })
+    expect(() => ocspStatus(resp, server, int, time))
+      .to.throw('invalid ocsp response signature')
+    const list = Object.assign(crl('crlGood'), {
+      signatureAlgorithm: '1.2.840.10045.4.3.2'
+    })
+    expect(crlStatus(list, server, int, time)).to.equal(null)
+    done()
+  })
+
+  it('should reject ocsp response for other certificates or expired', done => {
+    const resp = parseOCSPResponse(revocation.ocspGood)
+    expect(() => ocspStatus(resp, int, root, time))
+      .to.throw('no ocsp response for the certificate')
+    const later = { earliest: Infinity, latest: Infinity }
+    expect(() => ocspStatus(resp, server, int, later))
+      .to.throw('ocsp response has expired')
+    done()
+  })
+
+  it('should return CRL status signed by the issuer', done => {
+    expect(crlStatus(crl('crlGood'), server, int, time)).to.equal('good')
+    expect(crlStatus(crl('crlRevoked'), server, int, time)).to.equal('revoked')
+    expect(crlStatus(crl('crlRoot'), int, root, time)).to.equal('good')
+    expect(crlStatus(crl('crlRoot'), server, int, time)).to.equal(null)
+    done()
+  })
+
+  it('should ignore CRL if the issuer does not assert cRLSign', done => {
+    // issued and signed by the server certificate, which has keyUsage
+    // without cRLSign
+    expect(crlStatus(crl('crlServer'), int, server, time)).to.equal(null)
+    done()
+  })
+
+  it('should ignore CRL with signature from another key', done => {
+    // the rollover intermediate has the same name but another key
+    expect(crlStatus(crl('crlGood'), server, cert('rollover'), time))
+      .to.equal(null)
+    done()
+  })
+
+  it('should ignore delta CRL and CRL with unknown critical extension',
+    done => {
+      expect(crl('crlDelta').delta).to.equal(true)
+      expect(crlStatus(crl('crlDelta'), server, int, time)).to.equal(null)
+      expect(crl('crlCritical').unsupportedCritical)
+        .to.equal('1.3.6.1.4.1.55555.2')
+      expect(crlStatus(crl('crlCritical'), server, int, time)).to.equal(null)
+      done()
+    })
+
+  it('should use CRL with issuing distribution point only in scope', done => {
+    // user certificates, and the distribution point of the server
+    expect(crlStatus(crl('crlUser'), server, int, time)).to.equal('good')
+    // another distribution point
+    expect(crlStatus(crl('crlElsewhere'), server, int, time)).to.equal(null)
+    // CA certificates only
+    expect(crlStatus(crl('crlCAs'), server, int, time)).to.equal(null)
+    expect(crlStatus(crl('crlCAs'), int, root, time)).to.equal(null)
+    done()
+  })
+
+  describe('checkRevocation', () => {
+    const check = (opts, ocspResponse,
+      names = ['server', 'int', 'root']) => {
+      const telsa = createTelsa(opts)
+      telsa.serverChain = names.map(cert)
+      telsa.ocspResponse = ocspResponse
+        ? parseOCSPResponse(ocspResponse)
+        : null
+      telsa.verificationTime = telsa.trustedTime()
+      telsa.revocationPending = true
+      telsa.checkRevocation()
+    }
+
+    it('should fail with certificate_revoked', done => {
+      expect(() => check({ crls: revocation.crlRevoked }))
+        .to.throw('certificate revoked')
+      expect(() => check({}, revocation.ocspRevoked))
+        .to.throw('certificate revoked')
+      done()
+    })
+
+    it('should check a self-issued intermediate below the anchor', done => {
+      const rollover = ['rolloverServer', 'rollover', 'int', 'root']
+      expect(() => check({ crls: revocation.crlRollover }, null, rollover))
+        .to.throw('certificate revoked: CN=Telsa Test Intermediate')
+      check({ crls: revocation.crlGood }, null, rollover)
+      done()
+    })
+
+    it('should fail with bad_certificate_status_response', done => {
+      try {
+        check({}, revocation.ocspUntrusted)
+        done(new Error('not thrown'))
+      } catch (e) {
+        expect(e.description).to.equal(113)
+        done()
+      }
+    })
+
+    it('should pass unknown status in soft mode', done => {
+      check({})
+      check({ crls: revocation.crlDelta })
+      done()
+    })
+
+    it('should require known status of the leaf only in hard mode', done => {
+      expect(() => check({ revocation: 'hard' }))
+        .to.throw('server certificate revocation status unknown')
+      expect(() => check({ revocation: 'hard', crls: revocation.crlDelta }))
+        .to.throw('server certificate revocation status unknown')
+      // no CRL for the intermediate
+      check({ revocation: 'hard' }, revocation.ocspGood)
+      check({ revocation: 'hard', crls: revocation.crlGood })
+      done()
+    })
+
+    it('should check CRLs at the verification time', done => {
+      const telsa = createTelsa({
+        revocation: 'hard',
+        crls: revocation.crlGood,
+        clock: () => { throw new Error('clock read') }
+      })
+      telsa.serverChain = ['server', 'int', 'root'].map(cert)
+      // the CRL has expired at the time
+      telsa.verificationTime = { earliest: Infinity, latest: Infinity }
+      telsa.revocationPending = true
+      expect(() => telsa.checkRevocation())
+        .to.throw('server certificate revocation status unknown')
+      done()
+    })
+
+    it('should throw on invalid revocation option', done => {
+      expect(() => createTelsa({ revocation: 'strict' }))
+        .to.throw('revocation must be soft or hard')
+      done()
+    })
+  })
+
+  describe('ocsp stapling', () => {
+    // echo server stapling given ocsp response
+    const stapling = (response, callback) => createServer({}, callback)
+      .on('OCSPRequest', (cert, issuer, cb) => cb(null, response))
+
+    it('should connect with a stapled good response in hard mode', done => {
+      stapling(revocation.ocspGood, server => connect(server, {
+        revocation: 'hard'
+      }, (err, telsa, received) => {
+        server.close()
+        if (err) return done(err)
+        expect(received).to.equal('hello')
+        done()
+      }))
+    })
+
+    it('should fail with certificate_revoked on a stapled revoked response',
+      done => {
+        stapling(revocation.ocspRevoked, server => connect(server, {},
+          err => {
+            server.close()
+            expect(err.description).to.equal(44)
+            done()
+          }))
+      })
+  })
+})
@@ -0,0 +1,121 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const { certificateFromPem } = require('../src/x509')
+const pki = require('./fixtures/pki')
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const X25519 = 29
+const ECDHE_RSA = 'TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256'
+const ECDHE_ECDSA = 'TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256'
+
+const handshaking = suite => {
+  const telsa = createTelsa()
+  telsa.cipherSuite = telsa.cipherSuites.find(s => s.name === suite)
+  telsa.serverCertificates = [certificateFromPem(pki.server)]
+  telsa.serverRandom = crypto.randomBytes(32)
+  return telsa
+}
+
+// ServerECDHParams followed by a digitally-signed struct
+const serverKeyExchange = (telsa, opts = {}) => {
+  const point = opts.point || crypto.randomBytes(32)
+  const params = Buffer.concat([
+    Buffer.from([opts.curveType || 3, 0, opts.group || X25519, point.length]),
+    point
+  ])
+  const tbs = Buffer.concat([telsa.clientRandom, telsa.serverRandom, params])
+  const sig = opts.pss
+    ? crypto.sign('sha256', tbs, {
+      key: pki.serverKey,
+      padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+      saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+    })
+    : crypto.sign('sha256', tbs, pki.serverKey)
+  if (opts.tamper) sig[sig.length - 1] ^= 1
+  const head = Buffer.alloc(4)
+  head.writeUInt16BE(opts.scheme || (opts.pss ? 0x0804 : 0x0401))
+  head.writeUInt16BE(sig.length, 2)
+  return Buffer.concat([params, head, sig])
+}
+
+describe(path.basename(__filename), () => {
+  it('should parse ECDH parameters with a valid signature', done => {
+    const telsa = handshaking(ECDHE_RSA)
+    const point = crypto.randomBytes(32)
+    telsa.handleServerKeyExchange(serverKeyExchange(telsa, { point }))
+    expect(telsa.serverECDH.group).to.equal(X25519)
+    expect(telsa.serverECDH.point.equals(point)).to.equal(true)
+
+    const pss = handshaking(ECDHE_RSA)
+    pss.handleServerKeyExchange(serverKeyExchange(pss, { pss: true }))
+    expect(pss.serverECDH.group).to.equal(X25519)
+    done()
+  })
+
+  it('should reject invalid signature with decrypt_error', done => {
+    const telsa = handshaking(ECDHE_RSA)
+    const data = serverKeyExchange(telsa, { tamper: true })
+    expect(alertOf(() => telsa.handleServerKeyExchange(data))).to.equal(51)
+    expect(telsa.serverECDH).to.equal(undefined)
+    done()
+  })
+
+  it('should reject signature over other randoms', done => {
+    const telsa = handshaking(ECDHE_RSA)
+    const data = serverKeyExchange(telsa)
+    telsa.serverRandom = crypto.randomBytes(32)
+    expect(alertOf(() => telsa.handleServerKeyExchange(data))).to.equal(51)
+    done()
+  })
+
+  it('should reject signature algorithm mismatching the certificate',
+    done => {
+      const telsa = handshaking(ECDHE_RSA)
+      const data = serverKeyExchange(telsa, { scheme: 0x0403 })
+      expect(alertOf(() => telsa.handleServerKeyExchange(data))).to.equal(47)
+
+      // ECDHE_ECDSA suite with an RSA certificate
+      const ecdsa = handshaking(ECDHE_ECDSA)
+      const data2 = serverKeyExchange(ecdsa)
+      expect(alertOf(() => ecdsa.handleServerKeyExchange(data2))).to.equal(47)
+      done()
+    })
+
+  it('should reject unsupported curve type and group', done => {
+    const telsa = handshaking(ECDHE_RSA)
+    const explicit = serverKeyExchange(telsa, { curveType: 1 })
+    expect(alertOf(() => telsa.handleServerKeyExchange(explicit)))
+      .to.equal(47)
+    const secp521r1 = serverKeyExchange(telsa, { group: 25 })
+    expect(alertOf(() => telsa.handleServerKeyExchange(secp521r1)))
+      .to.equal(47)
+    done()
+  })
+
+  it('should reject truncated message with decode_error', done => {
+    const telsa = handshaking(ECDHE_RSA)
+    const data = serverKeyExchange(telsa)
+    expect(alertOf(() => telsa.handleServerKeyExchange(data.slice(0, 3))))
+      .to.equal(50)
+    expect(alertOf(() => telsa.handleServerKeyExchange(data.slice(0, -1))))
+      .to.equal(50)
+    done()
+  })
+
+  it('should complete ECDHE_RSA handshake with node tls', done => {
+    createServer({
+      ciphers: 'ECDHE-RSA-AES128-GCM-SHA256'
+    }, server => connect(server, {}, (err, telsa, received) => {
+      server.close()
+      if (err) return done(err)
+      expect(received).to.equal('hello')
+      expect(telsa.cipherSuite.name).to.equal(ECDHE_RSA)
+      done()
+    }))
+  })
+})
@@ -0,0 +1,104 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const {
+  createTelsa, createServer, connect, alertOf
+} = require('./fixtures/telsa')
+
+const SERVER_NAME = 0
+
+// extensions in a ClientHello record, as a map from type to data
+const helloExtensions = record => {
+  let data = record.slice(5 + 4 + 2 + 32)
+  data = data.slice(1 + data[0])
+  data = data.slice(2 + data.readUInt16BE(0))
+  data = data.slice(1 + data[0])
+  data = data.slice(2, 2 + data.readUInt16BE(0))
+  const exts = new Map()
+  while (data.length) {
+    const length = data.readUInt16BE(2)
+    exts.set(data.readUInt16BE(0), data.slice(4, 4 + length))
+    data = data.slice(4 + length)
+  }
+  return exts
+}
+
+// host_name in a server_name extension, rfc6066
+const hostName = data => {
+  expect(data.readUInt16BE(0)).to.equal(data.length - 2)
+  expect(data[2]).to.equal(0)
+  expect(data.readUInt16BE(3)).to.equal(data.length - 5)
+  return data.slice(5).toString()
+}
+
+const sentServerName = opts => {
+  const telsa = createTelsa(opts)
+  telsa.sendClientHello()
+  const data = helloExtensions(telsa.socket.written[0]).get(SERVER_NAME)
+  return data && hostName(data)
+}
+
+// ServerHello body with a server_name extension
+const serverHello = (telsa, data) => {
+  const code = telsa.cipherSuites[0].code
+  const ext = Buffer.alloc(4)
+  ext.writeUInt16BE(SERVER_NAME)
+  ext.writeUInt16BE(data.length, 2)
+  return Buffer.concat([
+    Buffer.from([3, 3]),
+    crypto.randomBytes(32),
+    Buffer.from([0, code >> 8, code & 0xff, 0, 0, ext.length + data.length]),
+    ext,
+    data
+  ])
+}
+
+describe(path.basename(__filename), () => {
+  it('should send host as server name by default', done => {
+    expect(sentServerName({ host: 'localhost' })).to.equal('localhost')
+    done()
+  })
+
+  it('should send servername option instead of host', done => {
+    expect(sentServerName({ host: '127.0.0.1', servername: 'example.com' }))
+      .to.equal('example.com')
+    done()
+  })
+
+  it('should not send server name for ip address or empty servername',
+    done => {
+      expect(sentServerName({ host: '127.0.0.1' })).to.equal(undefined)
+      expect(sentServerName({ host: '::1' })).to.equal(undefined)
+      expect(sentServerName({ host: 'localhost', servername: '' }))
+        .to.equal(undefined)
+      done()
+    })
+
+  it('should accept empty server_name in ServerHello', done => {
+    const telsa = createTelsa()
+    telsa.sendClientHello()
+    telsa.handleServerHello(serverHello(telsa, Buffer.alloc(0)))
+    expect(telsa.cipherSuite).to.equal(telsa.cipherSuites[0])
+
+    const nonEmpty = createTelsa()
+    nonEmpty.sendClientHello()
+    expect(alertOf(() => nonEmpty.handleServerHello(serverHello(nonEmpty,
+      Buffer.from([0, 0]))))).to.equal(50)
+    done()
+  })
+
+  it('should send server name to node tls', done => {
+    let servername
+    createServer({}, socket => {
+      servername = socket.servername
+      socket.pipe(socket)
+    }, server => connect(server, {}, err => {
+      server.close()
+      if (err) return done(err)
+      expect(servername).to.equal('localhost')
+      done()
+    }))
+  })
+})
@@ -0,0 +1,142 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const fixtures = require('./fixtures/telsa')
+const { createTelsa } = fixtures
+
+// echo server issuing tickets, or caching sessions by id without tickets
+const createServer = (tickets, callback) => {
+  const server = fixtures.createServer({
+    secureOptions: tickets ? 0 : crypto.constants.SSL_OP_NO_TICKET
+  }, callback)
+  if (tickets) return
+
+  const store = new Map()
+  server.on('newSession', (id, data, cb) => {
+    store.set(id.toString('hex'), data)
+    cb()
+  })
+  server.on('resumeSession', (id, cb) =>
+    cb(null, store.get(id.toString('hex')) || null))
+}
+
+// connects, sends and receives `hello`, and ends, with emitted session
+const connect = (server, opts, callback) => {
+  let session
+  fixtures.connect(server, opts, (err, telsa) => callback(err, telsa, session))
+    .on('session', s => { session = s })
+}
+
+describe(path.basename(__filename), () => {
+  let server
+  before(done => createServer(false, s => {
+    server = s
+    done()
+  }))
+  after(done => server.close(() => done()))
+
+  it('should emit a session restorable by session option', done => {
+    connect(server, {}, (err, telsa, session) => {
+      if (err) return done(err)
+      expect(Buffer.isBuffer(session)).to.equal(true)
+
+      const restored = createTelsa({ session }).session
+      expect(restored.host).to.equal('localhost')
+      expect(restored.id).to.deep.equal(telsa.sessionId)
+      expect(restored.masterSecret).to.deep.equal(telsa.masterSecret)
+      expect(restored.cipherSuite).to.equal(telsa.cipherSuite.code)
+      expect(restored.extendedMasterSecret)
+        .to.equal(telsa.extendedMasterSecret)
+      done()
+    })
+  })
+
+  it('should resume a session by session id', done => {
+    connect(server, {}, (err, first, session) => {
+      if (err) return done(err)
+      expect(first.resumed).to.equal(false)
+      connect(server, { session }, (err, second) => {
+        if (err) return done(err)
+        expect(second.resumed).to.equal(true)
+        expect(second.sessionId).to.deep.equal(first.sessionId)
+        expect(second.masterSecret).to.deep.equal(first.masterSecret)
+        done()
+      })
+    })
+  })
+
+  it('should not offer a session to another host or suite', done => {
+    connect(server, {}, (err, telsa, session) => {
+      if (err) return done(err)
+      expect(createTelsa({ session, host: 'example.com' }).session)
+        .to.equal(null)
+      const other = telsa.cipherSuites.find(s => s !== telsa.cipherSuite)
+      expect(createTelsa({ session, ciphers: [other.name] }).session)
+        .to.equal(null)
+      done()
+    })
+  })
+
+  it('should throw on invalid session', done => {
+    expect(() => createTelsa({ session: Buffer.from('foo') }))
+      .to.throw('invalid session')
+    expect(() => createTelsa({ session: Buffer.from('{"host":1}') }))
+      .to.throw('invalid session')
+    done()
+  })
+
+  describe('session ticket', () => {
+    let server
+    before(done => createServer(true, s => {
+      server = s
+      done()
+    }))
+    after(done => server.close(() => done()))
+
+    it('should resume a session by ticket', done => {
+      connect(server, {}, (err, first, session) => {
+        if (err) return done(err)
+        expect(Buffer.isBuffer(first.ticket)).to.equal(true)
+        expect(first.ticketExpiry).to.be.above(Date.now())
+        expect(createTelsa({ session }).session.ticket)
+          .to.deep.equal(first.ticket)
+
+        connect(server, { session }, (err, second) => {
+          if (err) return done(err)
+          expect(second.resumed).to.equal(true)
+          expect(second.masterSecret).to.deep.equal(first.masterSecret)
+          done()
+        })
+      })
+    })
+
+    it('should not offer an expired ticket', done => {
+      connect(server, {}, (err, telsa, session) => {
+        if (err) return done(err)
+        const realNow = Date.now
+        Date.now = () => telsa.ticketExpiry + 1
+        try {
+          expect(createTelsa({ session }).session).to.equal(null)
+          done()
+        } finally {
+          Date.now = realNow
+        }
+      })
+    })
+
+    it('should save ticket and expiry from NewSessionTicket', done => {
+      const telsa = createTelsa()
+      telsa.handleNewSessionTicket(Buffer.from('0000012c0000', 'hex'))
+      expect(telsa.ticket).to.equal(undefined)
+      expect(telsa.ticketExpiry).to.equal(undefined)
+
+      const now = Date.now()
+      telsa.handleNewSessionTicket(Buffer.from('0000012c0002abcd', 'hex'))
+      expect(telsa.ticket.toString('hex')).to.equal('abcd')
+      expect(telsa.ticketExpiry).to.be.within(now + 300000, Date.now() + 300000)
+      done()
+    })
+  })
+})
@@ -0,0 +1,171 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const pki = require('./fixtures/pki')
+const { ecClient, ecClientKey } = require('./fixtures/ecdsa')
+const fixtures = require('./fixtures/telsa')
+
+const ECDSA_SIGN = 64
+
+// CertificateRequest body accepting ecdsa_secp256r1_sha256 only
+const certificateRequest = Buffer.from([1, ECDSA_SIGN, 0, 2, 4, 3, 0, 0])
+
+// raw r||s signature, as produced by secure elements
+const rawSign = data => crypto.sign('sha256', data, {
+  key: ecClientKey,
+  dsaEncoding: 'ieee-p1363'
+})
+
+// echo server requesting client certificate
+const createServer = callback => fixtures.createServer({
+  requestCert: true,
+  ca: [pki.root, pki.int]
+}, callback)
+
+const createTelsa = opts => {
+  const telsa = fixtures.createTelsa(Object.assign({ cert: ecClient }, opts))
+  telsa.handleCertificateRequest(certificateRequest)
+  telsa.msgs = [crypto.randomBytes(64)]
+  return telsa
+}
+
+describe(path.basename(__filename), () => {
+  it('should convert raw ecdsa signature to DER', done => {
+    const telsa = createTelsa({ key: (data, cb) => cb(null, rawSign(data)) })
+    expect(telsa.signatureScheme.code).to.equal(0x0403)
+    telsa.sign((err, sig) => {
+      if (err) return done(err)
+      expect(sig[0]).to.equal(0x30)
+      expect(crypto.verify('sha256', telsa.msgs[0],
+        crypto.createPublicKey(ecClient), sig)).to.equal(true)
+      done()
+    })
+  })
+
+  it('should encode DER integers minimally and unsigned', done => {
+    const r = Buffer.alloc(32)
+    r[31] = 1
+    const s = Buffer.alloc(32)
+    s[0] = 0x80
+    const telsa = createTelsa({
+      key: (data, cb) => cb(null, Buffer.concat([r, s]))
+    })
+    telsa.sign((err, sig) => {
+      if (err) return done(err)
+      expect(sig.toString('hex')).to.equal('3026020101022100' +
+        s.toString('hex'))
+      done()
+    })
+  })
+
+  it('should keep DER ecdsa signature as is', done => {
+    let der
+    const telsa = createTelsa({
+      key: (data, cb) =>
+        cb(null, (der = crypto.sign('sha256', data, ecClientKey)))
+    })
+    telsa.sign((err, sig) => {
+      if (err) return done(err)
+      expect(sig).to.deep.equal(der)
+      done()
+    })
+  })
+
+  it('should pass signing error to callback', done => {
+    const telsa = createTelsa({ key: (data, cb) => cb(new Error('no card')) })
+    telsa.sign(err => {
+      expect(err.message).to.equal('no card')
+      done()
+    })
+  })
+
+  it('should authenticate with raw ecdsa signing function', done => {
+    createServer(server => fixtures.connect(server, {
+      cert: ecClient,
+      key: (data, cb) => cb(null, rawSign(data))
+    }, (err, telsa, received) => {
+      server.close()
+      if (err) return done(err)
+      expect(received).to.equal('hello')
+      expect(telsa.signatureScheme.code).to.equal(0x0403)
+      done()
+    }))
+  })
+
+  it('should sign digest of handshake messages with signDigest', done => {
+    let args
+    const telsa = createTelsa({
+      signDigest: (digest, alg, signal) => {
+        args = { digest, alg, signal }
+        // signs the same digest
+        return Promise.resolve(rawSign(telsa.msgs[0]))
+      }
+    })
+    telsa.sign((err, sig) => {
+      if (err) return done(err)
+      expect(args.digest).to.deep.equal(crypto.createHash('sha256')
+        .update(telsa.msgs[0]).digest())
+      expect(args.alg).to.equal('ecdsa_secp256r1_sha256')
+      expect(args.signal.aborted).to.equal(false)
+      expect(crypto.verify('sha256', telsa.msgs[0],
+        crypto.createPublicKey(ecClient), sig)).to.equal(true)
+      done()
+    })
+  })
+
+  it('should fail if signDigest rejects or returns non-buffer', done => {
+    const rejected = createTelsa({
+      signDigest: () => Promise.reject(new Error('device busy'))
+    })
+    rejected.sign(err => {
+      expect(err.message).to.equal('device busy')
+      const invalid = createTelsa({ signDigest: () => 'foo' })
+      invalid.sign(err => {
+        expect(err.message).to.equal('signature must be a buffer')
+        done()
+      })
+    })
+  })
+
+  it('should throw if signDigest is not a function', done => {
+    expect(() => createTelsa({ signDigest: 'foo' }))
+      .to.throw('signDigest must be a function')
+    done()
+  })
+
+  it('should abort signing on timeout', done => {
+    let signal
+    createServer(server => fixtures.connect(server, {
+      cert: ecClient,
+      signTimeout: 50,
+      signDigest: (digest, alg, sig) => {
+        signal = sig
+        return new Promise(() => {})
+      }
+    }, (err, telsa) => {
+      server.close()
+      expect(err.message).to.equal('signing timeout after 50ms')
+      expect(signal.aborted).to.equal(true)
+      expect(telsa.signing).to.equal(null)
+      done()
+    }))
+  })
+
+  it('should abort signing on destroy', done => {
+    createServer(server => {
+      const telsa = fixtures.connect(server, {
+        cert: ecClient,
+        signDigest: (digest, alg, signal) => {
+          signal.addEventListener('abort', () => process.nextTick(() => {
+            expect(telsa.signing).to.equal(null)
+            server.close(() => done())
+          }))
+          setImmediate(() => telsa.destroy())
+          return new Promise(() => {})
+        }
+      }, err => err && done(err))
+    })
+  })
+})
@@ -0,0 +1,148 @@
+const path = require('path')
+const crypto = require('crypto')
+const chai = require('chai')
+const expect = chai.expect
+
+const der = require('../src/der')
+const {
+  parseCertificate, certificateFromPem, formatName, formatAltNames, isIssuer,
+  verifySignature, verifyCertificate, checkNameConstraints
+} = require('../src/x509')
+
+// self-signed Ed25519 CA certificate with SAN, EKU and name constraints
+const pem = `
+-----BEGIN CERTIFICATE-----
+MIIBzTCCAX+gAwIBAgICAQIwBQYDK2VwMDExCzAJBgNVBAYTAlVTMRAwDgYDVQQK
+DAdFeGFtcGxlMRAwDgYDVQQDDAdUZXN0IENBMCAXDTI2MTAxOTAzNDMzMFoYDzIx
+MjYwOTI1MDM0MzMwWjAxMQswCQYDVQQGEwJVUzEQMA4GA1UECgwHRXhhbXBsZTEQ
+MA4GA1UEAwwHVGVzdCBDQTAqMAUGAytlcAMhAPTJoEVRU/ny15doUi7iGdbTArgB
+khj3OecsMI8ek9c/o4G4MIG1MBIGA1UdEwEB/wQIMAYBAf8CAQEwDgYDVR0PAQH/
+BAQDAgGGMBMGA1UdJQQMMAoGCCsGAQUFBwMBMC4GA1UdEQQnMCWCC2V4YW1wbGUu
+Y29thwR/AAABhxAgAQ24AAAAAAAAAAAAAAABMCsGA1UdHgEB/wQhMB+gDzANggtl
+eGFtcGxlLmNvbaEMMAqHCAoAAAD/AAAAMB0GA1UdDgQWBBSeuqkySdgne53w/XqR
+fLqtA/4NczAFBgMrZXADQQBFoXjVBhyYKgb+ttDQwBxd9MZRkwzpLMVT9ydLOZOR
+rYIYf5bKlqLT4NoHg1n8Gf9ZDXMZ9We8z/O809afsYUD
+-----END CERTIFICATE-----
+`
+
+describe(path.basename(__filename), () => {
+  it('should parse tag, length and children', done => {
+    const el = der.parse(Buffer.from('300602010102017f', 'hex'))
+    expect(el.tag).to.equal(der.Tag.SEQUENCE)
+    expect(el.constructed).to.equal(true)
+    expect(der.children(el).map(der.integer)).to.deep.equal([1, 127])
+    done()
+  })
+
+  it('should reject truncated and indefinite length encoding', done => {
+    expect(() => der.parse(Buffer.from('300602010102', 'hex')))
+      .to.throw('der truncated')
+    expect(() => der.parse(Buffer.from('30800000', 'hex')))
+      .to.throw('indefinite length')
+    expect(() => der.parse(Buffer.from('020101ff', 'hex')))
+      .to.throw('trailing data')
+    done()
+  })
+
+  it('should decode oid and times', done => {
+    expect(der.oid(der.parse(Buffer.from('0603550403', 'hex'))))
+      .to.equal('2.5.4.3')
+    const utc = der.parse(Buffer.from('170d3439313233313233353935395a', 'hex'))
+    expect(der.time(utc).toISOString()).to.equal('2049-12-31T23:59:59.000Z')
+    const gen = der.parse(Buffer.from('180f32303530303130313030303030305a',
+      'hex'))
+    expect(der.time(gen).toISOString()).to.equal('2050-01-01T00:00:00.000Z')
+    done()
+  })
+
+  it('should parse certificate fields', done => {
+    const cert = certificateFromPem(pem)
+    expect(cert.version).to.equal(3)
+    expect(cert.serial).to.equal('0102')
+    expect(formatName(cert.subject)).to.equal('C=US, O=Example, CN=Test CA')
+    expect(cert.issuer.der.equals(cert.subject.der)).to.equal(true)
+    expect(cert.notBefore.toISOString()).to.equal('2026-10-19T03:43:30.000Z')
+    expect(cert.notAfter.toISOString()).to.equal('2126-09-25T03:43:30.000Z')
+    expect(cert.publicKey.asymmetricKeyType).to.equal('ed25519')
+    expect(parseCertificate(cert.raw).tbs.equals(cert.tbs)).to.equal(true)
+    done()
+  })
+
+  it('should parse extensions', done => {
+    const cert = certificateFromPem(pem)
+    expect(cert.basicConstraints).to.deep.equal({ ca: true, pathLen: 1 })
+    expect(cert.keyUsage).to.deep.equal(
+      ['digitalSignature', 'keyCertSign', 'cRLSign'])
+    expect(cert.extKeyUsage).to.deep.equal(['1.3.6.1.5.5.7.3.1'])
+    expect(formatAltNames(cert.subjectAltName)).to.equal(
+      'DNS:example.com, IP Address:127.0.0.1, IP Address:2001:DB8:0:0:0:0:0:1')
+    expect(cert.nameConstraints.permitted)
+      .to.deep.equal([{ type: 'DNS', value: 'example.com' }])
+    expect(cert.nameConstraints.excluded[0].value.toString('hex'))
+      .to.equal('0a000000ff000000')
+    expect(cert.extensions.filter(ext => ext.critical).length).to.equal(3)
+    done()
+  })
+
+  it('should verify self-signed certificate', done => {
+    const cert = certificateFromPem(pem)
+    expect(isIssuer(cert, cert)).to.equal(true)
+    expect(verifyCertificate(cert, cert)).to.equal(true)
+    const raw = Buffer.from(cert.raw)
+    raw[raw.length - 1] ^= 1
+    expect(verifyCertificate(parseCertificate(raw), cert)).to.equal(false)
+    done()
+  })
+
+  it('should reject signature algorithm mismatching the key type', done => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256'
+    })
+    const data = Buffer.from('hello')
+    const sig = crypto.sign('sha256', data, privateKey)
+    // ecdsa-with-SHA256 and sha256WithRSAEncryption
+    expect(verifySignature('1.2.840.10045.4.3.2', data, sig, publicKey))
+      .to.equal(true)
+    expect(verifySignature('1.2.840.113549.1.1.11', data, sig, publicKey))
+      .to.equal(false)
+    done()
+  })
+
+  it('should reject mismatched signature algorithms', done => {
+    const raw = Buffer.from(certificateFromPem(pem).raw)
+    // the first id-Ed25519 is in TBSCertificate, changed to id-Ed448
+    const i = raw.indexOf(Buffer.from('06032b6570', 'hex'))
+    raw[i + 4] = 0x71
+    expect(() => parseCertificate(raw))
+      .to.throw('signature algorithm mismatch')
+    done()
+  })
+
+  it('should reject duplicate extensions', done => {
+    const raw = Buffer.from(certificateFromPem(pem).raw)
+    // extKeyUsage changed to keyUsage, which goes before it
+    const i = raw.indexOf(Buffer.from('0603551d25', 'hex'))
+    raw[i + 4] = 0x0f
+    expect(() => parseCertificate(raw))
+      .to.throw('duplicate extension 2.5.29.15')
+    done()
+  })
+
+  it('should check names against name constraints', done => {
+    const { nameConstraints } = certificateFromPem(pem)
+    const subject = { der: Buffer.from('3000', 'hex'), attributes: [] }
+    const check = (...subjectAltName) =>
+      checkNameConstraints({ subject, subjectAltName }, nameConstraints)
+
+    expect(check({ type: 'DNS', value: 'example.com' })).to.equal(undefined)
+    expect(check({ type: 'DNS', value: 'www.Example.com' }))
+      .to.equal(undefined)
+    expect(check({ type: 'DNS', value: 'badexample.com' }))
+      .to.equal('DNS:badexample.com')
+    expect(check({ type: 'IP', value: Buffer.from([192, 168, 0, 1]) }))
+      .to.equal(undefined)
+    expect(check({ type: 'IP', value: Buffer.from([10, 1, 2, 3]) }))
+      .to.equal('IP Address:10.1.2.3')
+    done()
+  })
+})